@@ -1,15 +1,216 @@
-// Monad Testnet Tip Bot
+// Monad Tip Bot
 // Environment variables will be provided by Railway
 
 const TelegramBot = require('node-telegram-bot-api');
 const { ethers } = require('ethers');
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+// Maintenance commands (`node bot-monad.js <command>`) run without starting the Telegram bot
+const CLI_COMMAND = process.argv[2] || null;
 
 // Initialize bot with token from environment variable
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
+// chat_member updates are only delivered when requested explicitly
+const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, {
+    polling: CLI_COMMAND ? false : {
+        params: { allowed_updates: JSON.stringify(['message', 'callback_query', 'inline_query', 'chat_member', 'my_chat_member']) }
+    }
+});
+
+// Network profiles - pick one with the NETWORK environment variable (default: monad-testnet).
+// Any field can be overridden from the environment: NETWORK_NAME, RPC_URLS (comma separated),
+// CHAIN_ID, EXPLORER_TX_URL, EXPLORER_ADDRESS_URL, NATIVE_SYMBOL, NATIVE_DECIMALS, NETWORK_FEE.
+// `tokens` lists the ERC-20 tokens that can be tipped on the network; TOKENS replaces it with a JSON
+// array such as [{"symbol":"USDC","address":"0x...","decimals":6}].
+const NETWORK_PROFILES = {
+    'monad-testnet': {
+        name: 'Monad Testnet',
+        rpcUrls: ['https://testnet-rpc.monad.xyz/'],
+        chainId: 10143,
+        explorerTxUrl: 'https://testnet.monadexplorer.com/tx/{hash}',
+        explorerAddressUrl: 'https://testnet.monadexplorer.com/address/{address}',
+        nativeSymbol: 'MON',
+        nativeDecimals: 18,
+        networkFee: 0.000005, // ~0.000005 MON per transaction
+        tokens: []
+    },
+    local: {
+        name: 'Local Devnet',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        chainId: 31337,
+        explorerTxUrl: 'http://localhost:5100/tx/{hash}',
+        explorerAddressUrl: 'http://localhost:5100/address/{address}',
+        nativeSymbol: 'MON',
+        nativeDecimals: 18,
+        networkFee: 0.000005,
+        tokens: []
+    },
+    // Everything comes from the environment (e.g. for mainnet)
+    custom: {
+        name: 'Custom Network',
+        rpcUrls: [],
+        chainId: null,
+        explorerTxUrl: null,
+        explorerAddressUrl: null,
+        nativeSymbol: 'MON',
+        nativeDecimals: 18,
+        networkFee: 0.000005,
+        tokens: []
+    }
+};
+
+// Build the active network profile from NETWORK and the environment overrides
+function loadNetworkProfile() {
+    const env = process.env;
+    const profileName = env.NETWORK || 'monad-testnet';
+    const base = NETWORK_PROFILES[profileName];
+    if (!base) {
+        throw new Error(`Unknown NETWORK "${profileName}". Available profiles: ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+    }
+
+    const profile = {
+        profileName,
+        name: env.NETWORK_NAME || base.name,
+        rpcUrls: env.RPC_URLS ? env.RPC_URLS.split(',').map(url => url.trim()).filter(Boolean) : base.rpcUrls,
+        chainId: env.CHAIN_ID ? parseInt(env.CHAIN_ID) : base.chainId,
+        explorerTxUrl: env.EXPLORER_TX_URL || base.explorerTxUrl,
+        explorerAddressUrl: env.EXPLORER_ADDRESS_URL || base.explorerAddressUrl,
+        nativeSymbol: env.NATIVE_SYMBOL || base.nativeSymbol,
+        nativeDecimals: env.NATIVE_DECIMALS ? parseInt(env.NATIVE_DECIMALS) : base.nativeDecimals,
+        networkFee: env.NETWORK_FEE ? parseFloat(env.NETWORK_FEE) : base.networkFee,
+        tokens: env.TOKENS ? JSON.parse(env.TOKENS) : base.tokens
+    };
+
+    if (profile.rpcUrls.length === 0) {
+        throw new Error(`Network "${profileName}" has no RPC URL - set RPC_URLS`);
+    }
+    if (!Number.isInteger(profile.chainId) || profile.chainId <= 0) {
+        throw new Error(`Network "${profileName}" has no valid chain id - set CHAIN_ID`);
+    }
+    if (!profile.explorerTxUrl || !profile.explorerTxUrl.includes('{hash}')) {
+        throw new Error('EXPLORER_TX_URL must be a URL template containing {hash}');
+    }
+    if (!profile.explorerAddressUrl || !profile.explorerAddressUrl.includes('{address}')) {
+        throw new Error('EXPLORER_ADDRESS_URL must be a URL template containing {address}');
+    }
+    if (!Number.isInteger(profile.nativeDecimals) || profile.nativeDecimals < 0 || profile.nativeDecimals > 36) {
+        throw new Error('NATIVE_DECIMALS must be an integer between 0 and 36');
+    }
+    if (isNaN(profile.networkFee) || profile.networkFee < 0) {
+        throw new Error('NETWORK_FEE must be a non-negative number');
+    }
+    if (!Array.isArray(profile.tokens)) {
+        throw new Error('TOKENS must be a JSON array');
+    }
+    return profile;
+}
+
+const NETWORK = loadNetworkProfile();
+const NATIVE_SYMBOL = NETWORK.nativeSymbol;
+
+// Token registry. The native token is always available; ERC-20 tokens come from the network profile.
+// Commands take an optional symbol after the amount, e.g. `/pay @alice 10 USDC`.
+const NATIVE_TOKEN = { symbol: NATIVE_SYMBOL, address: null, decimals: NETWORK.nativeDecimals, native: true };
+const ERC20_ABI = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Native gas sent along with a token tip when the recipient's claim wallet cannot pay for a transfer
+const TOKEN_GAS_STIPEND = parseFloat(process.env.TOKEN_GAS_STIPEND || '0.01');
+
+function loadTokenRegistry(profile) {
+    const tokens = new Map(); // upper-case symbol -> token
+    for (const entry of profile.tokens) {
+        const symbol = String(entry.symbol || '').toUpperCase();
+        if (!/^[A-Z0-9]{1,11}$/.test(symbol)) {
+            throw new Error(`Invalid token symbol "${entry.symbol}"`);
+        }
+        if (symbol === NATIVE_SYMBOL.toUpperCase()) {
+            throw new Error(`Token symbol ${symbol} is the native token's symbol`);
+        }
+        if (tokens.has(symbol)) {
+            throw new Error(`Token symbol ${symbol} is configured more than once`);
+        }
+        if (!ethers.isAddress(entry.address)) {
+            throw new Error(`Token ${symbol} has an invalid contract address`);
+        }
+        if (!Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > 36) {
+            throw new Error(`Token ${symbol} must have integer decimals between 0 and 36`);
+        }
+        tokens.set(symbol, { symbol, address: ethers.getAddress(entry.address), decimals: entry.decimals, native: false });
+    }
+    return tokens;
+}
+
+const TOKENS = loadTokenRegistry(NETWORK);
+if (isNaN(TOKEN_GAS_STIPEND) || TOKEN_GAS_STIPEND < 0) {
+    throw new Error('TOKEN_GAS_STIPEND must be a non-negative number');
+}
+
+// Look up a token by symbol - no symbol means the native token. Returns null for unknown symbols.
+function resolveToken(symbol) {
+    if (!symbol || symbol.toUpperCase() === NATIVE_SYMBOL.toUpperCase()) return NATIVE_TOKEN;
+    return TOKENS.get(symbol.toUpperCase()) || null;
+}
+
+// Value for the token_symbol columns - NULL for the native token
+function getTokenColumn(token) {
+    return token.native ? null : token.symbol;
+}
+
+function listSupportedTokens() {
+    return [NATIVE_SYMBOL, ...TOKENS.keys()].join(', ');
+}
+
+// Connect to the network - several RPC URLs are used as fallbacks for each other
+function createProvider(profile) {
+    if (profile.rpcUrls.length === 1) {
+        return new ethers.JsonRpcProvider(profile.rpcUrls[0]);
+    }
+    return new ethers.FallbackProvider(
+        profile.rpcUrls.map((url, index) => ({
+            provider: new ethers.JsonRpcProvider(url),
+            priority: index + 1,
+            stallTimeout: 2000
+        })),
+        undefined,
+        { quorum: 1 }
+    );
+}
+
+const provider = createProvider(NETWORK);
+
+// Make sure the RPC endpoints serve the chain the network profile expects
+async function validateNetwork() {
+    const network = await provider.getNetwork();
+    if (network.chainId !== BigInt(NETWORK.chainId)) {
+        throw new Error(`RPC chain id ${network.chainId} does not match ${NETWORK.name} (chain id ${NETWORK.chainId})`);
+    }
+    console.log(`Connected to ${NETWORK.name} (chain id ${network.chainId})`);
+}
 
-// Connect to Monad testnet
-const provider = new ethers.JsonRpcProvider('https://testnet-rpc.monad.xyz/');
+// Convert between decimal amounts and the native token's base units
+function parseNativeAmount(value) {
+    return ethers.parseUnits(value, NETWORK.nativeDecimals);
+}
+
+function formatNativeAmount(value) {
+    return ethers.formatUnits(value, NETWORK.nativeDecimals);
+}
+
+// Convert a decimal amount to a token's base units, dropping digits beyond the token's precision
+function toTokenUnits(amount, token) {
+    const [whole, fraction = ''] = amount.toString().split('.');
+    const trimmedFraction = fraction.substring(0, token.decimals);
+    return ethers.parseUnits(trimmedFraction ? `${whole}.${trimmedFraction}` : whole, token.decimals);
+}
 
 // Initialize PostgreSQL connection with environment variable
 const pool = new Pool({
@@ -23,10 +224,47 @@ const pool = new Pool({
 let userWallets = new Map();
 let claimWallets = new Map();
 
-// Add fees wallet address constant - Replace with your actual Monad address
-const FEES_WALLET = '0x0000000000000000000000000000000000000000'; // TODO: Replace with actual fee wallet
-const FEE_PERCENTAGE = 0.10; // 10% fee per transaction
-const NETWORK_FEE = 0.000005; // ~0.000005 MON per transaction
+const NETWORK_FEE = NETWORK.networkFee;
+
+// Fee policy. Defaults come from the environment (FEES_WALLET, FEE_PERCENT, FEE_MIN, FEE_MAX and
+// FEE_EXEMPT_USER_IDS). A fee_settings row with scope 'global' overrides them, and rows keyed by a
+// group's chat id hold that group's /fees overrides. FEE_MIN and FEE_MAX are in the native token
+// and only apply to native payments - token payments pay the percentage.
+const DEFAULT_FEE_POLICY = {
+    recipient: process.env.FEES_WALLET || null,
+    percentage: parseFloat(process.env.FEE_PERCENT || '10'),
+    minFee: parseFloat(process.env.FEE_MIN || '0'),
+    maxFee: process.env.FEE_MAX ? parseFloat(process.env.FEE_MAX) : null,
+    exemptUserIds: parseIdList(process.env.FEE_EXEMPT_USER_IDS)
+};
+let feePolicy = { ...DEFAULT_FEE_POLICY };
+const groupFeeOverrides = new Map(); // chat id -> { percentage, minFee, maxFee }
+
+function parseIdList(value) {
+    return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Private keys are stored with envelope encryption: each key is encrypted with its own random
+// data key (AES-256-GCM), and that data key is encrypted with the master key from WALLET_MASTER_KEY.
+// Stored format: enc:v1:<master key id>:<wrapped data key>:<encrypted private key>
+const ENCRYPTED_KEY_PREFIX = 'enc:v1:';
+const ENCRYPTED_KEY_TABLES = [
+    { table: 'user_wallets', idColumn: 'user_id' },
+    { table: 'claim_wallets', idColumn: 'username' },
+    { table: 'airdrop_escrows', idColumn: 'airdrop_id' }
+];
+
+// Parse a 32-byte master key given as 64 hex characters or base64
+function parseMasterKey(value) {
+    if (!value) return null;
+    const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new Error('Master key must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+}
+
+const masterKey = parseMasterKey(process.env.WALLET_MASTER_KEY);
 
 // Rate limiting helper
 let lastRpcCall = 0;
@@ -41,9 +279,116 @@ async function rateLimitedDelay() {
     lastRpcCall = Date.now();
 }
 
-// Helper function to send transaction with retry logic
+// Per-sender transaction queues. Sends from the same address are serialized and nonces are
+// assigned locally, so concurrent payments from one wallet never race on the same nonce.
+const senderQueues = new Map(); // address -> { tail, nextNonce }
+
+function getSenderQueue(address) {
+    let queue = senderQueues.get(address);
+    if (!queue) {
+        queue = { tail: Promise.resolve(), nextNonce: null };
+        senderQueues.set(address, queue);
+    }
+    return queue;
+}
+
+// Run `task` once every task queued before it for the same sender has finished
+function enqueueForSender(address, task) {
+    const queue = getSenderQueue(address);
+    const run = queue.tail.then(task, task);
+    queue.tail = run.catch(() => {});
+    return run;
+}
+
+// Pick the next nonce for a sender: our own counter, or the node's pending count if that is
+// ahead of it (e.g. the user also sent from this wallet outside the bot)
+async function allocateNonce(address) {
+    const queue = getSenderQueue(address);
+    await rateLimitedDelay();
+    const pendingNonce = await provider.getTransactionCount(address, 'pending');
+    return queue.nextNonce === null ? pendingNonce : Math.max(queue.nextNonce, pendingNonce);
+}
+
+function isNonceError(error) {
+    return error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED' || (error.message || '').includes('nonce');
+}
+
+// Errors after which a broadcast may or may not have reached the node
+const UNCERTAIN_BROADCAST_ERRORS = ['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR', 'UNKNOWN_ERROR'];
+
+// Record an outgoing transaction as pending, before it is broadcast. `record` says what it is for:
+// { purpose, userId, jobId, context } - `jobId` is the payment job it was sent for, if any. Transactions with a context still need database writes once they
+// land; the code that sends them marks them recorded when it has made those writes, and the
+// reconciler finishes the job for any that stay unrecorded.
+async function recordPendingTransaction(hash, from, tx, record) {
+    await pool.query(
+        `INSERT INTO outgoing_transactions (transaction_hash, from_address, to_address, nonce, purpose, user_id, job_id, context, recorded)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (transaction_hash) DO UPDATE SET status = 'pending', error = NULL, updated_at = NOW()`,
+        [
+            hash,
+            from,
+            tx.to || null,
+            tx.nonce,
+            record.purpose || 'transfer',
+            record.userId ? record.userId.toString() : null,
+            record.jobId || null,
+            record.context ? JSON.stringify(record.context) : null,
+            !record.context
+        ]
+    );
+}
+
+async function setTransactionStatus(hash, status, { blockNumber = null, error = null } = {}) {
+    try {
+        await pool.query(
+            'UPDATE outgoing_transactions SET status = $1, block_number = $2, error = $3, updated_at = NOW() WHERE transaction_hash = $4',
+            [status, blockNumber, error, hash]
+        );
+    } catch (dbError) {
+        console.error(`Error updating transaction ${hash}:`, dbError);
+    }
+}
+
+// Called once the database writes that go with a transaction have been made
+async function markTransactionRecorded(hash) {
+    try {
+        await pool.query('UPDATE outgoing_transactions SET recorded = TRUE, updated_at = NOW() WHERE transaction_hash = $1', [hash]);
+    } catch (error) {
+        console.error(`Error marking transaction ${hash} recorded:`, error);
+    }
+}
+
+// Sign a transaction, record it as pending under its hash, then broadcast the signed bytes.
+// If the process dies after this point the reconciler still knows the transaction exists.
+async function signAndBroadcast(wallet, tx, record) {
+    const populated = await wallet.populateTransaction(tx);
+    delete populated.from;
+    const signed = await wallet.signTransaction(ethers.Transaction.from(populated));
+    const hash = ethers.keccak256(signed);
+
+    await recordPendingTransaction(hash, wallet.address, populated, record);
+    try {
+        return await provider.broadcastTransaction(signed);
+    } catch (error) {
+        // Without a clear answer from the node the transaction may still be out there - leave it to the reconciler
+        if (UNCERTAIN_BROADCAST_ERRORS.includes(error.code)) {
+            error.pendingTransactionHash = hash;
+        } else {
+            await setTransactionStatus(hash, 'failed', { error: error.message });
+        }
+        throw error;
+    }
+}
+
+// Helper function to send transaction with retry logic.
+// The transaction is broadcast through the sender's queue with a locally assigned nonce; waiting
+// for confirmation happens outside the queue so the next payment from the wallet can go out.
+// `record` describes the transaction for the outgoing_transactions ledger (see recordPendingTransaction).
+// Errors after which the transaction may still land carry its hash as `pendingTransactionHash`:
+// callers must not undo what it pays for, the reconciler settles it.
 async function sendTransactionWithRetry(wallet, tx, options = {}) {
-    const { maxRetries = 3, onSent, onConfirming, onConfirmed } = options;
+    const { maxRetries = 3, record = {}, onSent, onConfirming, onConfirmed } = options;
 
     const invokeCallback = async (callback, transaction) => {
         if (!callback) return;
@@ -54,30 +399,183 @@ async function sendTransactionWithRetry(wallet, tx, options = {}) {
         }
     };
 
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            await rateLimitedDelay();
-            const transaction = await wallet.sendTransaction(tx);
-            await invokeCallback(onSent, transaction);
-            await rateLimitedDelay();
-            await invokeCallback(onConfirming, transaction);
-            await transaction.wait();
-            await invokeCallback(onConfirmed, transaction);
-            return transaction;
-        } catch (error) {
-            if (i === maxRetries - 1) throw error;
-            
-            // If nonce error or rate limit, refresh nonce and retry
-            if (error.message.includes('nonce') || error.message.includes('priority') || error.message.includes('rate') || error.message.includes('limit')) {
-                console.log(`Error detected, retrying... (attempt ${i + 1}/${maxRetries}): ${error.message}`);
-                await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+    const address = wallet.address;
+    const transaction = await enqueueForSender(address, async () => {
+        const queue = getSenderQueue(address);
+        for (let i = 0; i < maxRetries; i++) {
+            const nonce = await allocateNonce(address);
+            try {
                 await rateLimitedDelay();
-                const newNonce = await provider.getTransactionCount(wallet.address, 'latest');
-                tx.nonce = newNonce;
-            } else {
-                throw error;
+                const sent = await signAndBroadcast(wallet, { ...tx, nonce }, record);
+                queue.nextNonce = nonce + 1;
+                return sent;
+            } catch (error) {
+                // Never send again while the last attempt may still land
+                if (i === maxRetries - 1 || error.pendingTransactionHash) throw error;
+
+                // If nonce error or rate limit, resync the nonce and retry
+                const message = error.message || '';
+                if (isNonceError(error) || message.includes('priority') || message.includes('rate') || message.includes('limit')) {
+                    console.log(`Error detected, retrying... (attempt ${i + 1}/${maxRetries}): ${message}`);
+                    if (isNonceError(error)) {
+                        queue.nextNonce = null;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+                } else {
+                    throw error;
+                }
+            }
+        }
+    });
+
+    await invokeCallback(onSent, transaction);
+    await rateLimitedDelay();
+    await invokeCallback(onConfirming, transaction);
+    let receipt;
+    try {
+        receipt = await transaction.wait();
+    } catch (error) {
+        // Reverted or replaced - anything else is left pending for the reconciler
+        if (error.code === 'CALL_EXCEPTION') {
+            await setTransactionStatus(transaction.hash, 'failed', { blockNumber: error.receipt ? error.receipt.blockNumber : null, error: error.message });
+        } else if (error.code === 'TRANSACTION_REPLACED') {
+            await setTransactionStatus(transaction.hash, 'dropped', { error: error.message });
+        } else {
+            error.pendingTransactionHash = transaction.hash;
+        }
+        throw error;
+    }
+    await setTransactionStatus(transaction.hash, 'confirmed', { blockNumber: receipt.blockNumber });
+    await invokeCallback(onConfirmed, transaction);
+    return transaction;
+}
+
+// Short fingerprint of a master key, stored with each encrypted key to tell which master key wrapped it
+function getMasterKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+}
+
+function aesGcmEncrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function aesGcmDecrypt(key, payload) {
+    const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isEncryptedPrivateKey(stored) {
+    return typeof stored === 'string' && stored.startsWith(ENCRYPTED_KEY_PREFIX);
+}
+
+// Split a stored encrypted key into its master key id, wrapped data key and ciphertext
+function parseEncryptedPrivateKey(stored) {
+    const parts = stored.substring(ENCRYPTED_KEY_PREFIX.length).split(':');
+    if (parts.length !== 7) {
+        throw new Error('Malformed encrypted private key');
+    }
+    return {
+        keyId: parts[0],
+        wrappedDataKey: parts.slice(1, 4).join(':'),
+        ciphertext: parts.slice(4).join(':')
+    };
+}
+
+function unwrapDataKey(parsed, key) {
+    if (parsed.keyId !== getMasterKeyId(key)) {
+        throw new Error(`Private key was encrypted under a different master key (${parsed.keyId})`);
+    }
+    return aesGcmDecrypt(key, parsed.wrappedDataKey);
+}
+
+// Encrypt a private key for storage
+function encryptPrivateKey(privateKey, key = masterKey) {
+    if (!key) {
+        throw new Error('WALLET_MASTER_KEY is not set');
+    }
+    const dataKey = crypto.randomBytes(32);
+    const wrappedDataKey = aesGcmEncrypt(key, dataKey);
+    const ciphertext = aesGcmEncrypt(dataKey, Buffer.from(privateKey, 'utf8'));
+    return `${ENCRYPTED_KEY_PREFIX}${getMasterKeyId(key)}:${wrappedDataKey}:${ciphertext}`;
+}
+
+// Decrypt a stored private key - only call this right before the key is needed
+function decryptPrivateKey(stored, key = masterKey) {
+    if (!key) {
+        throw new Error('WALLET_MASTER_KEY is not set');
+    }
+    if (!isEncryptedPrivateKey(stored)) {
+        throw new Error('Private key is not encrypted - run `npm run encrypt-wallets`');
+    }
+    const parsed = parseEncryptedPrivateKey(stored);
+    const dataKey = unwrapDataKey(parsed, key);
+    return aesGcmDecrypt(dataKey, parsed.ciphertext).toString('utf8');
+}
+
+// Re-encrypt the data key of a stored private key under a new master key.
+// The private key ciphertext itself does not change.
+function rewrapPrivateKey(stored, oldKey, newKey) {
+    if (!isEncryptedPrivateKey(stored)) {
+        return encryptPrivateKey(stored, newKey);
+    }
+    const parsed = parseEncryptedPrivateKey(stored);
+    if (parsed.keyId === getMasterKeyId(newKey)) {
+        return stored;
+    }
+    const dataKey = unwrapDataKey(parsed, oldKey);
+    return `${ENCRYPTED_KEY_PREFIX}${getMasterKeyId(newKey)}:${aesGcmEncrypt(newKey, dataKey)}:${parsed.ciphertext}`;
+}
+
+// Encrypt any private keys still stored in plaintext (one-shot migration, safe to run repeatedly)
+async function encryptExistingWallets() {
+    let migrated = 0;
+    for (const { table, idColumn } of ENCRYPTED_KEY_TABLES) {
+        const result = await pool.query(
+            `SELECT ${idColumn} AS id, private_key FROM ${table} WHERE private_key NOT LIKE $1`,
+            [`${ENCRYPTED_KEY_PREFIX}%`]
+        );
+        for (const row of result.rows) {
+            await pool.query(
+                `UPDATE ${table} SET private_key = $1 WHERE ${idColumn} = $2 AND private_key = $3`,
+                [encryptPrivateKey(row.private_key), row.id, row.private_key]
+            );
+            migrated++;
+        }
+    }
+    if (migrated > 0) {
+        console.log(`Encrypted ${migrated} plaintext private key(s)`);
+    }
+    return migrated;
+}
+
+// Re-encrypt every stored private key under a new master key in a single transaction
+async function rotateMasterKey(newKey) {
+    const client = await pool.connect();
+    let rotated = 0;
+    try {
+        await client.query('BEGIN');
+        for (const { table, idColumn } of ENCRYPTED_KEY_TABLES) {
+            const result = await client.query(`SELECT ${idColumn} AS id, private_key FROM ${table} FOR UPDATE`);
+            for (const row of result.rows) {
+                const rewrapped = rewrapPrivateKey(row.private_key, masterKey, newKey);
+                if (rewrapped !== row.private_key) {
+                    await client.query(`UPDATE ${table} SET private_key = $1 WHERE ${idColumn} = $2`, [rewrapped, row.id]);
+                    rotated++;
+                }
             }
         }
+        await client.query('COMMIT');
+        return rotated;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
     }
 }
 
@@ -99,6 +597,7 @@ async function initializeDatabase() {
                 from_user_id TEXT,
                 amount DECIMAL,
                 telegram_user_id TEXT,
+                owner_user_id TEXT,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
@@ -138,6 +637,12 @@ async function initializeDatabase() {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
             
+            CREATE TABLE IF NOT EXISTS user_settings (
+                user_id TEXT PRIMARY KEY,
+                timezone TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
             CREATE TABLE IF NOT EXISTS airdrops (
                 id SERIAL PRIMARY KEY,
                 airdrop_id TEXT UNIQUE NOT NULL,
@@ -158,6 +663,151 @@ async function initializeDatabase() {
                 transaction_hash TEXT,
                 claimed_at TIMESTAMP
             );
+            
+            CREATE TABLE IF NOT EXISTS airdrop_escrows (
+                airdrop_id TEXT PRIMARY KEY,
+                private_key TEXT NOT NULL,
+                public_key TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS fee_settings (
+                scope TEXT PRIMARY KEY,
+                recipient TEXT,
+                percentage DECIMAL,
+                min_fee DECIMAL,
+                max_fee DECIMAL,
+                exempt_user_ids TEXT,
+                updated_by TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS group_settings (
+                chat_id TEXT PRIMARY KEY,
+                weekly_leaderboard BOOLEAN DEFAULT FALSE,
+                last_leaderboard_post TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS gmonad_giveaways (
+                id SERIAL PRIMARY KEY,
+                chat_id TEXT NOT NULL,
+                sender_id TEXT NOT NULL,
+                sender_username TEXT,
+                amount DECIMAL NOT NULL,
+                token_symbol TEXT,
+                number_of_winners INTEGER DEFAULT 1,
+                keyword TEXT,
+                max_participants INTEGER,
+                ends_at TIMESTAMP NOT NULL,
+                status TEXT DEFAULT 'active',
+                draw_id INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS gmonad_entries (
+                giveaway_id INTEGER NOT NULL REFERENCES gmonad_giveaways(id),
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (giveaway_id, user_id)
+            );
+            
+            CREATE TABLE IF NOT EXISTS draws (
+                id SERIAL PRIMARY KEY,
+                chat_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                created_by TEXT,
+                participants TEXT NOT NULL,
+                participants_hash TEXT NOT NULL,
+                number_of_winners INTEGER NOT NULL,
+                target_block BIGINT NOT NULL,
+                seed TEXT,
+                winners TEXT,
+                status TEXT DEFAULT 'committed',
+                created_at TIMESTAMP DEFAULT NOW(),
+                revealed_at TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS group_members (
+                chat_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT,
+                first_name TEXT,
+                is_bot BOOLEAN DEFAULT FALSE,
+                status TEXT DEFAULT 'member',
+                joined_at TIMESTAMP,
+                last_seen TIMESTAMP,
+                message_count INTEGER DEFAULT 0,
+                PRIMARY KEY (chat_id, user_id)
+            );
+            
+            CREATE TABLE IF NOT EXISTS withdrawals (
+                id SERIAL PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                wallet_type TEXT NOT NULL,
+                destination TEXT NOT NULL,
+                amount DECIMAL NOT NULL,
+                token_symbol TEXT,
+                transaction_hash TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS fees (
+                id SERIAL PRIMARY KEY,
+                tip_id INTEGER REFERENCES tips(id),
+                airdrop_id TEXT,
+                from_user_id TEXT NOT NULL,
+                chat_id TEXT,
+                amount DECIMAL NOT NULL,
+                token_symbol TEXT,
+                percentage DECIMAL NOT NULL,
+                recipient TEXT NOT NULL,
+                transaction_hash TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS outgoing_transactions (
+                id SERIAL PRIMARY KEY,
+                transaction_hash TEXT UNIQUE NOT NULL,
+                from_address TEXT NOT NULL,
+                to_address TEXT,
+                nonce INTEGER NOT NULL,
+                purpose TEXT NOT NULL,
+                user_id TEXT,
+                context TEXT,
+                status TEXT DEFAULT 'pending',
+                recorded BOOLEAN DEFAULT TRUE,
+                block_number INTEGER,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE TABLE IF NOT EXISTS payment_jobs (
+                id SERIAL PRIMARY KEY,
+                idempotency_key TEXT UNIQUE NOT NULL,
+                from_user_id TEXT NOT NULL,
+                from_username TEXT,
+                recipient_username TEXT NOT NULL,
+                recipient_user_id TEXT,
+                amount DECIMAL NOT NULL,
+                token_symbol TEXT,
+                fee_amount DECIMAL NOT NULL,
+                fee_percentage DECIMAL,
+                fee_recipient TEXT,
+                chat_id TEXT,
+                source TEXT DEFAULT 'tip',
+                status TEXT DEFAULT 'pending',
+                tip_transaction_hash TEXT,
+                tip_id INTEGER,
+                claim_link TEXT,
+                fee_transaction_hash TEXT,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
         `);
         
         // Add telegram_user_id column if it doesn't exist (migration)
@@ -170,79 +820,282 @@ async function initializeDatabase() {
         } catch (migrationError) {
             console.log('Migration note:', migrationError.message);
         }
-        
-        console.log('Database initialized successfully');
-    } catch (error) {
-        console.error('Error initializing database:', error);
-    }
-}
-
-// Load wallets from database
-async function loadWallets() {
-    try {
-        // Load user wallets
-        const userWalletsResult = await pool.query('SELECT * FROM user_wallets');
-        userWalletsResult.rows.forEach(row => {
-            userWallets.set(row.user_id, {
-                privateKey: row.private_key,
-                publicKey: row.public_key
-            });
-        });
 
-        // Load claim wallets
-        const claimWalletsResult = await pool.query('SELECT * FROM claim_wallets');
-        claimWalletsResult.rows.forEach(row => {
-            claimWallets.set(row.username, {
-                privateKey: row.private_key,
-                publicKey: row.public_key,
-                fromUserId: row.from_user_id,
-                amount: parseFloat(row.amount) || 0
-            });
-        });
-        console.log('Wallets loaded successfully from database');
-    } catch (error) {
-        console.error('Error loading wallets:', error);
-    }
-}
+        // Add paused column to recurring_payments if it doesn't exist (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE recurring_payments
+                ADD COLUMN IF NOT EXISTS paused BOOLEAN DEFAULT FALSE;
+            `);
+            console.log('Database migration: recurring_payments.paused column added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
 
-// Save wallet to database
-async function saveWallet(userId, wallet, isClaimWallet = false) {
-    try {
-        if (isClaimWallet) {
-            await pool.query(
-                'INSERT INTO claim_wallets (username, private_key, public_key, from_user_id, amount) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (username) DO UPDATE SET private_key = $2, public_key = $3, from_user_id = $4, amount = $5',
-                [userId, wallet.privateKey, wallet.publicKey, wallet.fromUserId, wallet.amount]
-            );
-        } else {
-            await pool.query(
-                'INSERT INTO user_wallets (user_id, private_key, public_key) VALUES ($1, $2, $3) ON CONFLICT (user_id) DO UPDATE SET private_key = $2, public_key = $3',
-                [userId, wallet.privateKey, wallet.publicKey]
-            );
+        // Add timezone column to recurring_payments and normalize old free-text schedules (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE recurring_payments
+                ADD COLUMN IF NOT EXISTS timezone TEXT;
+            `);
+            await migrateLegacyRecurringSchedules();
+            console.log('Database migration: recurring_payments.timezone column added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
         }
-    } catch (error) {
-        console.error('Error saving wallet:', error);
-    }
-}
 
-// Initialize database and load wallets on startup
-initializeDatabase().then(() => {
-    loadWallets();
-});
+        // Add token_symbol columns for ERC-20 tips and airdrops - NULL means the native token (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE tips ADD COLUMN IF NOT EXISTS token_symbol TEXT;
+                ALTER TABLE claim_links ADD COLUMN IF NOT EXISTS token_symbol TEXT;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS token_symbol TEXT;
+            `);
+            console.log('Database migration: token_symbol columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
 
-// Set up bot commands for autocomplete
-async function setupBotCommands() {
-    try {
+        // Add chat_id to airdrops so claims use the group's fee policy (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE airdrops
+                ADD COLUMN IF NOT EXISTS chat_id TEXT;
+            `);
+            console.log('Database migration: airdrops.chat_id column added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Record where a tip came from (tip, random, gmonad, recurring) and the sender's username (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE tips ADD COLUMN IF NOT EXISTS source TEXT;
+                ALTER TABLE tips ADD COLUMN IF NOT EXISTS from_username TEXT;
+            `);
+            console.log('Database migration: tips.source and tips.from_username columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Tag tips with the chat they were sent from and add the leaderboard privacy setting (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE tips ADD COLUMN IF NOT EXISTS chat_id TEXT;
+                ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS leaderboard_opt_out BOOLEAN DEFAULT FALSE;
+            `);
+            console.log('Database migration: tips.chat_id and user_settings.leaderboard_opt_out columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Airdrop expiry and how an airdrop ended (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS end_reason TEXT;
+            `);
+            console.log('Database migration: airdrops.expires_at, ended_at and end_reason columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Airdrop eligibility rules and links sent to one member (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'public';
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS members_only BOOLEAN DEFAULT FALSE;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS min_member_days INTEGER;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS require_username BOOLEAN DEFAULT TRUE;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS one_per_user BOOLEAN DEFAULT TRUE;
+                ALTER TABLE airdrop_claims ADD COLUMN IF NOT EXISTS assigned_user_id TEXT;
+            `);
+            console.log('Database migration: airdrop eligibility columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Unclaimed tips returned to the sender after the claim window (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE claim_links ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+                ALTER TABLE claim_links ADD COLUMN IF NOT EXISTS expired BOOLEAN DEFAULT FALSE;
+                ALTER TABLE claim_links ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP;
+                ALTER TABLE claim_links ADD COLUMN IF NOT EXISTS refund_amount DECIMAL;
+                ALTER TABLE claim_links ADD COLUMN IF NOT EXISTS refund_transaction_hash TEXT;
+            `);
+            console.log('Database migration: claim_links expiry columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Bind claim wallets to Telegram user ids (migration). Existing wallets go to the last
+        // user id seen with their username; the rest are bound on their next claim.
+        try {
+            await pool.query(`
+                ALTER TABLE claim_wallets ADD COLUMN IF NOT EXISTS owner_user_id TEXT;
+                UPDATE claim_wallets SET owner_user_id = telegram_user_id WHERE owner_user_id IS NULL AND telegram_user_id IS NOT NULL;
+            `);
+            console.log('Database migration: claim_wallets owner_user_id column added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Refunds of ended airdrops, retried until the escrow has been swept (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS refund_status TEXT;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS refund_transaction_hash TEXT;
+            `);
+            console.log('Database migration: airdrops refund columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Link ledger transactions to the payment job they were sent for (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE outgoing_transactions ADD COLUMN IF NOT EXISTS job_id INTEGER;
+                CREATE INDEX IF NOT EXISTS outgoing_transactions_job_id_idx ON outgoing_transactions (job_id);
+                ALTER TABLE payment_jobs ADD COLUMN IF NOT EXISTS fee_job_id INTEGER;
+            `);
+            console.log('Database migration: outgoing_transactions job_id column added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // GM giveaway that paid a prize tip (migration)
+        try {
+            await pool.query('ALTER TABLE tips ADD COLUMN IF NOT EXISTS giveaway_id INTEGER');
+            console.log('Database migration: tips.giveaway_id column added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        // Fee per claim quoted when an airdrop's escrow was funded (migration)
+        try {
+            await pool.query(`
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS fee_amount DECIMAL;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS fee_percentage DECIMAL;
+                ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS fee_recipient TEXT;
+            `);
+            console.log('Database migration: airdrops fee columns added/verified');
+        } catch (migrationError) {
+            console.log('Migration note:', migrationError.message);
+        }
+
+        console.log('Database initialized successfully');
+    } catch (error) {
+        console.error('Error initializing database:', error);
+    }
+}
+
+// Load wallets from database
+async function loadWallets() {
+    try {
+        // Load user wallets
+        const userWalletsResult = await pool.query('SELECT * FROM user_wallets');
+        userWalletsResult.rows.forEach(row => {
+            userWallets.set(row.user_id, {
+                privateKey: row.private_key,
+                publicKey: row.public_key
+            });
+        });
+
+        // Load claim wallets
+        const claimWalletsResult = await pool.query('SELECT * FROM claim_wallets');
+        claimWalletsResult.rows.forEach(row => {
+            claimWallets.set(row.username, {
+                privateKey: row.private_key,
+                publicKey: row.public_key,
+                fromUserId: row.from_user_id,
+                amount: parseFloat(row.amount) || 0,
+                ownerUserId: row.owner_user_id
+            });
+        });
+        console.log('Wallets loaded successfully from database');
+    } catch (error) {
+        console.error('Error loading wallets:', error);
+    }
+}
+
+// Save wallet to database
+async function saveWallet(userId, wallet, isClaimWallet = false) {
+    try {
+        if (isClaimWallet) {
+            await pool.query(
+                'INSERT INTO claim_wallets (username, private_key, public_key, from_user_id, amount, owner_user_id) VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (username) DO UPDATE SET private_key = $2, public_key = $3, from_user_id = $4, amount = $5, owner_user_id = COALESCE(claim_wallets.owner_user_id, $6)',
+                [userId, wallet.privateKey, wallet.publicKey, wallet.fromUserId, wallet.amount, wallet.ownerUserId || null]
+            );
+        } else {
+            await pool.query(
+                'INSERT INTO user_wallets (user_id, private_key, public_key) VALUES ($1, $2, $3) ON CONFLICT (user_id) DO UPDATE SET private_key = $2, public_key = $3',
+                [userId, wallet.privateKey, wallet.publicKey]
+            );
+        }
+    } catch (error) {
+        console.error('Error saving wallet:', error);
+    }
+}
+
+// Initialize database and load wallets on startup
+if (!CLI_COMMAND) {
+    if (!masterKey) {
+        console.error('WALLET_MASTER_KEY is not set. Generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+        process.exit(1);
+    }
+
+    validateNetwork().catch((error) => {
+        console.error('Network check failed:', error.message);
+        process.exit(1);
+    }).then(initializeDatabase).then(async () => {
+        try {
+            await loadFeeSettings();
+        } catch (error) {
+            console.error('Invalid fee configuration:', error.message);
+            process.exit(1);
+        }
+        try {
+            await encryptExistingWallets();
+        } catch (error) {
+            console.error('Error encrypting private keys:', error);
+        }
+        await loadWallets();
+        startRecurringScheduler();
+        startLeaderboardScheduler();
+        startAirdropExpiryScheduler();
+        startTipExpiryScheduler();
+        startDrawExpiryScheduler();
+        await startTransactionReconciler();
+        await resumeGmonadGiveaways();
+    });
+}
+
+// Set up bot commands for autocomplete
+async function setupBotCommands() {
+    try {
         const commands = [
             { command: 'start', description: 'Create your wallet and get started' },
             { command: 'balance', description: 'Check your wallet balance' },
-            { command: 'pay', description: 'Send MON to someone (@username amount)' },
+            { command: 'pay', description: `Send ${NATIVE_SYMBOL} to someone (@username amount)` },
+            { command: 'tip', description: 'Reply to a message to tip its author (amount)' },
             { command: 'claim', description: 'Claim your received payments' },
+            { command: 'relink', description: 'Move your claim wallet to your new username' },
             { command: 'help', description: 'Show help and FAQ' },
             { command: 'tutorial', description: 'Show the tutorial again' },
             { command: 'random', description: 'Random giveaway to group members' },
             { command: 'gmonad', description: 'Interactive giveaway (users say "gmonad")' },
+            { command: 'rain', description: 'Split an amount among recently active members' },
             { command: 'airdrop', description: 'Create an airdrop campaign' },
-            { command: 'recurring', description: 'Set up recurring payments' }
+            { command: 'fees', description: 'View or change the fees in this group' },
+            { command: 'history', description: 'View your transaction history' },
+            { command: 'export', description: 'Export your history as CSV or JSON' },
+            { command: 'leaderboard', description: 'Top tippers, recipients and giveaway winners' },
+            { command: 'verify', description: 'Check that a giveaway draw was fair' },
+            { command: 'privacy', description: 'Choose whether you appear on leaderboards' },
+            { command: 'recurring', description: 'Set up recurring payments' },
+            { command: 'timezone', description: 'Set your timezone for recurring payments' }
         ];
         
         await bot.setMyCommands(commands);
@@ -253,1789 +1106,6225 @@ async function setupBotCommands() {
 }
 
 // Call setupBotCommands after bot initialization
-setupBotCommands();
+if (!CLI_COMMAND) {
+    setupBotCommands();
+}
 
 // Function to get wallet balance
 async function getWalletBalance(address) {
     try {
         await rateLimitedDelay();
         const balance = await provider.getBalance(address);
-        return parseFloat(ethers.formatEther(balance));
+        return parseFloat(formatNativeAmount(balance));
     } catch (error) {
         console.error('Error getting balance:', error);
         return 0;
     }
 }
 
-// Function to create wallet from private key
-function createWalletFromPrivateKey(privateKey) {
-    return new ethers.Wallet(privateKey, provider);
+// Function to get a wallet's balance of a token (native or ERC-20)
+async function getTokenBalance(address, token) {
+    if (token.native) return getWalletBalance(address);
+    try {
+        await rateLimitedDelay();
+        const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
+        const balance = await contract.balanceOf(address);
+        return parseFloat(ethers.formatUnits(balance, token.decimals));
+    } catch (error) {
+        console.error(`Error getting ${token.symbol} balance:`, error);
+        return 0;
+    }
+}
+
+// Balance lines for every registered ERC-20 token the wallet holds, appended after the native balance
+async function formatTokenBalances(address) {
+    let lines = '';
+    for (const token of TOKENS.values()) {
+        const balance = await getTokenBalance(address, token);
+        if (balance > 0) {
+            lines += `\n💵 ${token.symbol}: ${balance.toFixed(6)}`;
+        }
+    }
+    return lines;
+}
+
+// Build the transaction that sends `amount` of a token to `to`
+function buildTransferTx(token, to, amount) {
+    if (token.native) {
+        return { to, value: toTokenUnits(amount, token) };
+    }
+    return {
+        to: token.address,
+        data: erc20Interface.encodeFunctionData('transfer', [to, toTokenUnits(amount, token)])
+    };
+}
+
+// Check that a funding wallet holds `tokenRequired` of a token plus gas for `transactions` sends
+// and `stipends` gas top-ups. Returns a description of what is needed, or null if the balance is enough.
+async function checkFundingBalance(address, token, tokenRequired, transactions, stipends = 0) {
+    const gasRequired = NETWORK_FEE * transactions + (token.native ? 0 : TOKEN_GAS_STIPEND * stipends);
+    const nativeBalance = await getWalletBalance(address);
+
+    if (token.native) {
+        const totalRequired = tokenRequired + gasRequired;
+        if (nativeBalance >= totalRequired) return null;
+        return `Required: ${totalRequired.toFixed(6)} ${NATIVE_SYMBOL}\nYour balance: ${nativeBalance.toFixed(6)} ${NATIVE_SYMBOL}`;
+    }
+
+    const tokenBalance = await getTokenBalance(address, token);
+    if (tokenBalance >= tokenRequired && nativeBalance >= gasRequired) return null;
+    return `Required: ${tokenRequired.toFixed(6)} ${token.symbol} + ${gasRequired.toFixed(6)} ${NATIVE_SYMBOL} for gas
+Your balance: ${tokenBalance.toFixed(6)} ${token.symbol}, ${nativeBalance.toFixed(6)} ${NATIVE_SYMBOL}`;
+}
+
+// Token tips land in claim wallets that usually hold no gas - top them up so the
+// recipient can move the tokens out. Returns the amount sent (0 if none was needed).
+// `jobId` is the payment job the stipend is sent for, if any.
+async function ensureGasStipend(senderWallet, address, { jobId = null } = {}) {
+    if (TOKEN_GAS_STIPEND <= 0) return 0;
+    const balance = await getWalletBalance(address);
+    if (balance >= TOKEN_GAS_STIPEND / 2) return 0;
+
+    const topUp = TOKEN_GAS_STIPEND - balance;
+    await sendTransactionWithRetry(senderWallet, buildTransferTx(NATIVE_TOKEN, address, topUp), { record: { purpose: 'stipend', jobId } });
+    return topUp;
+}
+
+// Move everything out of a wallet: each registered token it holds, then the native balance
+// minus gas. Returns the transfers made; `error` is set when the native balance cannot cover gas.
+// `userId` is the user whose funds these are, told if a transfer gets lost.
+async function sweepWallet(senderWallet, destination, userId = null) {
+    const transfers = [];
+
+    for (const token of TOKENS.values()) {
+        await rateLimitedDelay();
+        const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
+        const balance = await contract.balanceOf(senderWallet.address);
+        if (balance === 0n) continue;
+
+        const transaction = await sendTransactionWithRetry(senderWallet, {
+            to: token.address,
+            data: erc20Interface.encodeFunctionData('transfer', [destination, balance])
+        }, { record: { purpose: 'sweep', userId } });
+        transfers.push({ token, amount: parseFloat(ethers.formatUnits(balance, token.decimals)), hash: transaction.hash });
+    }
+
+    const balance = await getWalletBalance(senderWallet.address);
+    if (balance <= 0.0001) {
+        return { transfers, error: transfers.length === 0 ? `Insufficient balance to transfer. Balance: ${balance.toFixed(6)} ${NATIVE_SYMBOL}` : null };
+    }
+
+    // Estimate gas for the transaction
+    await rateLimitedDelay();
+    const gasEstimate = await provider.estimateGas({
+        from: senderWallet.address,
+        to: destination,
+        value: parseNativeAmount(balance.toString())
+    });
+
+    await rateLimitedDelay();
+    const gasPrice = await provider.getFeeData();
+    const gasCost = parseFloat(formatNativeAmount(gasEstimate * gasPrice.gasPrice));
+
+    // Calculate amount to send (balance - gas cost - small buffer)
+    const amountToSend = balance - gasCost - 0.00001;
+
+    if (amountToSend <= 0) {
+        return {
+            transfers,
+            error: transfers.length === 0 ? `Insufficient balance to cover gas fees. Balance: ${balance.toFixed(6)} ${NATIVE_SYMBOL}, Gas: ${gasCost.toFixed(6)} ${NATIVE_SYMBOL}` : null
+        };
+    }
+
+    const transaction = await sendTransactionWithRetry(senderWallet, buildTransferTx(NATIVE_TOKEN, destination, amountToSend), { record: { purpose: 'sweep', userId } });
+    transfers.push({ token: NATIVE_TOKEN, amount: amountToSend, hash: transaction.hash });
+    return { transfers, error: null };
+}
+
+// One line per swept asset with its transaction link
+function formatSweepTransfers(transfers) {
+    return transfers
+        .map(transfer => `💰 ${transfer.amount.toFixed(6)} ${transfer.token.symbol} - [View Transaction](${getTransactionLink(transfer.hash)})`)
+        .join('\n');
+}
+
+// Record the transfers of a sweep for /history. `kind` is 'withdrawal' for external addresses
+// and 'transfer' for claim wallet -> funding wallet moves.
+async function recordWithdrawals(userId, { kind, walletType, destination }, transfers) {
+    try {
+        for (const transfer of transfers) {
+            await pool.query(
+                'INSERT INTO withdrawals (user_id, kind, wallet_type, destination, amount, token_symbol, transaction_hash) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [userId.toString(), kind, walletType, destination, transfer.amount, getTokenColumn(transfer.token), transfer.hash]
+            );
+        }
+    } catch (error) {
+        console.error('Error recording withdrawal:', error);
+    }
+}
+
+// Function to create wallet from an encrypted private key
+function createWalletFromPrivateKey(encryptedPrivateKey) {
+    return new ethers.Wallet(decryptPrivateKey(encryptedPrivateKey), provider);
 }
 
 // Helper function to generate unique claim token
 function generateClaimToken() {
-    return require('crypto').randomBytes(16).toString('hex');
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Shuffle an array in place (Fisher-Yates) and return it
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
 }
 
 // Welcome message with tutorial
-const welcomeMessage = `🎉 *Welcome to Monad Tip Bot!* 🎉
+function buildWelcomeMessage() {
+    return `🎉 *Welcome to Monad Tip Bot!* 🎉
 
-This bot helps you send and receive MON tips on Monad Testnet.
+This bot helps you send and receive ${NATIVE_SYMBOL} tips on ${NETWORK.name}.
 
-*Network:* Monad Testnet
+*Network:* ${NETWORK.name}
 *Fee Structure:*
-• Transaction Fee: 10% of tip amount
-• Network Fee: ~0.000005 MON per transaction
+• Transaction Fee: ${describeFeePolicy(feePolicy)}
+• Network Fee: ~${NETWORK_FEE} ${NATIVE_SYMBOL} per transaction
 
 Use the buttons below to get started!`;
+}
 
 // Help message
-const helpMessage = `*Monad Tip Bot Commands* 📚
+function buildHelpMessage() {
+    return `*Monad Tip Bot Commands* 📚
 
 *Basic Commands:*
 /start - Create your funding wallet
-/pay @username amount - Send MON to someone
+/pay @username amount [token] - Send ${NATIVE_SYMBOL} or a token to someone
+/pay @a @b amount each|split [token] - Pay several people at once
+/tip amount [token] - Reply to a message to tip its author
 /claim - Claim your received payments
+/relink - Move your claim wallet to your new username
 /balance - Check your wallet balance
 /help - Show this help message
 /tutorial - Show the tutorial again
 
 *Group Giveaway Commands:*
-/random <winners> <role> <amount> - Random giveaway to group members
-/gmonad <amount> - Interactive giveaway (users say "gmonad" to enter)
+/random <winners> <role> <amount> [token] - Random giveaway to group members
+/gmonad <amount> [token] [winners= time= keyword= max=] - Interactive giveaway (users say "gmonad" to enter)
+/gmonad cancel - Cancel your running giveaway
+/rain <amount> [duration] [token] - Split an amount among members active in the last 30m (or duration)
+/airdrop <amount> <links> [token] [expiry] - Create first-come claim links
+/airdrop status - Your airdrops and who claimed them
+/airdrop cancel <id> - End an airdrop and get the rest back
+/verify <draw> - Check that a giveaway draw was fair
 
 *Examples:*
 • /pay @john 0.5
 • /pay @alice 1.2
-• /random 3 admin 0.5 - Give 0.5 MON to 3 random admins
-• /gmonad 1.0 - Give 1.0 MON to one random user who says "gmonad"
+• /random 3 admin 0.5 - Give 0.5 ${NATIVE_SYMBOL} to 3 random admins
+• /gmonad 1.0 - Give 1.0 ${NATIVE_SYMBOL} to one random user who says "gmonad"
+
+*Supported Tokens:* ${listSupportedTokens()}
 
 *Fee Structure:*
-• Transaction Fee: 10% of tip amount
-• Network Fee: ~0.000005 MON per transaction
+• Transaction Fee: ${describeFeePolicy(feePolicy)} (tips, giveaways and airdrop claims)
+• Network Fee: ~${NETWORK_FEE} ${NATIVE_SYMBOL} per transaction
+• Group admins can change their group's fees with /fees
 
 *Tips:*
 • Always verify the username
 • Check your balance before sending
 • Keep your private keys safe
 • Giveaway commands only work in groups`;
+}
 
 // Add helper function for transaction links
 function getTransactionLink(signature) {
-    return `https://testnet.monadexplorer.com/tx/${signature}`;
+    return NETWORK.explorerTxUrl.replace('{hash}', signature);
 }
 
-// Add helper function for transaction status check
-async function checkTransactionStatus(txHash, maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const receipt = await provider.getTransactionReceipt(txHash);
-            if (receipt && receipt.status === 1) {
-                return true;
-            }
-            // Wait for 2 seconds before next retry
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        } catch (error) {
-            console.error(`Error checking transaction status (attempt ${i + 1}):`, error);
-        }
-    }
-    return false;
+// Add helper function for address links
+function getAddressLink(address) {
+    return NETWORK.explorerAddressUrl.replace('{address}', address);
 }
 
-// Handle /start command
-bot.onText(/^\/start(?:\s+(.+))?$/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const chatType = msg.chat.type;
-    const userId = msg.from.id;
-    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
-    const startParam = match[1]; // Get the start parameter if any
-    
-    // Only works in private chats
-    if (chatType === 'group' || chatType === 'supergroup') {
-        const botUsername = (await bot.getMe()).username;
-        await bot.sendMessage(chatId, `❌ Please use /start in a private message with @${botUsername}!`);
-        return;
+// Throw if a fee policy can't be used - in particular fees must never go to the zero address
+function validateFeePolicy(policy) {
+    if (!policy.recipient || !ethers.isAddress(policy.recipient) || policy.recipient.toLowerCase() === ethers.ZeroAddress) {
+        throw new Error('FEES_WALLET must be set to a non-zero address');
     }
-    
-    // Handle claim links and airdrop links
-    if (startParam) {
-        if (startParam.startsWith('claim_')) {
-            const claimToken = startParam.substring(6);
-            return handleClaimLink(chatId, userId, username, claimToken);
-        } else if (startParam.startsWith('airdrop_')) {
-            const airdropToken = startParam.substring(8);
-            return handleAirdropClaim(chatId, userId, username, airdropToken);
+    if (isNaN(policy.percentage) || policy.percentage < 0 || policy.percentage > 100) {
+        throw new Error('Fee percentage must be between 0 and 100');
+    }
+    if (isNaN(policy.minFee) || policy.minFee < 0) {
+        throw new Error('Minimum fee must be a non-negative number');
+    }
+    if (policy.maxFee !== null && (isNaN(policy.maxFee) || policy.maxFee < policy.minFee)) {
+        throw new Error('Maximum fee must be a number no lower than the minimum fee');
+    }
+}
+
+// Fee settings stored in a fee_settings row - columns left NULL keep the inherited value
+function feeSettingsFromRow(row) {
+    const settings = {};
+    if (row.percentage !== null) settings.percentage = parseFloat(row.percentage);
+    if (row.min_fee !== null) settings.minFee = parseFloat(row.min_fee);
+    if (row.max_fee !== null) settings.maxFee = parseFloat(row.max_fee);
+    return settings;
+}
+
+// Load the global fee policy and group overrides from the database
+async function loadFeeSettings() {
+    const result = await pool.query('SELECT * FROM fee_settings');
+    const policy = { ...DEFAULT_FEE_POLICY };
+    groupFeeOverrides.clear();
+
+    for (const row of result.rows) {
+        if (row.scope === 'global') {
+            Object.assign(policy, feeSettingsFromRow(row));
+            if (row.recipient) policy.recipient = row.recipient;
+            if (row.exempt_user_ids !== null) policy.exemptUserIds = parseIdList(row.exempt_user_ids);
+        } else {
+            groupFeeOverrides.set(row.scope, feeSettingsFromRow(row));
         }
     }
-    
-    // Send welcome message with buttons
-    const keyboard = {
-        inline_keyboard: [
-            [{ text: "💰 Create/View Wallet", callback_data: "create_wallet" }],
-            [{ text: "💸 Transfer All to Funding Wallet", callback_data: username ? `transfer_all_${username}` : "no_username" }],
-            [{ text: "❓ Help", callback_data: "help" }]
-        ]
-    };
-    
-    await bot.sendMessage(chatId, welcomeMessage, { 
-        parse_mode: 'Markdown',
-        reply_markup: keyboard
-    });
-});
 
-// Store withdrawal state
-const withdrawalState = new Map();
+    validateFeePolicy(policy);
+    feePolicy = policy;
+    console.log(`Fee policy loaded: ${feePolicy.percentage}% to ${feePolicy.recipient}, ${groupFeeOverrides.size} group override(s)`);
+}
 
-// Handle callback queries
-bot.on('callback_query', async (callbackQuery) => {
-    const chatId = callbackQuery.message.chat.id;
-    const userId = callbackQuery.from.id;
-    const data = callbackQuery.data;
+// The fee policy for a chat: the global policy plus that group's overrides
+function getFeePolicy(chatId = null) {
+    const overrides = chatId !== null ? groupFeeOverrides.get(chatId.toString()) : null;
+    return overrides ? { ...feePolicy, ...overrides } : feePolicy;
+}
 
-    // Handle no username case
-    if (data === "no_username") {
-        await bot.sendMessage(chatId, "❌ Please set a username in your Telegram profile to use this feature.");
-        return;
+// Work out the fee for a payment under the policy of the chat it was sent from
+function quoteFee(amount, token, fromUserId, chatId = null) {
+    const policy = getFeePolicy(chatId);
+    if (policy.exemptUserIds.includes(fromUserId.toString())) {
+        return { fee: 0, percentage: 0, recipient: policy.recipient, exempt: true };
     }
 
-    // Handle claim wallet actions
-    if (data.startsWith('withdraw_claim_')) {
-        const username = data.replace('withdraw_claim_', '');
-        const claimWallet = claimWallets.get(username);
-        
-        if (!claimWallet) {
-            await bot.sendMessage(chatId, "❌ No claim wallet found.");
-            return;
-        }
+    let fee = amount * policy.percentage / 100;
+    if (token.native) {
+        fee = Math.max(fee, policy.minFee);
+        if (policy.maxFee !== null) fee = Math.min(fee, policy.maxFee);
+    }
+    return { fee, percentage: policy.percentage, recipient: policy.recipient, exempt: false };
+}
 
-        // Set withdrawal state
-        withdrawalState.set(userId, {
-            type: 'claim',
-            username: username,
-            claimWallet: claimWallet
-        });
+function formatFeeQuote(quote, token) {
+    return `${quote.fee.toFixed(6)} ${token.symbol} (${quote.exempt ? 'fee exempt' : `${quote.percentage}%`})`;
+}
 
-        await bot.sendMessage(chatId, "💸 *Withdraw from Claim Wallet*\n\nPlease enter the Monad address where you want to withdraw your funds:", {
-            parse_mode: 'Markdown'
-        });
-        return;
+// One-line summary of a fee policy for help texts and /fees
+function describeFeePolicy(policy) {
+    const limits = [];
+    if (policy.minFee > 0) limits.push(`min ${policy.minFee} ${NATIVE_SYMBOL}`);
+    if (policy.maxFee !== null) limits.push(`max ${policy.maxFee} ${NATIVE_SYMBOL}`);
+    return `${policy.percentage}% of the amount${limits.length > 0 ? ` (${limits.join(', ')})` : ''}`;
+}
+
+// Write the fees ledger rows for a fee transaction
+async function recordFees(transactionHash, fromUserId, fees) {
+    for (const fee of fees) {
+        await pool.query(
+            'INSERT INTO fees (tip_id, airdrop_id, from_user_id, chat_id, amount, token_symbol, percentage, recipient, transaction_hash) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+            [fee.tipId, fee.airdropId, fromUserId.toString(), fee.chatId, fee.amount, fee.tokenSymbol, fee.percentage, fee.recipient, transactionHash]
+        );
     }
+}
 
-    if (data.startsWith('withdraw_funding_')) {
-        const userIdStr = userId.toString();
-        const userWallet = userWallets.get(userIdStr);
-        
-        if (!userWallet) {
-            await bot.sendMessage(chatId, "❌ No funding wallet found.");
-            return;
-        }
+// Send a fee to the fee wallet and record it in the fees ledger. Returns the fee transaction, if any.
+// `jobId` is the payment job the fee is for (see runPaymentJob).
+async function collectFee(senderWallet, { quote, token, fromUserId, chatId = null, tipId = null, airdropId = null, jobId = null }) {
+    if (quote.fee <= 0) return null;
 
-        // Set withdrawal state
-        withdrawalState.set(userId, {
-            type: 'funding',
-            userWallet: userWallet
-        });
+    const fees = [{ tipId, airdropId, chatId: chatId !== null ? chatId.toString() : null, amount: quote.fee, tokenSymbol: getTokenColumn(token), percentage: quote.percentage, recipient: quote.recipient }];
+    const transaction = await sendTransactionWithRetry(senderWallet, buildTransferTx(token, quote.recipient, quote.fee), {
+        record: { purpose: 'fee', userId: fromUserId, jobId, context: { kind: 'fee', fees } }
+    });
+    await recordFees(transaction.hash, fromUserId, fees);
+    await markTransactionRecorded(transaction.hash);
+    return transaction;
+}
 
-        await bot.sendMessage(chatId, "💸 *Withdraw from Funding Wallet*\n\nPlease enter the Monad address where you want to withdraw your funds:", {
-            parse_mode: 'Markdown'
-        });
-        return;
+// Send the fees of several tips to the fee wallet in one transaction, with a fees ledger row per tip.
+// `tips` is a list of { tipId, quote }. Payment jobs record `jobId` as their fee_job_id (see collectJobFee).
+// Returns the fee transaction, if any.
+async function collectTipFees(senderWallet, { tips, token, fromUserId, chatId = null, jobId = null }) {
+    const total = tips.reduce((sum, tip) => sum + tip.quote.fee, 0);
+    if (total <= 0) return null;
+
+    const fees = tips
+        .filter(tip => tip.quote.fee > 0)
+        .map(({ tipId, quote }) => ({ tipId, airdropId: null, chatId: chatId !== null ? chatId.toString() : null, amount: quote.fee, tokenSymbol: getTokenColumn(token), percentage: quote.percentage, recipient: quote.recipient }));
+    const transaction = await sendTransactionWithRetry(senderWallet, buildTransferTx(token, tips[0].quote.recipient, total), {
+        record: { purpose: 'fee', userId: fromUserId, jobId, context: { kind: 'fee', fees } }
+    });
+    await recordFees(transaction.hash, fromUserId, fees);
+    await markTransactionRecorded(transaction.hash);
+    return transaction;
+}
+
+// Claim wallets are keyed by username, because that's what tips are sent to, and bound to the
+// Telegram user id that claims them first. After that only that user id can see or move the funds, even
+// if the username later belongs to someone else. /relink moves a wallet to its owner's new username.
+const RELINKED_KEY_PREFIX = 'relinked:';
+// Tips by reply can reach users without a username; their claim wallet is keyed by user id instead
+const USER_ID_KEY_PREFIX = 'id:';
+
+// How a claim wallet key reads in messages
+function describeClaimKey(key) {
+    return key.startsWith(USER_ID_KEY_PREFIX) ? 'your user id' : `@${key}`;
+}
+
+// Bind a claim wallet to a Telegram user unless someone already owns it. Returns the owner's id.
+async function bindClaimWallet(key, wallet, userId) {
+    if (!wallet.ownerUserId) {
+        const result = await pool.query(
+            'UPDATE claim_wallets SET owner_user_id = COALESCE(owner_user_id, $1), telegram_user_id = CASE WHEN owner_user_id IS NULL THEN $1 ELSE telegram_user_id END WHERE username = $2 RETURNING owner_user_id',
+            [userId.toString(), key]
+        );
+        wallet.ownerUserId = result.rows.length > 0 ? result.rows[0].owner_user_id : userId.toString();
     }
+    return wallet.ownerUserId;
+}
 
-    if (data.startsWith('transfer_all_')) {
-        const username = data.replace('transfer_all_', '');
-        const claimWallet = claimWallets.get(username);
-        
-        if (!claimWallet) {
-            await bot.sendMessage(chatId, "❌ You don't have any tips to claim yet.");
-            return;
+// Find the claim wallet a Telegram user may use: the one for their username (bound to them on
+// first use), otherwise one they own under an old username.
+// Returns { key, wallet }, or { error } with 'none' or 'taken' (their username's wallet has another owner).
+async function getClaimWalletForUser(userId, username, { bind = true } = {}) {
+    const ownerId = userId.toString();
+    let taken = false;
+
+    const wallet = username ? claimWallets.get(username) : null;
+    if (wallet) {
+        const owner = bind ? await bindClaimWallet(username, wallet, ownerId) : wallet.ownerUserId;
+        if (!owner || owner === ownerId) {
+            return { key: username, wallet };
         }
+        taken = true;
+    }
 
-        const balance = await getWalletBalance(claimWallet.publicKey);
-        
-        if (balance <= NETWORK_FEE) {
-            await bot.sendMessage(chatId, `❌ Insufficient balance in claim wallet. Balance: ${balance.toFixed(6)} MON`);
-            return;
+    for (const [key, ownedWallet] of claimWallets.entries()) {
+        if (ownedWallet.ownerUserId === ownerId && !key.startsWith(RELINKED_KEY_PREFIX)) {
+            return { key, wallet: ownedWallet };
         }
+    }
 
-        // Create or get funding wallet
-        let userWallet = userWallets.get(userId.toString());
-        if (!userWallet) {
-            const wallet = ethers.Wallet.createRandom();
-            userWallet = {
-                privateKey: wallet.privateKey,
-                publicKey: wallet.address
-            };
-            userWallets.set(userId.toString(), userWallet);
-            await saveWallet(userId.toString(), userWallet);
-        }
+    return { error: taken ? 'taken' : 'none' };
+}
 
-        try {
-            // Transfer all from claim wallet to funding wallet
-            const senderWallet = createWalletFromPrivateKey(claimWallet.privateKey);
-            
-            // Estimate gas for the transaction
-            await rateLimitedDelay();
-            const gasEstimate = await provider.estimateGas({
-                from: senderWallet.address,
-                to: userWallet.publicKey,
-                value: ethers.parseEther(balance.toString())
-            });
-            
-            await rateLimitedDelay();
-            const gasPrice = await provider.getFeeData();
-            const gasCost = parseFloat(ethers.formatEther(gasEstimate * gasPrice.gasPrice));
-            
-            // Calculate amount to send (balance - gas cost - small buffer)
-            const amountToSend = balance - gasCost - 0.00001;
-            
-            if (amountToSend <= 0) {
-                await bot.sendMessage(chatId, `❌ Insufficient balance to cover gas fees. Balance: ${balance.toFixed(6)} MON, Gas: ${gasCost.toFixed(6)} MON`);
-                return;
-            }
+// Shown when a username's claim wallet belongs to whoever had the username before
+function describeTakenClaimWallet(username) {
+    return `❌ The claim wallet for @${username} belongs to the Telegram account that used this username before you. Payments sent to @${username} go there until that account runs /relink.`;
+}
 
-            const tx = {
-                to: userWallet.publicKey,
-                value: ethers.parseEther(amountToSend.toString())
-            };
+// Move a claim wallet to its owner's new username, along with its unclaimed tips. If the new
+// username already has a wallet the funds are swept into it, and the old one is archived so the
+// old username is free for whoever has it now. Returns { transfers } or { error }.
+async function relinkClaimWallet(oldKey, newUsername, userId) {
+    const oldWallet = claimWallets.get(oldKey);
+    const existing = claimWallets.get(newUsername);
+    let transfers = [];
+
+    if (existing) {
+        if (await bindClaimWallet(newUsername, existing, userId) !== userId.toString()) {
+            return { error: describeTakenClaimWallet(newUsername) };
+        }
 
-            const transaction = await senderWallet.sendTransaction(tx);
-            await transaction.wait();
+        // Nothing is moved (and no error is raised) when the old wallet can't cover the gas
+        ({ transfers } = await sweepWallet(createWalletFromPrivateKey(oldWallet.privateKey), existing.publicKey, userId));
+        await recordWithdrawals(userId, { kind: 'transfer', walletType: 'claim', destination: existing.publicKey }, transfers);
 
-            // Update claim wallet balance
-            claimWallet.amount = 0;
-            await saveWallet(username, claimWallet, true);
+        existing.amount = (existing.amount || 0) + (oldWallet.amount || 0);
+        await saveWallet(newUsername, existing, true);
 
-            const message = `✅ *Transfer Successful!*
+        const archivedKey = `${RELINKED_KEY_PREFIX}${oldKey}:${Date.now()}`;
+        await pool.query('UPDATE claim_wallets SET username = $1, amount = 0 WHERE username = $2', [archivedKey, oldKey]);
+        oldWallet.amount = 0;
+        claimWallets.delete(oldKey);
+        claimWallets.set(archivedKey, oldWallet);
+    } else {
+        await pool.query('UPDATE claim_wallets SET username = $1 WHERE username = $2', [newUsername, oldKey]);
+        claimWallets.delete(oldKey);
+        claimWallets.set(newUsername, oldWallet);
+    }
 
-💰 Amount: ${amountToSend.toFixed(6)} MON
-📍 From: Claim Wallet
-📍 To: Funding Wallet
-🔗 [View Transaction](${getTransactionLink(transaction.hash)})
+    await pool.query(
+        'UPDATE claim_links SET recipient_username = $1 WHERE recipient_username = $2 AND claimed = FALSE AND expired = FALSE',
+        [newUsername, oldKey]
+    );
+    return { transfers };
+}
 
-Your funds are now in your funding wallet!`;
+// Show a user's claim wallet with its management buttons. Opening it claims the tips in it,
+// so they no longer expire.
+async function sendClaimWallet(chatId, userId, username) {
+    const { key, wallet: claimWallet, error } = await getClaimWalletForUser(userId, username);
 
-            await bot.sendMessage(chatId, message, { 
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true
-            });
-        } catch (error) {
-            console.error('Transfer error:', error);
-            await bot.sendMessage(chatId, `❌ Transfer failed: ${error.message}`);
-        }
+    if (error === 'taken') {
+        await bot.sendMessage(chatId, describeTakenClaimWallet(username));
+        return;
+    }
+    if (!claimWallet) {
+        await bot.sendMessage(chatId, username
+            ? "❌ No tips to claim yet. When someone tips you, you'll be able to claim it here!"
+            : "❌ Please set a username in your Telegram profile to claim tips.");
         return;
     }
 
-    if (data === "create_wallet") {
-        const userIdStr = userId.toString();
-        let wallet = userWallets.get(userIdStr);
-        
-        if (!wallet) {
-            // Create new wallet
-            const newWallet = ethers.Wallet.createRandom();
-            wallet = {
-                privateKey: newWallet.privateKey,
-                publicKey: newWallet.address
-            };
-            userWallets.set(userIdStr, wallet);
-            await saveWallet(userIdStr, wallet);
-        }
-        
-        const balance = await getWalletBalance(wallet.publicKey);
-        
-        const message = `💰 *Your Funding Wallet*
+    await markTipsClaimed(key);
 
-📍 Address: \`${wallet.publicKey}\`
-💵 Balance: ${balance.toFixed(6)} MON
+    const balance = await getWalletBalance(claimWallet.publicKey);
+    const relinkNote = username && key !== username
+        ? `\n\n⚠️ This wallet is linked to ${escapeMarkdown(describeClaimKey(key))}, not @${escapeMarkdown(username)}. Use /relink to move it.`
+        : '';
 
-⚠️ *Important:* Fund this wallet to send tips!
+    const message = `💰 *Your Claim Wallet*
 
-Use /balance to check your balance anytime.`;
+📍 Address: \`${claimWallet.publicKey}\`
+💵 Balance: ${balance.toFixed(6)} ${NATIVE_SYMBOL}${await formatTokenBalances(claimWallet.publicKey)}
+🔍 [View on Explorer](${getAddressLink(claimWallet.publicKey)})
 
-        const keyboard = {
-            inline_keyboard: [
-                [{ text: "🔑 Show Private Key", callback_data: "show_private_key" }],
-                [{ text: "💸 Withdraw", callback_data: `withdraw_funding_${userId}` }]
-            ]
-        };
+Use the buttons below to manage your tips!${relinkNote}`;
 
-        await bot.sendMessage(chatId, message, { 
-            parse_mode: 'Markdown',
-            reply_markup: keyboard
-        });
+    const keyboard = {
+        inline_keyboard: [
+            [{ text: "💸 Transfer All to Funding Wallet", callback_data: "transfer_all" }],
+            [{ text: "💸 Withdraw to External Address", callback_data: "withdraw_claim" }],
+            [{ text: "🔑 Show Private Key", callback_data: "show_claim_private" }]
+        ]
+    };
+
+    await bot.sendMessage(chatId, message, { 
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        reply_markup: keyboard
+    });
+}
+
+// Helper function to get or create a recipient's claim wallet
+async function getOrCreateClaimWallet(recipientUsername, fromUserId) {
+    let recipientWallet = claimWallets.get(recipientUsername);
+    if (!recipientWallet) {
+        const wallet = ethers.Wallet.createRandom();
+        recipientWallet = {
+            privateKey: encryptPrivateKey(wallet.privateKey),
+            publicKey: wallet.address,
+            fromUserId: fromUserId,
+            amount: 0
+        };
+        claimWallets.set(recipientUsername, recipientWallet);
+        await saveWallet(recipientUsername, recipientWallet, true);
     }
-    else if (data === "show_private_key") {
-        const userIdStr = userId.toString();
-        const wallet = userWallets.get(userIdStr);
-        
-        if (!wallet) {
-            await bot.sendMessage(chatId, "❌ No wallet found. Use /start to create one.");
-            return;
-        }
+    return recipientWallet;
+}
 
-        const message = `🔑 *Your Private Key*
+// Claim wallet key for tipping a Telegram user known by id: a wallet they own, or their username's
+// unowned one. Otherwise (no username, or their username's wallet belongs to someone else) the
+// wallet is keyed by their user id.
+async function getClaimWalletKeyForUser(userId, username) {
+    const { key, error } = await getClaimWalletForUser(userId, username, { bind: false });
+    if (!error) return key;
+    return error === 'none' && username ? username : `${USER_ID_KEY_PREFIX}${userId}`;
+}
 
-⚠️ *KEEP THIS SECRET!* ⚠️
+// Payment jobs. Every tip sent with sendTipPayment is a row in payment_jobs, keyed by an
+// idempotency key taken from whatever asked for it (chat and message id for /pay). The row records
+// how far the payment got, so an interrupted one is finished from where it stopped and a replayed
+// command finds its job instead of paying twice.
+// Statuses: pending (tip not confirmed yet), sent (tip confirmed), recorded (tips row and claim
+// link written), then completed (fee paid) or failed.
+const PAYMENT_JOB_DUPLICATE_WINDOW = 10 * 60 * 1000; // Same payment again this soon looks like a retry
+const runningPaymentJobs = new Map(); // job id -> the run in progress
+
+// Create a payment job. Returns null if there already is one with this idempotency key.
+async function createPaymentJob({ idempotencyKey, fromUserId, fromUsername, recipientUsername, recipientUserId, amount, feeQuote, token, chatId, source }) {
+    const result = await pool.query(
+        `INSERT INTO payment_jobs (idempotency_key, from_user_id, from_username, recipient_username, recipient_user_id, amount, token_symbol, fee_amount, fee_percentage, fee_recipient, chat_id, source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (idempotency_key) DO NOTHING
+         RETURNING *`,
+        [
+            idempotencyKey,
+            fromUserId.toString(),
+            fromUsername,
+            recipientUsername,
+            recipientUserId,
+            amount,
+            getTokenColumn(token),
+            feeQuote.fee,
+            feeQuote.percentage,
+            feeQuote.recipient,
+            chatId !== null ? chatId.toString() : null,
+            source
+        ]
+    );
+    return result.rows[0] || null;
+}
 
-\`${wallet.privateKey}\`
+async function updatePaymentJob(job, changes) {
+    const columns = Object.keys(changes);
+    await pool.query(
+        `UPDATE payment_jobs SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE id = $1`,
+        [job.id, ...columns.map(column => changes[column])]
+    );
+    Object.assign(job, changes);
+}
 
-Never share this with anyone!
-Delete this message after saving it securely.`;
+// Mark a job failed and return the error to throw
+async function failPaymentJob(job, message) {
+    await updatePaymentJob(job, { status: 'failed', error: message });
+    return new Error(message);
+}
 
-        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+// The latest ledger transaction with this purpose ('tip' or 'fee') sent for a job. Transactions are
+// in the ledger before they are broadcast, so without one nothing was sent.
+async function findJobTransaction(jobId, purpose) {
+    const result = await pool.query(
+        'SELECT * FROM outgoing_transactions WHERE job_id = $1 AND purpose = $2 ORDER BY id DESC LIMIT 1',
+        [jobId, purpose]
+    );
+    return result.rows[0] || null;
+}
+
+// Status of a job's ledger transaction, checking the chain if it is still pending there.
+// Returns null while it may still be mined.
+async function settleJobTransaction(row) {
+    if (row.status !== 'pending') return row.status;
+    const outcome = await getTransactionOutcome(row);
+    if (!outcome) return null;
+    await setTransactionStatus(row.transaction_hash, outcome.status, { blockNumber: outcome.blockNumber });
+    return outcome.status;
+}
+
+// The tip context recorded with a job's tip transaction (see recordTip)
+function getJobTip(job) {
+    return {
+        kind: 'tip',
+        fromUserId: job.from_user_id,
+        fromUsername: job.from_username,
+        recipientUsername: job.recipient_username,
+        amount: parseFloat(job.amount),
+        feeAmount: parseFloat(job.fee_amount),
+        tokenSymbol: job.token_symbol,
+        source: job.source,
+        chatId: job.chat_id,
+        claimLink: true
+    };
+}
+
+function getJobFeeQuote(job) {
+    return { fee: parseFloat(job.fee_amount), percentage: parseFloat(job.fee_percentage), recipient: job.fee_recipient };
+}
+
+// Run a payment job from wherever it stopped. Returns { transactionHash, claimLink, gasStipend, tipId }.
+// Only the run that created the job (`send`) broadcasts the tip: a job picked up later without a tip
+// transaction in the ledger is failed, never sent late. With `deferFee` the job stops before its fee,
+// which the caller collects for several jobs at once (see collectTipFees and completePaymentJobs).
+function runPaymentJob(job, options = {}) {
+    let run = runningPaymentJobs.get(job.id);
+    if (!run) {
+        run = advancePaymentJob(job, options).finally(() => runningPaymentJobs.delete(job.id));
+        runningPaymentJobs.set(job.id, run);
     }
-    else if (data === "help") {
-        await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+    return run;
+}
+
+async function advancePaymentJob(job, { send = false, deferFee = false, onSent, onConfirming, onConfirmed } = {}) {
+    const token = resolveToken(job.token_symbol);
+    const userWallet = userWallets.get(job.from_user_id);
+    if (!token || !userWallet) {
+        throw job.status === 'pending' ? await failPaymentJob(job, 'Unknown token or wallet') : new Error('Unknown token or wallet');
     }
-    else if (data === "check_claim") {
-        const username = callbackQuery.from.username ? callbackQuery.from.username.toLowerCase() : null;
-        
-        if (!username) {
-            await bot.sendMessage(chatId, "❌ Please set a username in your Telegram profile to claim tips.");
-            return;
+    const senderWallet = createWalletFromPrivateKey(userWallet.privateKey);
+    const tip = getJobTip(job);
+    let gasStipend = 0;
+
+    // Step 1: the tip transaction - adopted from the ledger if one was already sent
+    if (job.status === 'pending') {
+        const previous = await findJobTransaction(job.id, 'tip');
+        let tipHash;
+        if (previous) {
+            const status = await settleJobTransaction(previous);
+            if (!status) throw new Error('The payment is still waiting to be confirmed');
+            if (status !== 'confirmed') throw await failPaymentJob(job, `Transaction ${status}`);
+            tipHash = previous.transaction_hash;
+        } else if (!send) {
+            throw await failPaymentJob(job, 'Interrupted before it was sent');
+        } else {
+            let sendingTip = false;
+            try {
+                const recipientWallet = await getOrCreateClaimWallet(job.recipient_username, job.from_user_id);
+                if (job.recipient_user_id) {
+                    await bindClaimWallet(job.recipient_username, recipientWallet, job.recipient_user_id);
+                }
+                gasStipend = token.native ? 0 : await ensureGasStipend(senderWallet, recipientWallet.publicKey, { jobId: job.id });
+
+                sendingTip = true;
+                const transaction = await sendTransactionWithRetry(senderWallet, buildTransferTx(token, recipientWallet.publicKey, tip.amount), {
+                    record: { purpose: 'tip', userId: job.from_user_id, jobId: job.id, context: tip },
+                    onSent,
+                    onConfirming,
+                    onConfirmed
+                });
+                tipHash = transaction.hash;
+            } catch (error) {
+                // Left pending for the reconciler if the tip transaction may still land
+                if (sendingTip && error.pendingTransactionHash) {
+                    throw new Error(`${error.message}. It may still go through - you'll get a message once it's settled`);
+                }
+                await failPaymentJob(job, error.message);
+                throw error;
+            }
         }
+        await updatePaymentJob(job, { status: 'sent', tip_transaction_hash: tipHash });
+    }
 
-        const claimWallet = claimWallets.get(username);
-        
-        if (!claimWallet) {
-            await bot.sendMessage(chatId, "❌ No tips to claim yet.");
-            return;
+    // Step 2: the tips row (with the claim wallet amount) and the claim link, each written once
+    const transactionHash = job.tip_transaction_hash;
+    if (job.status === 'sent') {
+        if (!job.tip_id) {
+            const existing = await pool.query('SELECT id FROM tips WHERE transaction_signature = $1', [transactionHash]);
+            await updatePaymentJob(job, { tip_id: existing.rows.length > 0 ? existing.rows[0].id : await recordTip(transactionHash, tip) });
         }
+        if (!job.claim_link) {
+            const existing = await pool.query('SELECT claim_token FROM claim_links WHERE transaction_hash = $1', [transactionHash]);
+            await updatePaymentJob(job, { claim_link: existing.rows.length > 0 ? await getClaimLinkUrl(existing.rows[0].claim_token) : await createClaimLink(transactionHash, tip) });
+        }
+        await markTransactionRecorded(transactionHash);
+        await updatePaymentJob(job, { status: 'recorded' });
+    }
 
-        const balance = await getWalletBalance(claimWallet.publicKey);
-
-        const message = `💰 *Your Claim Wallet*
-
-📍 Address: \`${claimWallet.publicKey}\`
-💵 Balance: ${balance.toFixed(6)} MON
+    // Step 3: the fee. The tip went through either way, so a failed fee is only retried later.
+    if (job.status === 'recorded' && !deferFee) {
+        try {
+            await collectJobFee(job, token, senderWallet);
+        } catch (error) {
+            console.error(`Fee collection error (payment job ${job.id}):`, error);
+        }
+    }
 
-Use the buttons below to manage your tips!`;
+    return { transactionHash, claimLink: job.claim_link, gasStipend, tipId: job.tip_id };
+}
 
-        const keyboard = {
-            inline_keyboard: [
-                [{ text: "💸 Transfer All to Funding Wallet", callback_data: `transfer_all_${username}` }],
-                [{ text: "💸 Withdraw to External Address", callback_data: `withdraw_claim_${username}` }],
-                [{ text: "🔑 Show Private Key", callback_data: `show_claim_private_${username}` }]
-            ]
-        };
+// Pay a job's fee, unless a fee transaction covering it already went out. Jobs paid together
+// (see sendMultiPayment) find their shared fee transaction under fee_job_id.
+async function collectJobFee(job, token, senderWallet) {
+    const previous = await findJobTransaction(job.fee_job_id || job.id, 'fee');
+    const status = previous ? await settleJobTransaction(previous) : null;
+    if (previous && !status) throw new Error('The fee transaction is still waiting to be confirmed');
 
-        await bot.sendMessage(chatId, message, { 
-            parse_mode: 'Markdown',
-            reply_markup: keyboard
-        });
-    }
-    else if (data.startsWith('show_claim_private_')) {
-        const username = data.replace('show_claim_private_', '');
-        const claimWallet = claimWallets.get(username);
-        
-        if (!claimWallet) {
-            await bot.sendMessage(chatId, "❌ No claim wallet found.");
-            return;
+    let feeHash = null;
+    if (status === 'confirmed') {
+        feeHash = previous.transaction_hash;
+    } else {
+        // Paid on its own from now on
+        if (job.fee_job_id) {
+            await updatePaymentJob(job, { fee_job_id: null });
         }
+        const transaction = await collectFee(senderWallet, { quote: getJobFeeQuote(job), token, fromUserId: job.from_user_id, chatId: job.chat_id, tipId: job.tip_id, jobId: job.id });
+        feeHash = transaction ? transaction.hash : null;
+    }
+    await updatePaymentJob(job, { status: 'completed', fee_transaction_hash: feeHash });
+}
 
-        const message = `🔑 *Your Claim Wallet Private Key*
+// Complete jobs whose fees were collected together (or were all zero)
+async function completePaymentJobs(jobIds, feeHash) {
+    await pool.query(
+        "UPDATE payment_jobs SET status = 'completed', fee_transaction_hash = $2, updated_at = NOW() WHERE id = ANY($1) AND status = 'recorded'",
+        [jobIds, feeHash]
+    );
+}
 
-⚠️ *KEEP THIS SECRET!* ⚠️
+// Send a tip from a funding wallet to a user's claim wallet, as a payment job (see runPaymentJob).
+// This is the full /pay path: tip tx, claim wallet amount, tips row, claim link and fee tx.
+// `idempotencyKey` identifies the request; a key that already has a job is refused.
+// Token tips also top up the claim wallet's gas (see ensureGasStipend).
+// When the recipient's user id is known (tips by reply) their claim wallet is bound to it right away.
+// With `deferFee` the fee is left to the caller, which collects it for several tips at once (see collectTipFees).
+async function sendTipPayment({ idempotencyKey, fromUserId, fromUsername = null, recipientUsername, recipientUserId = null, amount, feeQuote, token = NATIVE_TOKEN, chatId = null, source = 'tip', deferFee = false, onSent, onConfirming, onConfirmed }) {
+    const job = await createPaymentJob({ idempotencyKey, fromUserId, fromUsername, recipientUsername, recipientUserId, amount, feeQuote, token, chatId, source });
+    if (!job) {
+        throw new Error('This payment was already made');
+    }
+    const result = await runPaymentJob(job, { send: true, deferFee, onSent, onConfirming, onConfirmed });
+    return { ...result, jobId: job.id };
+}
 
-\`${claimWallet.privateKey}\`
+// How a job's recipient is shown - claim wallets keyed by user id have no username to show
+function formatJobRecipient(job) {
+    return job.recipient_username.startsWith(USER_ID_KEY_PREFIX) ? 'the tipped member' : `@${escapeMarkdown(job.recipient_username)}`;
+}
 
-Never share this with anyone!
-Delete this message after saving it securely.`;
+function formatJobAmount(job) {
+    return `${parseFloat(job.amount).toFixed(6)} ${job.token_symbol || NATIVE_SYMBOL}`;
+}
 
-        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+// Answer a command whose payment jobs already exist - a retried or replayed update - with where
+// they stand, instead of paying again. Unfinished jobs nobody is running are resumed.
+// Multi-recipient commands have a job per recipient under `<key>:<username>`. Returns true if any were found.
+async function reportExistingPayment(chatId, idempotencyKey) {
+    const result = await pool.query(
+        'SELECT * FROM payment_jobs WHERE idempotency_key = $1 OR idempotency_key LIKE $2 ORDER BY id',
+        [idempotencyKey, `${idempotencyKey}:%`]
+    );
+    if (result.rows.length === 0) return false;
+
+    const states = { pending: '⏳ in progress', sent: '⏳ finishing up', recorded: '✅ sent', completed: '✅ sent', failed: '❌ failed' };
+    const lines = result.rows.map(job => {
+        let line = `${states[job.status]}: ${formatJobAmount(job)} to ${formatJobRecipient(job)}`;
+        if (job.tip_transaction_hash) line += ` - [View transaction](${getTransactionLink(job.tip_transaction_hash)})`;
+        return line;
+    });
+    for (const job of result.rows) {
+        if (['pending', 'sent', 'recorded'].includes(job.status) && !runningPaymentJobs.has(job.id)) {
+            resumePaymentJob(job);
+        }
     }
 
-    await bot.answerCallbackQuery(callbackQuery.id);
-});
+    await bot.sendMessage(chatId, `ℹ️ This payment was already handled and won't be sent again.\n\n${lines.join('\n')}`, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+    });
+    return true;
+}
 
-// Handle text messages for withdrawal address input
-bot.on('message', async (msg) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const text = msg.text;
+// An unfinished payment from the last few minutes with the same sender, recipient and amount -
+// most likely the same command sent again because the first one seemed stuck
+async function findUnfinishedPaymentJob(fromUserId, recipientUsername, amount, token) {
+    const result = await pool.query(
+        `SELECT * FROM payment_jobs
+         WHERE from_user_id = $1 AND recipient_username = $2 AND amount = $3 AND token_symbol IS NOT DISTINCT FROM $4
+           AND status = 'pending' AND created_at > $5
+         ORDER BY id DESC LIMIT 1`,
+        [fromUserId.toString(), recipientUsername, amount, getTokenColumn(token), new Date(Date.now() - PAYMENT_JOB_DUPLICATE_WINDOW)]
+    );
+    return result.rows[0] || null;
+}
 
-    // Check if user is in withdrawal state
-    const state = withdrawalState.get(userId);
-    if (!state) return;
+// Database side of a tip that landed: the tips row, then the recipient's claim wallet amount
+// (which tracks the native token only). `tip` is the context recorded with the transaction.
+// Returns the tip id.
+async function recordTip(transactionHash, tip) {
+    const tipResult = await pool.query(
+        'INSERT INTO tips (from_user_id, from_username, to_username, amount, fee_amount, transaction_signature, token_symbol, source, chat_id, giveaway_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id',
+        [tip.fromUserId, tip.fromUsername, tip.recipientUsername, tip.amount, tip.feeAmount, transactionHash, tip.tokenSymbol, tip.source, tip.chatId, tip.giveawayId || null]
+    );
+
+    const recipientWallet = claimWallets.get(tip.recipientUsername);
+    if (!tip.tokenSymbol && recipientWallet) {
+        recipientWallet.amount = (recipientWallet.amount || 0) + tip.amount;
+        await saveWallet(tip.recipientUsername, recipientWallet, true);
+    }
+    return tipResult.rows[0].id;
+}
 
-    // Check if message is a command
-    if (text && text.startsWith('/')) return;
+// Generate a unique claim link for a tip
+async function createClaimLink(transactionHash, tip) {
+    const claimToken = generateClaimToken();
+    await pool.query(
+        'INSERT INTO claim_links (claim_token, recipient_username, amount, from_user_id, transaction_hash, token_symbol, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+        [claimToken, tip.recipientUsername, tip.amount, tip.fromUserId, transactionHash, tip.tokenSymbol, getClaimLinkExpiry()]
+    );
+    return getClaimLinkUrl(claimToken);
+}
 
-    // Validate Ethereum address
-    if (!ethers.isAddress(text)) {
-        await bot.sendMessage(chatId, "❌ Invalid Monad address. Please enter a valid address.");
-        return;
-    }
+async function getClaimLinkUrl(claimToken) {
+    const botUsername = (await bot.getMe()).username;
+    return `https://t.me/${botUsername}?start=claim_${claimToken}`;
+}
 
+// Notify a tip recipient with a claim button - by DM when we know their user id,
+// otherwise by mentioning them in the group the tip was sent from (if any).
+// Tips by reply pass `replyTo` ({ messageId, userId, name }) and are announced under the tipped message.
+async function notifyTipRecipient({ recipientUsername, amount, senderUsername, transactionHash, claimLink, groupChatId = null, token = NATIVE_TOKEN, replyTo = null }) {
     try {
-        if (state.type === 'claim') {
-            // Withdraw from claim wallet
-            const claimWallet = state.claimWallet;
-            const balance = await getWalletBalance(claimWallet.publicKey);
-            
-            if (balance <= 0.0001) {
-                await bot.sendMessage(chatId, `❌ Insufficient balance. Balance: ${balance.toFixed(6)} MON`);
-                withdrawalState.delete(userId);
-                return;
-            }
+        const recipientNotification = `🎉 *You received a payment!*
 
-            const senderWallet = createWalletFromPrivateKey(claimWallet.privateKey);
-            
-            // Estimate gas for the transaction
-            await rateLimitedDelay();
-            const gasEstimate = await provider.estimateGas({
-                from: senderWallet.address,
-                to: text,
-                value: ethers.parseEther(balance.toString())
-            });
-            
-            await rateLimitedDelay();
-            const gasPrice = await provider.getFeeData();
-            const gasCost = parseFloat(ethers.formatEther(gasEstimate * gasPrice.gasPrice));
-            
-            // Calculate amount to send (balance - gas cost - small buffer)
-            const amountToSend = balance - gasCost - 0.00001;
-            
-            if (amountToSend <= 0) {
-                await bot.sendMessage(chatId, `❌ Insufficient balance to cover gas fees. Balance: ${balance.toFixed(6)} MON, Gas: ${gasCost.toFixed(6)} MON`);
-                withdrawalState.delete(userId);
-                return;
-            }
-
-            const tx = {
-                to: text,
-                value: ethers.parseEther(amountToSend.toString())
-            };
-
-            const transaction = await senderWallet.sendTransaction(tx);
-            await transaction.wait();
-
-            // Update claim wallet balance
-            claimWallet.amount = 0;
-            await saveWallet(state.username, claimWallet, true);
-
-            const message = `✅ *Withdrawal Successful!*
+💰 Amount: ${amount.toFixed(6)} ${token.symbol}
+👤 From: @${senderUsername}
+🔗 [View Transaction](${getTransactionLink(transactionHash)})
 
-💰 Amount: ${amountToSend.toFixed(6)} MON
-📍 To: \`${text}\`
-🔗 [View Transaction](${getTransactionLink(transaction.hash)})`;
+Click the button below to claim your payment!${CLAIM_WINDOW_DAYS > 0 ? ` Unclaimed payments go back to the sender after ${CLAIM_WINDOW_DAYS} days.` : ''}`;
 
-            await bot.sendMessage(chatId, message, { 
+        if (replyTo && groupChatId) {
+            const mention = `[${escapeMarkdown(replyTo.name)}](tg://user?id=${replyTo.userId})`;
+            await bot.sendMessage(groupChatId, `🎉 ${mention} you received a payment of ${amount.toFixed(6)} ${token.symbol} from @${escapeMarkdown(senderUsername)}!\n\nClick the button below to claim your payment!`, {
                 parse_mode: 'Markdown',
-                disable_web_page_preview: true
-            });
-        } else if (state.type === 'funding') {
-            // Withdraw from funding wallet
-            const userWallet = state.userWallet;
-            const balance = await getWalletBalance(userWallet.publicKey);
-            
-            if (balance <= 0.0001) {
-                await bot.sendMessage(chatId, `❌ Insufficient balance. Balance: ${balance.toFixed(6)} MON`);
-                withdrawalState.delete(userId);
-                return;
-            }
-
-            const senderWallet = createWalletFromPrivateKey(userWallet.privateKey);
-            
-            // Estimate gas for the transaction
-            await rateLimitedDelay();
-            const gasEstimate = await provider.estimateGas({
-                from: senderWallet.address,
-                to: text,
-                value: ethers.parseEther(balance.toString())
+                reply_to_message_id: replyTo.messageId,
+                allow_sending_without_reply: true,
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '💰 Claim Payment', url: claimLink }
+                    ]]
+                }
+            }).catch((error) => {
+                console.log(`Could not send in-thread notification: ${error.message}`);
             });
-            
-            await rateLimitedDelay();
-            const gasPrice = await provider.getFeeData();
-            const gasCost = parseFloat(ethers.formatEther(gasEstimate * gasPrice.gasPrice));
-            
-            // Calculate amount to send (balance - gas cost - small buffer)
-            const amountToSend = balance - gasCost - 0.00001;
-            
-            if (amountToSend <= 0) {
-                await bot.sendMessage(chatId, `❌ Insufficient balance to cover gas fees. Balance: ${balance.toFixed(6)} MON, Gas: ${gasCost.toFixed(6)} MON`);
-                withdrawalState.delete(userId);
-                return;
-            }
-
-            const tx = {
-                to: text,
-                value: ethers.parseEther(amountToSend.toString())
-            };
+            return;
+        }
 
-            const transaction = await senderWallet.sendTransaction(tx);
-            await transaction.wait();
+        let recipientUserId = null;
 
-            const message = `✅ *Withdrawal Successful!*
+        // First, try to get from database
+        const recipientData = await pool.query(
+            'SELECT telegram_user_id FROM claim_wallets WHERE username = $1',
+            [recipientUsername]
+        );
 
-💰 Amount: ${amountToSend.toFixed(6)} MON
-📍 To: \`${text}\`
-🔗 [View Transaction](${getTransactionLink(transaction.hash)})`;
+        if (recipientData.rows.length > 0 && recipientData.rows[0].telegram_user_id) {
+            recipientUserId = recipientData.rows[0].telegram_user_id;
+        }
 
-            await bot.sendMessage(chatId, message, { 
+        if (recipientUserId) {
+            // Send direct message to recipient with claim button
+            await bot.sendMessage(recipientUserId, recipientNotification, {
                 parse_mode: 'Markdown',
-                disable_web_page_preview: true
+                disable_web_page_preview: true,
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '💰 Claim Payment', url: claimLink }
+                    ]]
+                }
+            }).catch((error) => {
+                console.log(`Could not send direct notification to @${recipientUsername}: ${error.message}`);
+            });
+        } else if (groupChatId) {
+            // Send notification in the group chat mentioning the user with claim button
+            const groupNotification = `🎉 @${recipientUsername} you received a payment of ${amount.toFixed(6)} ${token.symbol} from @${senderUsername}!\n\nClick the button below to claim your payment!`;
+            await bot.sendMessage(groupChatId, groupNotification, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '💰 Claim Payment', url: claimLink }
+                    ]]
+                }
+            }).catch((error) => {
+                console.log(`Could not send group notification: ${error.message}`);
             });
+        } else {
+            console.log(`No way to notify @${recipientUsername} yet - they can still use /claim`);
         }
-
-        withdrawalState.delete(userId);
-    } catch (error) {
-        console.error('Withdrawal error:', error);
-        await bot.sendMessage(chatId, `❌ Withdrawal failed: ${error.message}`);
-        withdrawalState.delete(userId);
+    } catch (notificationError) {
+        console.error('Error sending recipient notification:', notificationError);
     }
-});
+}
 
-// Handle /help command
-bot.onText(/\/help/, async (msg) => {
+// Handle /start command
+bot.onText(/^\/start(?:\s+(.+))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
     const chatType = msg.chat.type;
+    const userId = msg.from.id;
+    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
+    const startParam = match[1]; // Get the start parameter if any
     
     // Only works in private chats
     if (chatType === 'group' || chatType === 'supergroup') {
         const botUsername = (await bot.getMe()).username;
-        await bot.sendMessage(chatId, `❌ Please use /help in a private message with @${botUsername}!`);
+        await bot.sendMessage(chatId, `❌ Please use /start in a private message with @${botUsername}!`);
         return;
     }
     
-    await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+    // Handle claim links and airdrop links
+    if (startParam) {
+        if (startParam.startsWith('claim_')) {
+            const claimToken = startParam.substring(6);
+            return handleClaimLink(chatId, userId, username, claimToken);
+        } else if (startParam.startsWith('airdrop_')) {
+            const airdropToken = startParam.substring(8);
+            return handleAirdropClaim(chatId, userId, username, airdropToken);
+        }
+    }
+    
+    // Send welcome message with buttons
+    const keyboard = {
+        inline_keyboard: [
+            [{ text: "💰 Create/View Wallet", callback_data: "create_wallet" }],
+            [{ text: "💸 Transfer All to Funding Wallet", callback_data: "transfer_all" }],
+            [{ text: "❓ Help", callback_data: "help" }]
+        ]
+    };
+    
+    await bot.sendMessage(chatId, buildWelcomeMessage(), { 
+        parse_mode: 'Markdown',
+        reply_markup: keyboard
+    });
 });
 
-// Handle /balance command
-bot.onText(/\/balance/, async (msg) => {
-    const chatId = msg.chat.id;
-    const chatType = msg.chat.type;
-    const userId = msg.from.id.toString();
-    
-    // Only works in private chats
-    if (chatType === 'group' || chatType === 'supergroup') {
-        const botUsername = (await bot.getMe()).username;
-        await bot.sendMessage(chatId, `❌ Please use /balance in a private message with @${botUsername}!`);
+// Store withdrawal state
+const withdrawalState = new Map();
+
+// Handle callback queries
+bot.on('callback_query', async (callbackQuery) => {
+    const data = callbackQuery.data;
+
+    // Buttons on inline mode messages come without a message
+    if (data.startsWith('inlinetip_')) {
+        await handleInlineTipCallback(callbackQuery);
         return;
     }
-    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
-    
-    const userWallet = userWallets.get(userId);
-    const claimWallet = username ? claimWallets.get(username) : null;
-    
-    let message = "💰 *Your Balances*\n\n";
-    
-    if (userWallet) {
-        const balance = await getWalletBalance(userWallet.publicKey);
-        message += `*Funding Wallet:* ${balance.toFixed(6)} MON\n`;
-        message += `Address: \`${userWallet.publicKey}\`\n\n`;
-    } else {
-        message += "*Funding Wallet:* Not created\nUse /start to create one\n\n";
+    if (!callbackQuery.message) {
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
     }
-    
-    if (claimWallet) {
-        const balance = await getWalletBalance(claimWallet.publicKey);
-        message += `*Claim Wallet:* ${balance.toFixed(6)} MON\n`;
-        message += `Address: \`${claimWallet.publicKey}\``;
-    } else {
-        message += "*Claim Wallet:* No tips received yet";
+
+    const chatId = callbackQuery.message.chat.id;
+    const userId = callbackQuery.from.id;
+
+    // Handle no username case
+    if (data === "no_username") {
+        await bot.sendMessage(chatId, "❌ Please set a username in your Telegram profile to use this feature.");
+        return;
     }
-    
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-});
 
-// Handle /pay command
-bot.onText(/\/pay (@\w+) (.+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const recipientUsername = match[1].substring(1).toLowerCase(); // Remove @ and convert to lowercase
-    const amount = parseFloat(match[2]);
-    
-    // Validate amount
-    if (isNaN(amount) || amount <= 0) {
-        await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
+    // Handle recurring payment management buttons
+    if (data.startsWith('recurring_')) {
+        await handleRecurringCallback(callbackQuery);
         return;
     }
-    
-    // Check if user has a wallet
-    const userWallet = userWallets.get(userId);
-    if (!userWallet) {
-        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
+
+    // Handle /history pagination
+    if (data.startsWith('history_')) {
+        await handleHistoryCallback(callbackQuery);
         return;
     }
-    
-    // Check balance
-    const balance = await getWalletBalance(userWallet.publicKey);
-    const fee = amount * FEE_PERCENTAGE;
-    const totalRequired = amount + fee + NETWORK_FEE;
-    
-    if (balance < totalRequired) {
-        await bot.sendMessage(chatId, `❌ Insufficient balance!\n\nRequired: ${totalRequired.toFixed(6)} MON\nYour balance: ${balance.toFixed(6)} MON\n\nPlease fund your wallet.`);
+
+    // Handle /privacy settings
+    if (data.startsWith('privacy_')) {
+        await handlePrivacyCallback(callbackQuery);
         return;
     }
-    let setStatus = null;
 
-    try {
-        // Create or get recipient's claim wallet
-        let recipientWallet = claimWallets.get(recipientUsername);
-        if (!recipientWallet) {
-            const wallet = ethers.Wallet.createRandom();
-            recipientWallet = {
-                privateKey: wallet.privateKey,
-                publicKey: wallet.address,
-                fromUserId: userId,
-                amount: 0
-            };
-            claimWallets.set(recipientUsername, recipientWallet);
-            await saveWallet(recipientUsername, recipientWallet, true);
-        }
-        
-        // Send tip
-        const senderWallet = createWalletFromPrivateKey(userWallet.privateKey);
-        
-        const status = {
-            sent: false,
-            confirming: false,
-            success: false,
-            failed: false,
-            errorMessage: '',
-            txHash: null
-        };
+    // Handle claim wallet actions. These are authorized by the user id pressing the button -
+    // buttons from older messages still carry a username suffix, which is ignored.
+    const callbackUsername = callbackQuery.from.username ? callbackQuery.from.username.toLowerCase() : null;
 
-        const buildStatusText = () => {
-            const lines = [
-                '🔄 *Payment Status*',
-                `Recipient: @${recipientUsername}`,
-                `Amount: ${amount.toFixed(6)} MON`
-            ];
-            if ((status.success || status.failed) && status.txHash) {
-                lines.push(`Tx: [View transaction](${getTransactionLink(status.txHash)})`);
-            }
-            lines.push('');
-            lines.push(`${status.failed ? '❌' : status.sent ? '✅' : '⏳'} Sending transaction`);
-            lines.push(`${status.failed ? '❌' : status.success ? '✅' : status.confirming ? '⏳' : '○'} Confirming on-chain`);
-            if (status.failed) {
-                lines.push(`❌ Payment failed: ${status.errorMessage}`);
-            } else if (status.success) {
-                lines.push('✅ Payment successful!');
-            } else {
-                lines.push('○ Payment successful!');
-            }
-            return lines.join('\n');
-        };
+    if (data.startsWith('withdraw_claim')) {
+        const { key, wallet: claimWallet } = await getClaimWalletForUser(userId, callbackUsername);
+        
+        if (!claimWallet) {
+            await bot.sendMessage(chatId, "❌ No claim wallet found.");
+            return;
+        }
 
-        const statusMessage = await bot.sendMessage(chatId, buildStatusText(), {
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true
+        // Set withdrawal state, ending any recurring payment edit in progress
+        recurringEditState.delete(userId);
+        withdrawalState.set(userId, {
+            type: 'claim',
+            username: key,
+            claimWallet: claimWallet
         });
 
-        const updateStatusMessage = async () => {
-            try {
-                await bot.editMessageText(buildStatusText(), {
-                    chat_id: chatId,
-                    message_id: statusMessage.message_id,
-                    parse_mode: 'Markdown',
-                    disable_web_page_preview: true
-                });
-            } catch (statusError) {
-                const description = statusError?.response?.body?.description || '';
-                if (!description.includes('message is not modified')) {
-                    console.error('Error updating status message:', statusError);
-                }
-            }
-        };
+        await bot.sendMessage(chatId, `💸 *Withdraw from Claim Wallet*\n\nPlease enter the ${NETWORK.name} address where you want to withdraw your funds:`, {
+            parse_mode: 'Markdown'
+        });
+        return;
+    }
 
-        setStatus = async (changes) => {
-            Object.assign(status, changes);
-            await updateStatusMessage();
-        };
-        
-        // Get current nonce
-        await rateLimitedDelay();
-        let nonce = await provider.getTransactionCount(senderWallet.address, 'latest');
+    if (data.startsWith('withdraw_funding_')) {
+        const userIdStr = userId.toString();
+        const userWallet = userWallets.get(userIdStr);
         
-        const tx = {
-            to: recipientWallet.publicKey,
-            value: ethers.parseEther(amount.toString()),
-            nonce: nonce
-        };
+        if (!userWallet) {
+            await bot.sendMessage(chatId, "❌ No funding wallet found.");
+            return;
+        }
 
-        const transaction = await sendTransactionWithRetry(senderWallet, tx, {
-            onSent: async (txResponse) => {
-                await setStatus({ sent: true, confirming: true, txHash: txResponse.hash });
-            },
-            onConfirming: async () => {
-                await setStatus({ confirming: true });
-            },
-            onConfirmed: async (txResponse) => {
-                await setStatus({ confirming: false, success: true, txHash: txResponse.hash });
-            }
+        // Set withdrawal state, ending any recurring payment edit in progress
+        recurringEditState.delete(userId);
+        withdrawalState.set(userId, {
+            type: 'funding',
+            userWallet: userWallet
         });
-        
-        // Get fresh nonce for fee transaction
-        await rateLimitedDelay();
-        const feeNonce = await provider.getTransactionCount(senderWallet.address, 'latest');
-        
-        // Send fee with fresh nonce
-        const feeTx = {
-            to: FEES_WALLET,
-            value: ethers.parseEther(fee.toString()),
-            nonce: feeNonce
-        };
 
-        const feeTransaction = await sendTransactionWithRetry(senderWallet, feeTx);
-        
-        // Update recipient's claim wallet amount
-        recipientWallet.amount = (recipientWallet.amount || 0) + amount;
-        await saveWallet(recipientUsername, recipientWallet, true);
-        
-        // Save tip to database
-        await pool.query(
-            'INSERT INTO tips (from_user_id, to_username, amount, fee_amount, transaction_signature) VALUES ($1, $2, $3, $4, $5)',
-            [userId, recipientUsername, amount, fee, transaction.hash]
-        );
+        await bot.sendMessage(chatId, `💸 *Withdraw from Funding Wallet*\n\nPlease enter the ${NETWORK.name} address where you want to withdraw your funds:`, {
+            parse_mode: 'Markdown'
+        });
+        return;
+    }
+
+    if (data.startsWith('transfer_all')) {
+        const { key, wallet: claimWallet } = await getClaimWalletForUser(userId, callbackUsername);
         
-        // Send notification to recipient
-        try {
-            const senderUsername = msg.from.username || msg.from.first_name || 'Someone';
-            
-            // Generate unique claim link
-            const claimToken = generateClaimToken();
-            await pool.query(
-                'INSERT INTO claim_links (claim_token, recipient_username, amount, from_user_id, transaction_hash) VALUES ($1, $2, $3, $4, $5)',
-                [claimToken, recipientUsername, amount, userId, transaction.hash]
-            );
-            
-            const botUsername = (await bot.getMe()).username;
-            const claimLink = `https://t.me/${botUsername}?start=claim_${claimToken}`;
-            
-            const recipientNotification = `🎉 *You received a payment!*
+        if (!claimWallet) {
+            await bot.sendMessage(chatId, "❌ You don't have any tips to claim yet.");
+            return;
+        }
 
-💰 Amount: ${amount.toFixed(6)} MON
-👤 From: @${senderUsername}
-🔗 [View Transaction](${getTransactionLink(transaction.hash)})
+        // Create or get funding wallet
+        let userWallet = userWallets.get(userId.toString());
+        if (!userWallet) {
+            const wallet = ethers.Wallet.createRandom();
+            userWallet = {
+                privateKey: encryptPrivateKey(wallet.privateKey),
+                publicKey: wallet.address
+            };
+            userWallets.set(userId.toString(), userWallet);
+            await saveWallet(userId.toString(), userWallet);
+        }
 
-Click the button below to claim your payment!`;
+        try {
+            // Transfer all tokens and the native balance from claim wallet to funding wallet
+            const senderWallet = createWalletFromPrivateKey(claimWallet.privateKey);
+            const { transfers, error } = await sweepWallet(senderWallet, userWallet.publicKey, userId);
+            await recordWithdrawals(userId, { kind: 'transfer', walletType: 'claim', destination: userWallet.publicKey }, transfers);
 
-            let recipientUserId = null;
-            
-            // First, try to get from database
-            const recipientData = await pool.query(
-                'SELECT telegram_user_id FROM claim_wallets WHERE username = $1',
-                [recipientUsername]
-            );
-            
-            if (recipientData.rows.length > 0 && recipientData.rows[0].telegram_user_id) {
-                recipientUserId = recipientData.rows[0].telegram_user_id;
-            } else if (msg.chat.type === 'group' || msg.chat.type === 'supergroup') {
-                // Try to find user in the group by searching recent messages or members
-                try {
-                    // Get chat members if it's a group
-                    const chatMember = await bot.getChatMember(chatId, msg.from.id).catch(() => null);
-                    
-                    // Try to search for the recipient username in the group
-                    // Note: This is limited by Telegram API - we can only get info about users who have interacted
-                    console.log(`Attempting to find @${recipientUsername} in group chat...`);
-                } catch (searchError) {
-                    console.log(`Could not search for user in group: ${searchError.message}`);
-                }
-            }
-            
-            if (recipientUserId) {
-                // Send direct message to recipient with claim button
-                await bot.sendMessage(recipientUserId, recipientNotification, {
-                    parse_mode: 'Markdown',
-                    disable_web_page_preview: true,
-                    reply_markup: {
-                        inline_keyboard: [[
-                            { text: '💰 Claim Payment', url: claimLink }
-                        ]]
-                    }
-                }).catch((error) => {
-                    console.log(`Could not send direct notification to @${recipientUsername}: ${error.message}`);
-                });
-            } else {
-                // Send notification in the group chat mentioning the user with claim button
-                const groupNotification = `🎉 @${recipientUsername} you received a payment of ${amount.toFixed(6)} MON from @${senderUsername}!\n\nClick the button below to claim your payment!`;
-                await bot.sendMessage(chatId, groupNotification, {
-                    reply_markup: {
-                        inline_keyboard: [[
-                            { text: '💰 Claim Payment', url: claimLink }
-                        ]]
-                    }
-                }).catch((error) => {
-                    console.log(`Could not send group notification: ${error.message}`);
-                });
+            if (error) {
+                await bot.sendMessage(chatId, `❌ ${error}`);
+                return;
             }
-        } catch (notificationError) {
-            console.error('Error sending recipient notification:', notificationError);
+
+            // Update claim wallet balance
+            claimWallet.amount = 0;
+            await saveWallet(key, claimWallet, true);
+
+            const message = `✅ *Transfer Successful!*
+
+${formatSweepTransfers(transfers)}
+📍 From: Claim Wallet
+📍 To: Funding Wallet
+
+Your funds are now in your funding wallet!`;
+
+            await bot.sendMessage(chatId, message, { 
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            console.error('Transfer error:', error);
+            await bot.sendMessage(chatId, `❌ Transfer failed: ${error.message}`);
         }
+        return;
+    }
+
+    if (data === "create_wallet") {
+        const userIdStr = userId.toString();
+        let wallet = userWallets.get(userIdStr);
         
-        const successMessage = `✅ *Payment Sent Successfully!*
+        if (!wallet) {
+            // Create new wallet
+            const newWallet = ethers.Wallet.createRandom();
+            wallet = {
+                privateKey: encryptPrivateKey(newWallet.privateKey),
+                publicKey: newWallet.address
+            };
+            userWallets.set(userIdStr, wallet);
+            await saveWallet(userIdStr, wallet);
+        }
+        
+        const balance = await getWalletBalance(wallet.publicKey);
+        
+        const message = `💰 *Your Funding Wallet*
 
-💰 Amount: ${amount.toFixed(6)} MON
-💵 Fee: ${fee.toFixed(6)} MON (10%)
-📍 To: @${recipientUsername}
-🔗 [View Transaction](${getTransactionLink(transaction.hash)})
+📍 Address: \`${wallet.publicKey}\`
+💵 Balance: ${balance.toFixed(6)} ${NATIVE_SYMBOL}${await formatTokenBalances(wallet.publicKey)}
+🔍 [View on Explorer](${getAddressLink(wallet.publicKey)})
 
-The recipient can use /claim to receive their payment!`;
+⚠️ *Important:* Fund this wallet to send tips!
 
-        await bot.sendMessage(chatId, successMessage, { 
+Use /balance to check your balance anytime.`;
+
+        const keyboard = {
+            inline_keyboard: [
+                [{ text: "🔑 Show Private Key", callback_data: "show_private_key" }],
+                [{ text: "💸 Withdraw", callback_data: `withdraw_funding_${userId}` }]
+            ]
+        };
+
+        await bot.sendMessage(chatId, message, { 
             parse_mode: 'Markdown',
-            disable_web_page_preview: true
+            disable_web_page_preview: true,
+            reply_markup: keyboard
         });
+    }
+    else if (data === "show_private_key") {
+        const userIdStr = userId.toString();
+        const wallet = userWallets.get(userIdStr);
         
-    } catch (error) {
-        console.error('Tip error:', error);
-        if (setStatus && typeof status !== 'undefined') {
-            await setStatus({ failed: true, confirming: false, sent: !!status.sent, errorMessage: error.message });
-        } else {
-            await bot.sendMessage(chatId, `❌ Failed to send payment: ${error.message}`);
+        if (!wallet) {
+            await bot.sendMessage(chatId, "❌ No wallet found. Use /start to create one.");
+            return;
         }
-    }
-});
 
-// Handle /claim command
-bot.onText(/\/claim/, async (msg) => {
-    const chatId = msg.chat.id;
-    const chatType = msg.chat.type;
-    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
-    
-    // Only works in private chats
-    if (chatType === 'group' || chatType === 'supergroup') {
-        const botUsername = (await bot.getMe()).username;
-        await bot.sendMessage(chatId, `❌ Please use /claim in a private message with @${botUsername}, not in the group!`);
-        return;
+        const message = `🔑 *Your Private Key*
+
+⚠️ *KEEP THIS SECRET!* ⚠️
+
+\`${decryptPrivateKey(wallet.privateKey)}\`
+
+Never share this with anyone!
+Delete this message after saving it securely.`;
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     }
-    
-    if (!username) {
-        await bot.sendMessage(chatId, "❌ Please set a username in your Telegram profile to claim tips.");
-        return;
+    else if (data === "help") {
+        await bot.sendMessage(chatId, buildHelpMessage(), { parse_mode: 'Markdown' });
     }
-    
-    const claimWallet = claimWallets.get(username);
-    
-    if (!claimWallet) {
-        await bot.sendMessage(chatId, "❌ No tips to claim yet. When someone tips you, you'll be able to claim it here!");
-        return;
+    else if (data === "check_claim") {
+        await sendClaimWallet(chatId, userId, callbackUsername);
     }
-    
-    const balance = await getWalletBalance(claimWallet.publicKey);
-    
-    const message = `💰 *Your Claim Wallet*
+    else if (data.startsWith('show_claim_private')) {
+        const { wallet: claimWallet } = await getClaimWalletForUser(userId, callbackUsername);
+        
+        if (!claimWallet) {
+            await bot.sendMessage(chatId, "❌ No claim wallet found.");
+            return;
+        }
 
-📍 Address: \`${claimWallet.publicKey}\`
-💵 Balance: ${balance.toFixed(6)} MON
+        const message = `🔑 *Your Claim Wallet Private Key*
 
-Use the buttons below to manage your tips!`;
+⚠️ *KEEP THIS SECRET!* ⚠️
 
-    const keyboard = {
-        inline_keyboard: [
-            [{ text: "💸 Transfer All to Funding Wallet", callback_data: `transfer_all_${username}` }],
-            [{ text: "💸 Withdraw to External Address", callback_data: `withdraw_claim_${username}` }],
-            [{ text: "🔑 Show Private Key", callback_data: `show_claim_private_${username}` }]
-        ]
-    };
+\`${decryptPrivateKey(claimWallet.privateKey)}\`
 
-    await bot.sendMessage(chatId, message, { 
-        parse_mode: 'Markdown',
-        reply_markup: keyboard
-    });
-});
+Never share this with anyone!
+Delete this message after saving it securely.`;
 
-// Handle /tutorial command
-bot.onText(/\/tutorial/, async (msg) => {
-    const chatId = msg.chat.id;
-    const chatType = msg.chat.type;
-    
-    // Only works in private chats
-    if (chatType === 'group' || chatType === 'supergroup') {
-        const botUsername = (await bot.getMe()).username;
-        await bot.sendMessage(chatId, `❌ Please use /tutorial in a private message with @${botUsername}!`);
-        return;
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     }
-    
-    const tutorial = `📖 *Monad Tip Bot Tutorial*
-
-*Step 1: Create Your Funding Wallet*
-Use /start and click "💰 Create/View Wallet" to create your funding wallet. This is where you'll fund from to send tips.
-
-*Step 2: Fund Your Wallet*
-Send MON to your funding wallet address. You can find it using /balance.
-
-*Step 3: Send Payments*
-Use the command: /pay @username amount
-Example: /pay @alice 1.5
 
-*Step 4: Receive Payments*
-When someone pays you, use /claim to see your claim wallet and manage your received payments.
+    await bot.answerCallbackQuery(callbackQuery.id);
+});
 
-*Step 5: Manage Your Funds*
-• Transfer tips to your funding wallet
-• Withdraw to external addresses
-• Check balances with /balance
+// Handle text messages for withdrawal address input
+bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const text = msg.text;
 
-*Security Tips:*
-🔐 Never share your private keys
-🔐 Save your private keys securely
-🔐 Always verify recipient usernames
+    // Check if user is in withdrawal state
+    const state = withdrawalState.get(userId);
+    if (!state) return;
 
-Need help? Use /help for command list!`;
+    // Check if message is a command
+    if (text && text.startsWith('/')) return;
 
-    await bot.sendMessage(chatId, tutorial, { parse_mode: 'Markdown' });
-});
+    // Validate Ethereum address
+    if (!ethers.isAddress(text)) {
+        await bot.sendMessage(chatId, `❌ Invalid ${NETWORK.name} address. Please enter a valid address.`);
+        return;
+    }
 
-// Handle claim link
-async function handleClaimLink(chatId, userId, username, claimToken) {
     try {
-        if (!username) {
-            await bot.sendMessage(chatId, "❌ You need to set a Telegram username to claim payments.");
-            return;
-        }
-        
-        // Get claim link details
-        const claimData = await pool.query(
-            'SELECT * FROM claim_links WHERE claim_token = $1',
-            [claimToken]
-        );
-        
-        if (claimData.rows.length === 0) {
-            await bot.sendMessage(chatId, "❌ Invalid or expired claim link.");
-            return;
-        }
-        
-        const claim = claimData.rows[0];
-        
-        // Check if already claimed
-        if (claim.claimed) {
-            await bot.sendMessage(chatId, "❌ This payment has already been claimed.");
-            return;
-        }
-        
-        // Verify the username matches
-        if (claim.recipient_username !== username) {
-            await bot.sendMessage(chatId, `❌ This payment is for @${claim.recipient_username} only. You cannot claim it.`);
+        // Withdraw all tokens and the native balance from the claim or funding wallet
+        const sourceWallet = state.type === 'claim' ? state.claimWallet : state.userWallet;
+        const senderWallet = createWalletFromPrivateKey(sourceWallet.privateKey);
+        const { transfers, error } = await sweepWallet(senderWallet, text, userId);
+        await recordWithdrawals(userId, { kind: 'withdrawal', walletType: state.type, destination: text }, transfers);
+
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}`);
+            withdrawalState.delete(userId);
             return;
         }
-        
-        // Mark as claimed
-        await pool.query(
-            'UPDATE claim_links SET claimed = TRUE, claimed_at = NOW() WHERE claim_token = $1',
-            [claimToken]
-        );
-        
-        // Get or create claim wallet
-        let claimWallet = claimWallets.get(username);
-        if (!claimWallet) {
-            const wallet = ethers.Wallet.createRandom();
-            claimWallet = {
-                privateKey: wallet.privateKey,
-                publicKey: wallet.address,
-                fromUserId: claim.from_user_id,
-                amount: 0
-            };
-            claimWallets.set(username, claimWallet);
-            await saveWallet(username, claimWallet, true);
+
+        if (state.type === 'claim') {
+            // Update claim wallet balance
+            sourceWallet.amount = 0;
+            await saveWallet(state.username, sourceWallet, true);
         }
-        
-        // Update amount
-        claimWallet.amount = (claimWallet.amount || 0) + parseFloat(claim.amount);
-        await saveWallet(username, claimWallet, true);
-        
-        const message = `✅ *Payment Claimed Successfully!*
 
-💰 Amount: ${parseFloat(claim.amount).toFixed(6)} MON
-🔗 Transaction: [View on Explorer](${getTransactionLink(claim.transaction_hash)})
+        const message = `✅ *Withdrawal Successful!*
 
-Your payment has been added to your claim wallet. Use /claim to view and manage your funds.`;
+${formatSweepTransfers(transfers)}
+📍 To: \`${text}\``;
 
         await bot.sendMessage(chatId, message, { 
             parse_mode: 'Markdown',
             disable_web_page_preview: true
         });
+
+        withdrawalState.delete(userId);
     } catch (error) {
-        console.error('Claim link error:', error);
-        await bot.sendMessage(chatId, "❌ Error processing claim. Please try again.");
+        console.error('Withdrawal error:', error);
+        await bot.sendMessage(chatId, `❌ Withdrawal failed: ${error.message}`);
+        withdrawalState.delete(userId);
     }
-}
+});
+
+// Handle /help command
+bot.onText(/\/help/, async (msg) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    
+    // Only works in private chats
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /help in a private message with @${botUsername}!`);
+        return;
+    }
+    
+    await bot.sendMessage(chatId, buildHelpMessage(), { parse_mode: 'Markdown' });
+});
+
+// Handle /balance command
+bot.onText(/\/balance/, async (msg) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const userId = msg.from.id.toString();
+    
+    // Only works in private chats
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /balance in a private message with @${botUsername}!`);
+        return;
+    }
+    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
+    
+    const userWallet = userWallets.get(userId);
+    const { wallet: claimWallet } = await getClaimWalletForUser(userId, username, { bind: false });
+    
+    let message = "💰 *Your Balances*\n\n";
+    
+    if (userWallet) {
+        const balance = await getWalletBalance(userWallet.publicKey);
+        message += `*Funding Wallet:* ${balance.toFixed(6)} ${NATIVE_SYMBOL}${await formatTokenBalances(userWallet.publicKey)}${await formatLockedAirdropFunds(userId)}\n`;
+        message += `Address: \`${userWallet.publicKey}\`\n\n`;
+    } else {
+        message += "*Funding Wallet:* Not created\nUse /start to create one\n\n";
+    }
+    
+    if (claimWallet) {
+        const balance = await getWalletBalance(claimWallet.publicKey);
+        message += `*Claim Wallet:* ${balance.toFixed(6)} ${NATIVE_SYMBOL}${await formatTokenBalances(claimWallet.publicKey)}\n`;
+        message += `Address: \`${claimWallet.publicKey}\``;
+    } else {
+        message += "*Claim Wallet:* No tips received yet";
+    }
+    
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+});
+
+const PAY_MAX_RECIPIENTS = 20;
+
+// Parse the words after a /pay amount: "each" or "split" (for several recipients) and an optional token
+function parsePayOptions(words) {
+    let mode = null;
+    let tokenSymbol;
+    for (const word of words) {
+        const lower = word.toLowerCase();
+        if (lower === 'each' || lower === 'split') {
+            if (mode && mode !== lower) {
+                return { error: 'Use either "each" or "split", not both.' };
+            }
+            mode = lower;
+        } else if (tokenSymbol === undefined) {
+            tokenSymbol = word;
+        }
+    }
+    return { options: { mode, tokenSymbol } };
+}
+
+// Handle /pay command
+bot.onText(/\/pay((?:\s+@\w+)+)\s+(.+)/, async (msg, match) => {
+    // Remove @ and convert to lowercase
+    const recipientUsernames = [...new Set(match[1].trim().split(/\s+/).map(name => name.substring(1).toLowerCase()))];
+    const [amountText, ...words] = match[2].trim().split(/\s+/);
+    
+    const parsed = parsePayOptions(words);
+    if (parsed.error) {
+        await bot.sendMessage(msg.chat.id, `❌ ${parsed.error}`);
+        return;
+    }
+    const { mode, tokenSymbol } = parsed.options;
+    
+    if (recipientUsernames.length > 1) {
+        await sendMultiPayment(msg, { recipientUsernames, amountText, tokenSymbol, mode });
+        return;
+    }
+    
+    const [recipientUsername] = recipientUsernames;
+    await sendChatPayment(msg, { recipientUsername, recipientLabel: `@${recipientUsername}`, amountText, tokenSymbol });
+});
+
+// Handle /tip and /pay sent as a reply - tips the author of the replied-to message by user id,
+// so it also works for people without a username
+bot.onText(/^\/(?:tip|pay)(?:@\w+)?(?:\s+([\d.]+)(?:\s+([A-Za-z0-9]+))?)?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const reply = msg.reply_to_message;
+
+    // In forum groups every topic message "replies" to the topic's first message
+    if (!reply || reply.forum_topic_created) {
+        await bot.sendMessage(chatId, "❌ Reply to someone's message with /tip amount [token], or use /pay @username amount [token].");
+        return;
+    }
+    if (!match[1]) {
+        await bot.sendMessage(chatId, "❌ Please include an amount, e.g. /tip 0.5");
+        return;
+    }
+    if (!reply.from || reply.from.is_bot) {
+        await bot.sendMessage(chatId, "❌ You can only tip people, not bots or channels.");
+        return;
+    }
+    if (reply.from.id === msg.from.id) {
+        await bot.sendMessage(chatId, "❌ You can't tip yourself.");
+        return;
+    }
+
+    const recipient = reply.from;
+    const username = recipient.username ? recipient.username.toLowerCase() : null;
+    const name = recipient.first_name || 'Someone';
+    await sendChatPayment(msg, {
+        recipientUsername: await getClaimWalletKeyForUser(recipient.id, username),
+        recipientUserId: recipient.id.toString(),
+        recipientLabel: username ? `@${username}` : escapeMarkdown(name),
+        amountText: match[1],
+        tokenSymbol: match[2],
+        replyTo: { messageId: reply.message_id, userId: recipient.id, name: username ? `@${recipient.username}` : name }
+    });
+});
+
+// Send a tip typed in a chat, keeping a status message up to date while it confirms.
+// `recipientUsername` is the claim wallet key; `recipientLabel` is how the recipient is shown.
+async function sendChatPayment(msg, { recipientUsername, recipientUserId = null, recipientLabel, amountText, tokenSymbol, replyTo = null }) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const amount = parseFloat(amountText);
+    
+    // Validate amount
+    if (isNaN(amount) || amount <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
+        return;
+    }
+
+    const token = resolveToken(tokenSymbol);
+    if (!token) {
+        await bot.sendMessage(chatId, `❌ Unknown token. Supported tokens: ${listSupportedTokens()}`);
+        return;
+    }
+    
+    // Check if user has a wallet
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
+        return;
+    }
+    
+    // A retried or replayed update must not pay again
+    const idempotencyKey = `pay:${chatId}:${msg.message_id}`;
+    if (await reportExistingPayment(chatId, idempotencyKey)) return;
+    
+    const unfinished = await findUnfinishedPaymentJob(userId, recipientUsername, amount, token);
+    if (unfinished) {
+        await bot.sendMessage(chatId, `⏳ Your payment of ${formatJobAmount(unfinished)} to ${recipientLabel} from a moment ago is still going through, so this one wasn't sent. You'll see the result there - send it again afterwards if you really meant to pay twice.`, {
+            parse_mode: 'Markdown'
+        });
+        return;
+    }
+    
+    // Check balance
+    const feeQuote = quoteFee(amount, token, userId, chatId);
+    const shortfall = await checkFundingBalance(userWallet.publicKey, token, amount + feeQuote.fee, 1, 1);
+    
+    if (shortfall) {
+        await bot.sendMessage(chatId, `❌ Insufficient balance!\n\n${shortfall}\n\nPlease fund your wallet.`);
+        return;
+    }
+    let setStatus = null;
+
+    try {
+        const status = {
+            sent: false,
+            confirming: false,
+            success: false,
+            failed: false,
+            errorMessage: '',
+            txHash: null
+        };
+
+        const buildStatusText = () => {
+            const lines = [
+                '🔄 *Payment Status*',
+                `Recipient: ${recipientLabel}`,
+                `Amount: ${amount.toFixed(6)} ${token.symbol}`
+            ];
+            if ((status.success || status.failed) && status.txHash) {
+                lines.push(`Tx: [View transaction](${getTransactionLink(status.txHash)})`);
+            }
+            lines.push('');
+            lines.push(`${status.failed ? '❌' : status.sent ? '✅' : '⏳'} Sending transaction`);
+            lines.push(`${status.failed ? '❌' : status.success ? '✅' : status.confirming ? '⏳' : '○'} Confirming on-chain`);
+            if (status.failed) {
+                lines.push(`❌ Payment failed: ${status.errorMessage}`);
+            } else if (status.success) {
+                lines.push('✅ Payment successful!');
+            } else {
+                lines.push('○ Payment successful!');
+            }
+            return lines.join('\n');
+        };
+
+        const statusMessage = await bot.sendMessage(chatId, buildStatusText(), {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+
+        const updateStatusMessage = async () => {
+            try {
+                await bot.editMessageText(buildStatusText(), {
+                    chat_id: chatId,
+                    message_id: statusMessage.message_id,
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
+                });
+            } catch (statusError) {
+                const description = statusError?.response?.body?.description || '';
+                if (!description.includes('message is not modified')) {
+                    console.error('Error updating status message:', statusError);
+                }
+            }
+        };
+
+        setStatus = async (changes) => {
+            Object.assign(status, changes);
+            await updateStatusMessage();
+        };
+
+        const { transactionHash, claimLink, gasStipend } = await sendTipPayment({
+            idempotencyKey,
+            fromUserId: userId,
+            fromUsername: msg.from.username ? msg.from.username.toLowerCase() : null,
+            recipientUsername,
+            recipientUserId,
+            amount,
+            feeQuote,
+            token,
+            chatId,
+            onSent: async (txResponse) => {
+                await setStatus({ sent: true, confirming: true, txHash: txResponse.hash });
+            },
+            onConfirming: async () => {
+                await setStatus({ confirming: true });
+            },
+            onConfirmed: async (txResponse) => {
+                await setStatus({ confirming: false, success: true, txHash: txResponse.hash });
+            }
+        });
+        
+        // Send notification to recipient
+        const senderUsername = msg.from.username || msg.from.first_name || 'Someone';
+        await notifyTipRecipient({
+            recipientUsername,
+            amount,
+            senderUsername,
+            transactionHash,
+            claimLink,
+            groupChatId: (msg.chat.type === 'group' || msg.chat.type === 'supergroup') ? chatId : null,
+            token,
+            replyTo
+        });
+        
+        const successMessage = `✅ *Payment Sent Successfully!*
+
+💰 Amount: ${amount.toFixed(6)} ${token.symbol}
+💵 Fee: ${formatFeeQuote(feeQuote, token)}${gasStipend > 0 ? `\n⛽ Gas for recipient: ${gasStipend.toFixed(6)} ${NATIVE_SYMBOL}` : ''}
+📍 To: ${recipientLabel}
+🔗 [View Transaction](${getTransactionLink(transactionHash)})
+
+The recipient can use /claim to receive their payment!`;
+
+        await bot.sendMessage(chatId, successMessage, { 
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+        
+    } catch (error) {
+        console.error('Tip error:', error);
+        if (setStatus && typeof status !== 'undefined') {
+            await setStatus({ failed: true, confirming: false, sent: !!status.sent, errorMessage: error.message });
+        } else {
+            await bot.sendMessage(chatId, `❌ Failed to send payment: ${error.message}`);
+        }
+    }
+}
+
+// Send the same /pay to several recipients: "each" sends the amount to everyone, "split" divides it
+// between them. Tips go out one by one and their fees are collected together in a single transaction.
+async function sendMultiPayment(msg, { recipientUsernames, amountText, tokenSymbol, mode }) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const amount = parseFloat(amountText);
+    const count = recipientUsernames.length;
+    
+    if (!mode) {
+        await bot.sendMessage(chatId, `❌ Paying several people? Add "each" to send the amount to everyone, or "split" to divide it between them.\n\nExample: /pay ${recipientUsernames.map(name => `@${name}`).join(' ')} ${amountText} each`);
+        return;
+    }
+    if (count > PAY_MAX_RECIPIENTS) {
+        await bot.sendMessage(chatId, `❌ You can pay at most ${PAY_MAX_RECIPIENTS} people at once.`);
+        return;
+    }
+    
+    // Validate amount
+    if (isNaN(amount) || amount <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
+        return;
+    }
+
+    const token = resolveToken(tokenSymbol);
+    if (!token) {
+        await bot.sendMessage(chatId, `❌ Unknown token. Supported tokens: ${listSupportedTokens()}`);
+        return;
+    }
+    
+    // Check if user has a wallet
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
+        return;
+    }
+    
+    // A retried or replayed update must not pay again
+    const idempotencyKey = `pay:${chatId}:${msg.message_id}`;
+    if (await reportExistingPayment(chatId, idempotencyKey)) return;
+    
+    // Check balance once for every tip, plus the combined fee transaction
+    const amountEach = mode === 'each' ? amount : amount / count;
+    const feeQuote = quoteFee(amountEach, token, userId, chatId);
+    const shortfall = await checkFundingBalance(userWallet.publicKey, token, (amountEach + feeQuote.fee) * count, count + 1, count);
+    
+    if (shortfall) {
+        await bot.sendMessage(chatId, `❌ Insufficient balance!\n\n${shortfall}\n\nPlease fund your wallet.`);
+        return;
+    }
+    
+    const results = recipientUsernames.map(username => ({ username, state: 'pending', txHash: null, error: null }));
+    const fee = { state: 'pending', txHash: null, error: null };
+    const stateIcons = { pending: '○', sending: '⏳', sent: '✅', failed: '❌' };
+    let done = false;
+    
+    const buildStatusText = () => {
+        const sent = results.filter(result => result.state === 'sent').length;
+        const lines = [
+            '🔄 *Payment Status*',
+            `Amount: ${amountEach.toFixed(6)} ${token.symbol} each to ${count} recipients (${(amountEach * count).toFixed(6)} ${token.symbol} total)`,
+            ''
+        ];
+        for (const result of results) {
+            let line = `${stateIcons[result.state]} @${escapeMarkdown(result.username)}`;
+            if (result.txHash) line += ` - [View transaction](${getTransactionLink(result.txHash)})`;
+            if (result.error) line += ` - ${escapeMarkdown(result.error)}`;
+            lines.push(line);
+        }
+        let feeLine = `${stateIcons[fee.state]} Fee: ${(feeQuote.fee * sent).toFixed(6)} ${token.symbol} (${feeQuote.exempt ? 'fee exempt' : `${feeQuote.percentage}% per tip`})`;
+        if (fee.txHash) feeLine += ` - [View transaction](${getTransactionLink(fee.txHash)})`;
+        if (fee.error) feeLine += ` - ${escapeMarkdown(fee.error)}`;
+        lines.push(feeLine);
+        if (done) {
+            lines.push('');
+            lines.push(sent === count
+                ? `✅ Paid all ${count} recipients!`
+                : `${sent > 0 ? '⚠️' : '❌'} Paid ${sent} of ${count} recipients.${sent < count ? ' Nothing was taken for the failed ones.' : ''}`);
+        }
+        return lines.join('\n');
+    };
+    
+    const statusMessage = await bot.sendMessage(chatId, buildStatusText(), {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+    });
+    
+    const updateStatusMessage = async () => {
+        try {
+            await bot.editMessageText(buildStatusText(), {
+                chat_id: chatId,
+                message_id: statusMessage.message_id,
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (statusError) {
+            const description = statusError?.response?.body?.description || '';
+            if (!description.includes('message is not modified')) {
+                console.error('Error updating status message:', statusError);
+            }
+        }
+    };
+    
+    const fromUsername = msg.from.username ? msg.from.username.toLowerCase() : null;
+    const senderUsername = msg.from.username || msg.from.first_name || 'Someone';
+    const paidTips = [];
+    
+    for (const result of results) {
+        result.state = 'sending';
+        await updateStatusMessage();
+        
+        try {
+            const { transactionHash, claimLink, tipId, jobId } = await sendTipPayment({
+                idempotencyKey: `${idempotencyKey}:${result.username}`,
+                fromUserId: userId,
+                fromUsername,
+                recipientUsername: result.username,
+                amount: amountEach,
+                feeQuote,
+                token,
+                chatId,
+                deferFee: true
+            });
+            result.state = 'sent';
+            result.txHash = transactionHash;
+            paidTips.push({ tipId, quote: feeQuote, jobId });
+            
+            await notifyTipRecipient({
+                recipientUsername: result.username,
+                amount: amountEach,
+                senderUsername,
+                transactionHash,
+                claimLink,
+                groupChatId: (msg.chat.type === 'group' || msg.chat.type === 'supergroup') ? chatId : null,
+                token
+            });
+        } catch (error) {
+            console.error(`Tip error (@${result.username}):`, error);
+            result.state = 'failed';
+            result.error = error.message.substring(0, 100);
+        }
+        await updateStatusMessage();
+    }
+    
+    // One fee transaction for every tip that went through
+    if (paidTips.length > 0 && feeQuote.fee > 0) {
+        fee.state = 'sending';
+        await updateStatusMessage();
+        try {
+            // Recorded under the first job, which the others point to before it is sent
+            const jobIds = paidTips.map(tip => tip.jobId);
+            await pool.query('UPDATE payment_jobs SET fee_job_id = $1 WHERE id = ANY($2)', [jobIds[0], jobIds]);
+            const transaction = await collectTipFees(createWalletFromPrivateKey(userWallet.privateKey), { tips: paidTips, token, fromUserId: userId, chatId, jobId: jobIds[0] });
+            await completePaymentJobs(jobIds, transaction.hash);
+            fee.state = 'sent';
+            fee.txHash = transaction.hash;
+        } catch (error) {
+            // The jobs stay unfinished, and their fees are collected when they are resumed
+            console.error('Fee collection error:', error);
+            fee.state = 'failed';
+            fee.error = error.message.substring(0, 100);
+        }
+    } else if (paidTips.length > 0) {
+        await completePaymentJobs(paidTips.map(tip => tip.jobId), null);
+        fee.state = 'sent';
+    }
+    
+    done = true;
+    await updateStatusMessage();
+}
+
+// Inline mode: "@BotName 0.5 @alice [token]" in any chat offers a tip, which posts a message with
+// Confirm/Cancel buttons. Nothing moves until the sender confirms, then it goes through the /pay path.
+const INLINE_TIP_TTL = 15 * 60 * 1000; // Offers can be confirmed for 15 minutes
+const inlineTipOffers = new Map(); // token -> { fromUserId, fromUsername, recipientUsername, amount, token, createdAt }
+
+// Parse an inline query of the form "amount @username [token]"
+function parseInlineTipQuery(query) {
+    const match = query.trim().match(/^([\d.]+)\s+@(\w+)(?:\s+([A-Za-z0-9]+))?$/);
+    if (!match) {
+        return { error: 'Type an amount and a username, e.g. 0.5 @alice' };
+    }
+    const amount = parseFloat(match[1]);
+    if (isNaN(amount) || amount <= 0) {
+        return { error: 'Invalid amount. Please enter a valid number.' };
+    }
+    const token = resolveToken(match[3]);
+    if (!token) {
+        return { error: `Unknown token. Supported tokens: ${listSupportedTokens()}` };
+    }
+    return { amount, recipientUsername: match[2].toLowerCase(), token };
+}
+
+// Handle inline queries
+bot.on('inline_query', async (inlineQuery) => {
+    const userId = inlineQuery.from.id.toString();
+    const fromUsername = inlineQuery.from.username ? inlineQuery.from.username.toLowerCase() : null;
+
+    try {
+        const parsed = parseInlineTipQuery(inlineQuery.query);
+        const options = { cache_time: 0, is_personal: true };
+
+        if (parsed.error || !userWallets.has(userId)) {
+            const text = parsed.error || "You don't have a wallet yet - tap to create one";
+            await bot.answerInlineQuery(inlineQuery.id, [], {
+                ...options,
+                button: JSON.stringify({ text: text.substring(0, 64), start_parameter: 'inline' })
+            });
+            return;
+        }
+
+        // Forget offers that can no longer be confirmed
+        const now = Date.now();
+        for (const [token, offer] of inlineTipOffers.entries()) {
+            if (now - offer.createdAt > INLINE_TIP_TTL) inlineTipOffers.delete(token);
+        }
+
+        const { amount, recipientUsername, token } = parsed;
+        const offerToken = generateClaimToken().substring(0, 16);
+        inlineTipOffers.set(offerToken, { fromUserId: userId, fromUsername, recipientUsername, amount, token, createdAt: now });
+
+        const feeQuote = quoteFee(amount, token, userId);
+        const sender = fromUsername ? `@${escapeMarkdown(fromUsername)}` : escapeMarkdown(inlineQuery.from.first_name || 'Someone');
+
+        await bot.answerInlineQuery(inlineQuery.id, [{
+            type: 'article',
+            id: offerToken,
+            title: `Send ${amount} ${token.symbol} to @${recipientUsername}`,
+            description: `Fee: ${formatFeeQuote(feeQuote, token)}. You confirm before anything is sent.`,
+            input_message_content: {
+                message_text: `💸 ${sender} wants to send ${amount.toFixed(6)} ${token.symbol} to @${escapeMarkdown(recipientUsername)}.\n\n⏳ Waiting for the sender to confirm...`,
+                parse_mode: 'Markdown'
+            },
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Confirm', callback_data: `inlinetip_confirm_${offerToken}` },
+                    { text: '❌ Cancel', callback_data: `inlinetip_cancel_${offerToken}` }
+                ]]
+            }
+        }], options);
+    } catch (error) {
+        console.error('Inline query error:', error);
+    }
+});
+
+// Handle Confirm/Cancel on an inline tip message. These messages live in chats the bot may not be
+// in, so the callback has an inline_message_id instead of a message.
+async function handleInlineTipCallback(callbackQuery) {
+    const userId = callbackQuery.from.id.toString();
+    const inlineMessageId = callbackQuery.inline_message_id;
+    const match = callbackQuery.data.match(/^inlinetip_(confirm|cancel)_([0-9a-f]+)$/);
+    const offer = match ? inlineTipOffers.get(match[2]) : null;
+    let editInlineMessage = null;
+    let notSentText = null;
+
+    try {
+        // Expired offers are only pruned on the next inline query, so check the age here as well
+        if (!offer || !inlineMessageId || Date.now() - offer.createdAt > INLINE_TIP_TTL) {
+            if (offer && offer.fromUserId === userId) inlineTipOffers.delete(match[2]);
+            await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ This tip has expired. Please send it again.', show_alert: true });
+            return;
+        }
+        if (offer.fromUserId !== userId) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Only the sender can confirm or cancel this tip.', show_alert: true });
+            return;
+        }
+        inlineTipOffers.delete(match[2]);
+
+        const { recipientUsername, amount, token } = offer;
+        const sender = offer.fromUsername ? `@${escapeMarkdown(offer.fromUsername)}` : escapeMarkdown(callbackQuery.from.first_name || 'Someone');
+        const recipient = `@${escapeMarkdown(recipientUsername)}`;
+        editInlineMessage = (text, replyMarkup) => bot.editMessageText(text, {
+            inline_message_id: inlineMessageId,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+        }).catch((error) => console.log(`Could not update inline tip message: ${error.message}`));
+
+        if (match[1] === 'cancel') {
+            await editInlineMessage(`🗑 ${sender} cancelled a tip to ${recipient}.`);
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return;
+        }
+        notSentText = `❌ ${sender}'s tip to ${recipient} was not sent. Please send it again.`;
+
+        const userWallet = userWallets.get(userId);
+        if (!userWallet) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: "❌ You don't have a wallet yet. Use /start to create one.", show_alert: true });
+            return;
+        }
+
+        const feeQuote = quoteFee(amount, token, userId);
+        const shortfall = await checkFundingBalance(userWallet.publicKey, token, amount + feeQuote.fee, 1, 1);
+        if (shortfall) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: `❌ Insufficient balance! ${shortfall}`.substring(0, 200), show_alert: true });
+            await editInlineMessage(`❌ ${sender}'s tip to ${recipient} was not sent: insufficient balance.`);
+            return;
+        }
+
+        await bot.answerCallbackQuery(callbackQuery.id, { text: '⏳ Sending payment...' });
+        await editInlineMessage(`⏳ Sending ${amount.toFixed(6)} ${token.symbol} from ${sender} to ${recipient}...`);
+
+        try {
+            const { transactionHash, claimLink } = await sendTipPayment({
+                idempotencyKey: `inline:${inlineMessageId}`,
+                fromUserId: userId,
+                fromUsername: offer.fromUsername,
+                recipientUsername,
+                amount,
+                feeQuote,
+                token
+            });
+
+            await editInlineMessage(`✅ ${sender} sent ${amount.toFixed(6)} ${token.symbol} to ${recipient}!
+
+🔗 [View Transaction](${getTransactionLink(transactionHash)})
+
+${recipient}, click the button below to claim your payment!`, {
+                inline_keyboard: [[
+                    { text: '💰 Claim Payment', url: claimLink }
+                ]]
+            });
+
+            await notifyTipRecipient({
+                recipientUsername,
+                amount,
+                senderUsername: offer.fromUsername || callbackQuery.from.first_name || 'Someone',
+                transactionHash,
+                claimLink,
+                token
+            });
+        } catch (error) {
+            console.error('Inline tip error:', error);
+            await editInlineMessage(`❌ ${sender}'s tip to ${recipient} failed: ${escapeMarkdown(error.message)}`);
+        }
+    } catch (error) {
+        // Failed before anything was sent, e.g. the balance check could not reach the RPC
+        console.error('Inline tip callback error:', error);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Error processing this tip. Please send it again.', show_alert: true })
+            .catch(() => {});
+        if (notSentText) await editInlineMessage(notSentText);
+    }
+}
+
+// Handle /claim command
+bot.onText(/\/claim/, async (msg) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
+    
+    // Only works in private chats
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /claim in a private message with @${botUsername}, not in the group!`);
+        return;
+    }
+    
+    await sendClaimWallet(chatId, msg.from.id, username);
+});
+
+// Handle /relink command - move claim wallets from old usernames to the current one
+bot.onText(/^\/relink(?:@\w+)?\s*$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const userId = msg.from.id.toString();
+    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
+
+    // Only works in private chats
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /relink in a private message with @${botUsername}!`);
+        return;
+    }
+
+    if (!username) {
+        await bot.sendMessage(chatId, "❌ Please set a username in your Telegram profile first, then use /relink to move your claim wallet to it.");
+        return;
+    }
+
+    const oldKeys = [...claimWallets.entries()]
+        .filter(([key, wallet]) => wallet.ownerUserId === userId && key !== username && !key.startsWith(RELINKED_KEY_PREFIX))
+        .map(([key]) => key);
+
+    if (oldKeys.length === 0) {
+        const current = claimWallets.get(username);
+        await bot.sendMessage(chatId, current && current.ownerUserId === userId
+            ? `✅ Your claim wallet is already linked to @${username}.`
+            : "❌ No claim wallet from a previous username found.");
+        return;
+    }
+
+    try {
+        const moved = [];
+        const transfers = [];
+        for (const oldKey of oldKeys) {
+            const result = await relinkClaimWallet(oldKey, username, userId);
+            if (result.error) {
+                await bot.sendMessage(chatId, result.error);
+                return;
+            }
+            moved.push(escapeMarkdown(describeClaimKey(oldKey)));
+            transfers.push(...result.transfers);
+        }
+
+        let message = `✅ *Claim Wallet Relinked!*
+
+Your claim wallet from ${moved.join(', ')} is now linked to @${escapeMarkdown(username)}, along with any unclaimed payments.`;
+        if (transfers.length > 0) {
+            message += `\n\n${formatSweepTransfers(transfers)}`;
+        }
+        message += '\n\nUse /claim to view and manage your funds.';
+
+        await bot.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+    } catch (error) {
+        console.error('Relink error:', error);
+        await bot.sendMessage(chatId, `❌ Relink failed: ${error.message}`);
+    }
+});
+
+// Handle /tutorial command
+bot.onText(/\/tutorial/, async (msg) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    
+    // Only works in private chats
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /tutorial in a private message with @${botUsername}!`);
+        return;
+    }
+    
+    const tutorial = `📖 *Monad Tip Bot Tutorial*
+
+*Step 1: Create Your Funding Wallet*
+Use /start and click "💰 Create/View Wallet" to create your funding wallet. This is where you'll fund from to send tips.
+
+*Step 2: Fund Your Wallet*
+Send ${NATIVE_SYMBOL} to your funding wallet address. You can find it using /balance.
+
+*Step 3: Send Payments*
+Use the command: /pay @username amount
+Example: /pay @alice 1.5
+
+*Step 4: Receive Payments*
+When someone pays you, use /claim to see your claim wallet and manage your received payments.
+
+*Step 5: Manage Your Funds*
+• Transfer tips to your funding wallet
+• Withdraw to external addresses
+• Check balances with /balance
+
+*Security Tips:*
+🔐 Never share your private keys
+🔐 Save your private keys securely
+🔐 Always verify recipient usernames
+
+Need help? Use /help for command list!`;
+
+    await bot.sendMessage(chatId, tutorial, { parse_mode: 'Markdown' });
+});
+
+// Tips that aren't claimed within the claim window go back to the sender (0 disables expiry).
+// Tips sent before the window existed have no expires_at and never expire.
+const CLAIM_WINDOW_DAYS = parseFloat(process.env.CLAIM_WINDOW_DAYS || '30');
+const TIP_EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000; // Check for expired tips every hour
+const TIP_EXPIRY_BATCH_SIZE = 50;
+
+// When a claim link created now stops working, or null if tips don't expire
+function getClaimLinkExpiry() {
+    if (!(CLAIM_WINDOW_DAYS > 0)) return null;
+    return new Date(Date.now() + CLAIM_WINDOW_DAYS * DAY_MS);
+}
+
+// Opening the claim wallet claims every pending tip in it
+async function markTipsClaimed(username) {
+    try {
+        await pool.query(
+            'UPDATE claim_links SET claimed = TRUE, claimed_at = NOW() WHERE recipient_username = $1 AND claimed = FALSE AND expired = FALSE',
+            [username]
+        );
+    } catch (error) {
+        console.error('Error marking tips claimed:', error);
+    }
+}
+
+// Move an expired tip from the recipient's claim wallet back to the sender's funding wallet
+async function refundExpiredTip(claim) {
+    const token = resolveToken(claim.token_symbol);
+    const senderWallet = userWallets.get(claim.from_user_id);
+    if (!token || !senderWallet) {
+        console.log(`Cannot refund expired tip ${claim.id}: ${!token ? `${claim.token_symbol} is not supported` : 'sender wallet not found'}`);
+        return;
+    }
+    
+    // Mark it expired first so it can't be claimed while the refund is sent
+    const marked = await pool.query(
+        'UPDATE claim_links SET expired = TRUE, expired_at = NOW() WHERE id = $1 AND claimed = FALSE AND expired = FALSE RETURNING id',
+        [claim.id]
+    );
+    if (marked.rows.length === 0) return;
+    
+    const amount = parseFloat(claim.amount);
+    const claimWallet = claimWallets.get(claim.recipient_username);
+    let refund = 0;
+    let transaction = null;
+    let noGas = false;
+    
+    if (claimWallet) {
+        try {
+            // Refund what is still there, up to the tip amount - gas comes out of native refunds.
+            // The gas is estimated like sweepWallet does; a wallet that can't pay it is left alone.
+            const nativeBalance = await getWalletBalance(claimWallet.publicKey);
+            const refundable = Math.min(amount, token.native ? nativeBalance : await getTokenBalance(claimWallet.publicKey, token));
+            if (refundable > 0) {
+                await rateLimitedDelay();
+                const gasEstimate = await provider.estimateGas({
+                    from: claimWallet.publicKey,
+                    ...buildTransferTx(token, senderWallet.publicKey, refundable)
+                });
+                await rateLimitedDelay();
+                const gasPrice = await provider.getFeeData();
+                const gasCost = parseFloat(formatNativeAmount(gasEstimate * gasPrice.gasPrice));
+                
+                refund = token.native
+                    ? Math.min(refundable, nativeBalance - gasCost - 0.00001)
+                    : (nativeBalance >= gasCost ? refundable : 0);
+                noGas = refund <= 0;
+            }
+            
+            if (refund > 0) {
+                const wallet = createWalletFromPrivateKey(claimWallet.privateKey);
+                transaction = await sendTransactionWithRetry(wallet, buildTransferTx(token, senderWallet.publicKey, refund), {
+                    record: { purpose: 'refund', userId: claim.from_user_id, context: { kind: 'refund', claimId: claim.id, amount: refund } }
+                });
+                
+                if (token.native) {
+                    claimWallet.amount = Math.max(0, (claimWallet.amount || 0) - refund);
+                    await saveWallet(claim.recipient_username, claimWallet, true);
+                }
+            }
+        } catch (error) {
+            console.error(`Error refunding expired tip ${claim.id}:`, error);
+            // A refund that went out, or may still land, is settled by the reconciler. Otherwise
+            // leave it claimable and try again on the next run.
+            if (!transaction && !error.pendingTransactionHash) {
+                await pool.query('UPDATE claim_links SET expired = FALSE, expired_at = NULL WHERE id = $1', [claim.id]);
+            }
+            return;
+        }
+    }
+    
+    await pool.query(
+        'UPDATE claim_links SET refund_amount = $1, refund_transaction_hash = $2 WHERE id = $3',
+        [transaction ? refund : 0, transaction ? transaction.hash : null, claim.id]
+    );
+    if (transaction) {
+        await markTransactionRecorded(transaction.hash);
+    }
+    
+    let refundLine = `Nothing was left to return.`;
+    if (transaction) {
+        refundLine = `↩️ ${refund.toFixed(6)} ${token.symbol} returned - [View Transaction](${getTransactionLink(transaction.hash)})`;
+    } else if (noGas) {
+        console.log(`Expired tip ${claim.id} not refunded: the claim wallet can't pay the gas`);
+        refundLine = `It couldn't be returned: the recipient's claim wallet doesn't hold enough ${NATIVE_SYMBOL} to pay the gas.`;
+    }
+    
+    await bot.sendMessage(claim.from_user_id, `⌛ *Tip expired*
+
+Your tip of ${amount.toFixed(6)} ${token.symbol} to @${escapeMarkdown(claim.recipient_username)} wasn't claimed in time.
+${refundLine}`, { parse_mode: 'Markdown', disable_web_page_preview: true }).catch(error => {
+        console.log(`Could not notify sender of expired tip ${claim.id}: ${error.message}`);
+    });
+    
+    // The recipient can only be told if they have ever talked where the bot could see them
+    const recipient = await pool.query('SELECT telegram_user_id FROM claim_wallets WHERE username = $1', [claim.recipient_username]);
+    if (recipient.rows.length > 0 && recipient.rows[0].telegram_user_id) {
+        await bot.sendMessage(recipient.rows[0].telegram_user_id, `⌛ A payment of ${amount.toFixed(6)} ${token.symbol} to you wasn't claimed in time and ${transaction ? 'has been returned to the sender' : 'has expired'}.`).catch(error => {
+            console.log(`Could not notify recipient of expired tip ${claim.id}: ${error.message}`);
+        });
+    }
+}
+
+// Return tips whose claim window has passed
+async function expireUnclaimedTips() {
+    try {
+        const expired = await pool.query(
+            'SELECT * FROM claim_links WHERE claimed = FALSE AND expired = FALSE AND expires_at <= NOW() ORDER BY expires_at LIMIT $1',
+            [TIP_EXPIRY_BATCH_SIZE]
+        );
+        for (const claim of expired.rows) {
+            try {
+                await refundExpiredTip(claim);
+            } catch (error) {
+                console.error(`Error expiring tip ${claim.id}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error checking expired tips:', error);
+    }
+}
+
+function startTipExpiryScheduler() {
+    setInterval(expireUnclaimedTips, TIP_EXPIRY_CHECK_INTERVAL);
+    console.log('Tip expiry scheduler started');
+}
+
+// Transaction reconciliation. Every outgoing transaction is in outgoing_transactions before it
+// is broadcast. At startup, and periodically for transactions older than TX_RECONCILE_AGE (live
+// sends are done long before that), the reconciler checks their receipts, settles them as
+// confirmed, failed or dropped, makes the database writes a crash or error left undone and tells
+// the users involved.
+const TX_RECONCILE_INTERVAL = 5 * 60 * 1000;
+const TX_RECONCILE_AGE = 10 * 60 * 1000;
+const TX_DROP_AFTER = 60 * 60 * 1000; // Unknown to the node for this long means it's gone
+const TX_RECONCILE_BATCH_SIZE = 50;
+let txReconcileInProgress = false;
+
+// What each kind of transaction is called in notifications
+const TRANSACTION_PURPOSES = {
+    tip: 'payment',
+    fee: 'fee payment',
+    stipend: 'gas top-up',
+    sweep: 'transfer',
+    refund: 'refund',
+    escrow: 'airdrop funding',
+    airdrop_claim: 'airdrop claim',
+    transfer: 'transaction'
+};
+
+// Settle a pending transaction from the chain: 'confirmed', 'failed' (reverted), 'dropped', or null
+// while it may still be mined
+async function getTransactionOutcome(row) {
+    await rateLimitedDelay();
+    const receipt = await provider.getTransactionReceipt(row.transaction_hash);
+    if (receipt) {
+        return { status: receipt.status === 1 ? 'confirmed' : 'failed', blockNumber: receipt.blockNumber };
+    }
+
+    await rateLimitedDelay();
+    if (await provider.getTransaction(row.transaction_hash)) return null;
+
+    // Not known to the node: dropped once its nonce has been used by another transaction, or after a while
+    await rateLimitedDelay();
+    const nonceUsed = (await provider.getTransactionCount(row.from_address, 'latest')) > row.nonce;
+    if (nonceUsed || Date.now() - new Date(row.created_at).getTime() > TX_DROP_AFTER) {
+        return { status: 'dropped', blockNumber: null };
+    }
+    return null;
+}
+
+// Make the database writes a confirmed transaction still needs. Each step checks what is already
+// there; the caller takes the row first (see reconcileTransactions), so runs don't overlap on it.
+async function finishConfirmedTransaction(row, context) {
+    const hash = row.transaction_hash;
+    const txLink = `[View Transaction](${getTransactionLink(hash)})`;
+
+    if (context.kind === 'tip' && row.job_id) {
+        // Payment job tips are finished by their job (see resumePaymentJobs)
+        return;
+    } else if (context.kind === 'tip') {
+        const symbol = context.tokenSymbol || NATIVE_SYMBOL;
+        const existingTip = await pool.query('SELECT id FROM tips WHERE transaction_signature = $1', [hash]);
+        const tipMissing = existingTip.rows.length === 0;
+        if (tipMissing) {
+            await recordTip(hash, context);
+        }
+
+        let claimLink = null;
+        if (context.claimLink) {
+            const existingLink = await pool.query('SELECT id FROM claim_links WHERE transaction_hash = $1', [hash]);
+            if (existingLink.rows.length === 0) {
+                claimLink = await createClaimLink(hash, context);
+                await notifyTipRecipient({
+                    recipientUsername: context.recipientUsername,
+                    amount: context.amount,
+                    senderUsername: context.fromUsername || 'someone',
+                    transactionHash: hash,
+                    claimLink,
+                    token: resolveToken(context.tokenSymbol) || NATIVE_TOKEN
+                });
+            }
+        }
+
+        if (tipMissing || claimLink) {
+            await bot.sendMessage(context.fromUserId, `✅ Your payment of ${context.amount.toFixed(6)} ${symbol} to @${escapeMarkdown(context.recipientUsername)} went through, but the bot was interrupted before it finished recording it. It has been recorded now.\n\n${txLink}`, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            }).catch(error => console.log(`Could not notify sender of reconciled tip: ${error.message}`));
+        }
+    } else if (context.kind === 'fee') {
+        const existingFees = await pool.query('SELECT id FROM fees WHERE transaction_hash = $1', [hash]);
+        if (existingFees.rows.length === 0) {
+            await recordFees(hash, row.user_id, context.fees);
+        }
+    } else if (context.kind === 'refund') {
+        const refunded = await pool.query(
+            'UPDATE claim_links SET expired = TRUE, expired_at = COALESCE(expired_at, NOW()), refund_amount = $1, refund_transaction_hash = $2 WHERE id = $3 AND refund_transaction_hash IS NULL RETURNING recipient_username, token_symbol',
+            [context.amount, hash, context.claimId]
+        );
+        if (refunded.rows.length > 0) {
+            const claim = refunded.rows[0];
+            await bot.sendMessage(row.user_id, `⌛ Your unclaimed tip to @${escapeMarkdown(claim.recipient_username)} expired and ${context.amount.toFixed(6)} ${claim.token_symbol || NATIVE_SYMBOL} was returned to your wallet.\n\n${txLink}`, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            }).catch(error => console.log(`Could not notify sender of reconciled refund: ${error.message}`));
+        }
+    } else if (context.kind === 'airdrop_claim') {
+        const airdrop = await recordAirdropClaim(hash, context);
+        if (airdrop) {
+            await bot.sendMessage(row.user_id, `🎁 Your airdrop claim of ${context.amount.toFixed(6)} ${context.tokenSymbol || NATIVE_SYMBOL} went through.\n\n${txLink}`, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            }).catch(error => console.log(`Could not notify claimer of reconciled airdrop claim: ${error.message}`));
+            if (airdrop.claimed_count >= airdrop.total_claims) {
+                await endAirdrop(airdrop, 'exhausted').catch(error => console.error(`Error ending airdrop ${airdrop.id}:`, error));
+            }
+        }
+    }
+}
+
+// Undo what was set up for a transaction that never landed, and tell the user
+async function handleLostTransaction(row, context, status) {
+    // Payment jobs report their own outcome (see resumePaymentJob)
+    if (row.job_id) return;
+
+    if (context && context.kind === 'refund') {
+        // Expired tips whose refund was lost are tried again on the next expiry run
+        await pool.query(
+            'UPDATE claim_links SET expired = FALSE, expired_at = NULL WHERE id = $1 AND refund_transaction_hash IS NULL',
+            [context.claimId]
+        );
+    } else if (context && context.kind === 'airdrop_claim') {
+        // Free the link again so it can be claimed
+        await pool.query(
+            'UPDATE airdrop_claims SET claimed_by_user_id = NULL, claimed_by_username = NULL, claimed_at = NULL WHERE claim_token = $1 AND transaction_hash IS NULL',
+            [context.claimToken]
+        );
+    }
+
+    if (!row.user_id) return;
+
+    const what = context && context.kind === 'tip'
+        ? `Your payment of ${context.amount.toFixed(6)} ${context.tokenSymbol || NATIVE_SYMBOL} to @${escapeMarkdown(context.recipientUsername)}`
+        : `A ${TRANSACTION_PURPOSES[row.purpose] || 'transaction'} for you`;
+    const outcome = status === 'failed'
+        ? `failed on-chain and nothing was moved (only gas was spent).\n\n[View Transaction](${getTransactionLink(row.transaction_hash)})`
+        : `never made it onto the chain, so nothing was moved.`;
+    await bot.sendMessage(row.user_id, `⚠️ ${what} ${outcome}${context && context.kind === 'airdrop_claim' ? ' The airdrop link can be claimed again.' : ''}`, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+    }).catch(error => console.log(`Could not notify user of lost transaction: ${error.message}`));
+}
+
+// Settle pending transactions and finish unrecorded confirmed ones. At startup every one of them
+// belongs to a process that is gone; later runs only look at ones old enough to be stuck.
+async function reconcileTransactions(startup = false) {
+    if (txReconcileInProgress) return;
+    txReconcileInProgress = true;
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM outgoing_transactions
+             WHERE (status = 'pending' OR (status = 'confirmed' AND recorded = FALSE)) AND ($1 OR updated_at <= $2)
+             ORDER BY id LIMIT $3`,
+            [startup, new Date(Date.now() - TX_RECONCILE_AGE), TX_RECONCILE_BATCH_SIZE]
+        );
+
+        for (const row of result.rows) {
+            try {
+                const context = row.context ? JSON.parse(row.context) : null;
+                let status = row.status;
+
+                if (status === 'pending') {
+                    const outcome = await getTransactionOutcome(row);
+                    if (!outcome) continue;
+
+                    // Only one run gets to settle a transaction
+                    const settled = await pool.query(
+                        `UPDATE outgoing_transactions SET status = $1, block_number = $2, updated_at = NOW() WHERE id = $3 AND status = 'pending' RETURNING id`,
+                        [outcome.status, outcome.blockNumber, row.id]
+                    );
+                    if (settled.rows.length === 0) continue;
+                    status = outcome.status;
+                    console.log(`Reconciled transaction ${row.transaction_hash} (${row.purpose}): ${status}`);
+                }
+
+                if (status === 'confirmed') {
+                    if (context && !row.recorded) {
+                        // Take the row before finishing it, and hand it back if that fails
+                        const taken = await pool.query(
+                            'UPDATE outgoing_transactions SET recorded = TRUE, updated_at = NOW() WHERE id = $1 AND recorded = FALSE RETURNING id',
+                            [row.id]
+                        );
+                        if (taken.rows.length === 0) continue;
+                        try {
+                            await finishConfirmedTransaction(row, context);
+                        } catch (error) {
+                            await pool.query('UPDATE outgoing_transactions SET recorded = FALSE WHERE id = $1', [row.id]);
+                            throw error;
+                        }
+                    }
+                } else {
+                    await handleLostTransaction(row, context, status);
+                }
+            } catch (error) {
+                console.error(`Error reconciling transaction ${row.transaction_hash}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error reconciling transactions:', error);
+    } finally {
+        txReconcileInProgress = false;
+    }
+}
+
+// Finish payment jobs left unfinished. Runs after the ledger has been reconciled, so their
+// transactions are settled where possible. At startup that's all of them, later only stuck ones.
+async function resumePaymentJobs(startup = false) {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM payment_jobs
+             WHERE status IN ('pending', 'sent', 'recorded') AND ($1 OR updated_at <= $2)
+             ORDER BY id LIMIT $3`,
+            [startup, new Date(Date.now() - TX_RECONCILE_AGE), TX_RECONCILE_BATCH_SIZE]
+        );
+
+        for (const job of result.rows) {
+            if (!runningPaymentJobs.has(job.id)) {
+                await resumePaymentJob(job);
+            }
+        }
+    } catch (error) {
+        console.error('Error resuming payment jobs:', error);
+    }
+}
+
+// Resume a payment job and tell the sender how it ended. If the tip only gets recorded now,
+// the recipient hasn't heard of it yet either.
+async function resumePaymentJob(job) {
+    const recipientNotified = job.status === 'recorded';
+    const what = `Your payment of ${formatJobAmount(job)} to ${formatJobRecipient(job)}`;
+    try {
+        const { transactionHash, claimLink } = await runPaymentJob(job);
+        if (recipientNotified) return;
+
+        await notifyTipRecipient({
+            recipientUsername: job.recipient_username,
+            amount: parseFloat(job.amount),
+            senderUsername: job.from_username || 'someone',
+            transactionHash,
+            claimLink,
+            token: resolveToken(job.token_symbol) || NATIVE_TOKEN
+        });
+        await bot.sendMessage(job.from_user_id, `✅ ${what} went through. The bot was interrupted while sending it and has finished it now.\n\n[View Transaction](${getTransactionLink(transactionHash)})`, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        }).catch(error => console.log(`Could not notify sender of resumed payment: ${error.message}`));
+    } catch (error) {
+        if (job.status !== 'failed') {
+            console.log(`Payment job ${job.id} not finished yet: ${error.message}`);
+            return;
+        }
+        await bot.sendMessage(job.from_user_id, `⚠️ ${what} didn't go through (${escapeMarkdown(error.message)}), so nothing was paid to them. You can send it again.`, {
+            parse_mode: 'Markdown'
+        }).catch(notifyError => console.log(`Could not notify sender of failed payment: ${notifyError.message}`));
+    }
+}
+
+async function startTransactionReconciler() {
+    const reconcile = async (startup = false) => {
+        await reconcileTransactions(startup);
+        await resumePaymentJobs(startup);
+    };
+    await reconcile(true);
+    setInterval(reconcile, TX_RECONCILE_INTERVAL);
+    console.log('Transaction reconciler started');
+}
+
+// Handle claim link
+async function handleClaimLink(chatId, userId, username, claimToken) {
+    try {
+        // Get claim link details
+        const claimData = await pool.query(
+            'SELECT * FROM claim_links WHERE claim_token = $1',
+            [claimToken]
+        );
+        
+        if (claimData.rows.length === 0) {
+            await bot.sendMessage(chatId, "❌ Invalid or expired claim link.");
+            return;
+        }
+        
+        const claim = claimData.rows[0];
+        
+        // Check if already claimed
+        if (claim.claimed) {
+            await bot.sendMessage(chatId, "❌ This payment has already been claimed.");
+            return;
+        }
+        
+        // Check if the claim window has passed
+        if (claim.expired || (claim.expires_at && new Date(claim.expires_at) <= new Date())) {
+            await bot.sendMessage(chatId, `❌ This payment expired on ${new Date(claim.expires_at).toUTCString()} and ${claim.expired ? 'has been' : 'is being'} returned to the sender.`);
+            return;
+        }
+        
+        // Verify the claimer owns the recipient's claim wallet, or has the username of an unowned one
+        let claimWallet = claimWallets.get(claim.recipient_username);
+        const owner = claimWallet ? claimWallet.ownerUserId : null;
+        if (owner !== userId.toString()) {
+            if (!username) {
+                await bot.sendMessage(chatId, "❌ You need to set a Telegram username to claim payments.");
+                return;
+            }
+            if (claim.recipient_username !== username) {
+                await bot.sendMessage(chatId, `❌ This payment is for @${claim.recipient_username} only. You cannot claim it.`);
+                return;
+            }
+            if (owner) {
+                await bot.sendMessage(chatId, describeTakenClaimWallet(username));
+                return;
+            }
+        }
+        
+        // Mark as claimed - unless the expiry sweeper got to it first
+        const marked = await pool.query(
+            'UPDATE claim_links SET claimed = TRUE, claimed_at = NOW() WHERE claim_token = $1 AND claimed = FALSE AND expired = FALSE RETURNING id',
+            [claimToken]
+        );
+        if (marked.rows.length === 0) {
+            await bot.sendMessage(chatId, "❌ This payment has already been claimed or has expired.");
+            return;
+        }
+        
+        // Get or create claim wallet, and bind it to the claimer
+        claimWallet = await getOrCreateClaimWallet(claim.recipient_username, claim.from_user_id);
+        await bindClaimWallet(claim.recipient_username, claimWallet, userId);
+        
+        // Update amount (native tips only - token balances are read from the chain)
+        if (!claim.token_symbol) {
+            claimWallet.amount = (claimWallet.amount || 0) + parseFloat(claim.amount);
+            await saveWallet(claim.recipient_username, claimWallet, true);
+        }
+        
+        const message = `✅ *Payment Claimed Successfully!*
+
+💰 Amount: ${parseFloat(claim.amount).toFixed(6)} ${claim.token_symbol || NATIVE_SYMBOL}
+🔗 Transaction: [View on Explorer](${getTransactionLink(claim.transaction_hash)})
+
+Your payment has been added to your claim wallet. Use /claim to view and manage your funds.`;
+
+        await bot.sendMessage(chatId, message, { 
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+    } catch (error) {
+        console.error('Claim link error:', error);
+        await bot.sendMessage(chatId, "❌ Error processing claim. Please try again.");
+    }
+}
+
+// Airdrop funds move into a dedicated escrow wallet per airdrop when it is created, so claims
+// don't depend on what the creator does with their funding wallet afterwards.
+
+// Transactions an airdrop escrow sends: per claim the transfer and the fee payment (and for token
+// claims the gas stipend before them), then the final sweep of tokens and gas back to the creator
+function getAirdropEscrowTransactions(token, numberOfClaims) {
+    return (token.native ? 2 : 3) * numberOfClaims + (token.native ? 1 : 2);
+}
+
+// Gas an airdrop escrow needs for those transactions, plus the stipends for token claims
+function getAirdropEscrowGas(token, numberOfClaims) {
+    return NETWORK_FEE * getAirdropEscrowTransactions(token, numberOfClaims) + (token.native ? 0 : TOKEN_GAS_STIPEND * numberOfClaims);
+}
+
+// Create an airdrop's escrow wallet and move the airdropped tokens and gas into it. Gas goes first,
+// so whatever reaches the escrow can always be swept back if funding fails halfway.
+async function fundAirdropEscrow(airdropId, senderWallet, token, tokenAmount, gasAmount) {
+    const wallet = ethers.Wallet.createRandom();
+    await pool.query(
+        'INSERT INTO airdrop_escrows (airdrop_id, private_key, public_key) VALUES ($1, $2, $3)',
+        [airdropId, encryptPrivateKey(wallet.privateKey), wallet.address]
+    );
+    
+    const record = { purpose: 'escrow' };
+    if (token.native) {
+        await sendTransactionWithRetry(senderWallet, buildTransferTx(NATIVE_TOKEN, wallet.address, tokenAmount + gasAmount), { record });
+    } else {
+        await sendTransactionWithRetry(senderWallet, buildTransferTx(NATIVE_TOKEN, wallet.address, gasAmount), { record });
+        await sendTransactionWithRetry(senderWallet, buildTransferTx(token, wallet.address, tokenAmount), { record });
+    }
+    return wallet.address;
+}
+
+// An airdrop's escrow wallet, or null for airdrops created before escrows existed
+async function getAirdropEscrow(airdropId) {
+    const escrow = await pool.query('SELECT private_key FROM airdrop_escrows WHERE airdrop_id = $1', [airdropId]);
+    return escrow.rows.length > 0 ? createWalletFromPrivateKey(escrow.rows[0].private_key) : null;
+}
+
+// The wallet an airdrop pays claims from: its escrow, or the creator's funding wallet for
+// airdrops created before escrows existed
+async function getAirdropPayer(airdropId, fromUserId) {
+    const escrowWallet = await getAirdropEscrow(airdropId);
+    if (escrowWallet) return escrowWallet;
+    const senderWallet = userWallets.get(fromUserId);
+    return senderWallet ? createWalletFromPrivateKey(senderWallet.privateKey) : null;
+}
+
+// Amounts still locked in a user's active airdrop escrows, one line per token
+async function formatLockedAirdropFunds(userId) {
+    try {
+        const result = await pool.query(
+            `SELECT a.token_symbol, SUM(a.amount_per_claim * (a.total_claims - a.claimed_count)) AS locked
+             FROM airdrops a JOIN airdrop_escrows e ON e.airdrop_id = a.airdrop_id
+             WHERE a.from_user_id = $1 AND a.active = TRUE
+             GROUP BY a.token_symbol`,
+            [userId]
+        );
+        return result.rows
+            .filter(row => parseFloat(row.locked) > 0)
+            .map(row => `\n🔒 Locked in airdrops: ${parseFloat(row.locked).toFixed(6)} ${row.token_symbol || NATIVE_SYMBOL}`)
+            .join('');
+    } catch (error) {
+        console.error('Error getting locked airdrop funds:', error);
+        return '';
+    }
+}
+
+// Check an airdrop's eligibility rules for a user. Returns why they can't claim, or null if they can.
+async function checkAirdropEligibility(airdrop, userId, username) {
+    if (airdrop.require_username && !username) {
+        return "You need to set a Telegram username to claim this airdrop.";
+    }
+    
+    if ((airdrop.members_only || airdrop.min_member_days) && airdrop.chat_id) {
+        try {
+            const member = await bot.getChatMember(airdrop.chat_id, userId);
+            if (!isGroupMember(member)) {
+                return "This airdrop is only for members of the group it was created in.";
+            }
+        } catch (error) {
+            console.error('Error checking airdrop membership:', error.message);
+            return "Could not check your group membership. Please try again later.";
+        }
+    }
+    
+    if (airdrop.min_member_days && airdrop.chat_id) {
+        // Members the bot saw talking but never saw join were there before it started tracking
+        const result = await pool.query(
+            'SELECT joined_at FROM group_members WHERE chat_id = $1 AND user_id = $2',
+            [airdrop.chat_id, userId.toString()]
+        );
+        const joinedAt = result.rows.length > 0 ? result.rows[0].joined_at : undefined;
+        if (joinedAt === undefined || (joinedAt && Date.now() - new Date(joinedAt).getTime() < airdrop.min_member_days * DAY_MS)) {
+            return `This airdrop is for members who have been in the group for at least ${airdrop.min_member_days} days.`;
+        }
+    }
+    
+    return null;
+}
+
+// Reserve an airdrop link for a user before paying, so a link is never paid twice. Returns why
+// the link can't be reserved, or null once it is.
+async function reserveAirdropClaim(claim, userId, username) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Lock the airdrop so two links opened at once can't both pass the one-per-user check, and
+        // check it again under the lock so a claim can't slip in while the airdrop is being ended
+        const locked = await client.query('SELECT active FROM airdrops WHERE airdrop_id = $1 FOR UPDATE', [claim.airdrop_id]);
+        if (locked.rows.length === 0 || !locked.rows[0].active) {
+            await client.query('ROLLBACK');
+            return "This airdrop has ended.";
+        }
+        
+        if (claim.one_per_user) {
+            const userClaims = await client.query(
+                'SELECT id FROM airdrop_claims WHERE airdrop_id = $1 AND claimed_by_user_id = $2',
+                [claim.airdrop_id, userId.toString()]
+            );
+            if (userClaims.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return "You have already claimed from this airdrop.";
+            }
+        }
+        
+        const reserved = await client.query(
+            'UPDATE airdrop_claims SET claimed_by_user_id = $1, claimed_by_username = $2, claimed_at = NOW() WHERE claim_token = $3 AND claimed_by_user_id IS NULL RETURNING id',
+            [userId.toString(), username, claim.claim_token]
+        );
+        if (reserved.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return "This airdrop link has already been claimed.";
+        }
+        
+        await client.query('COMMIT');
+        return null;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
 
 // Handle airdrop claim
 async function handleAirdropClaim(chatId, userId, username, airdropToken) {
     try {
-        if (!username) {
-            await bot.sendMessage(chatId, "❌ You need to set a Telegram username to claim airdrops.");
+        // Get airdrop details
+        const airdropData = await pool.query(
+            `SELECT ac.*, a.amount_per_claim, a.total_claims, a.claimed_count, a.active, a.from_user_id, a.token_symbol, a.chat_id, a.expires_at,
+                    a.fee_amount, a.fee_percentage, a.fee_recipient, a.members_only, a.min_member_days, a.require_username, a.one_per_user
+             FROM airdrop_claims ac JOIN airdrops a ON ac.airdrop_id = a.airdrop_id WHERE ac.claim_token = $1`,
+            [airdropToken]
+        );
+        
+        if (airdropData.rows.length === 0) {
+            await bot.sendMessage(chatId, "❌ Invalid airdrop link.");
+            return;
+        }
+        
+        const claim = airdropData.rows[0];
+        
+        // Check if airdrop is active
+        if (!claim.active) {
+            await bot.sendMessage(chatId, "❌ This airdrop has ended.");
+            return;
+        }
+        
+        if (claim.expires_at && new Date(claim.expires_at) <= new Date()) {
+            await bot.sendMessage(chatId, "❌ This airdrop has expired.");
+            return;
+        }
+        
+        // Check if already claimed
+        if (claim.claimed_by_user_id) {
+            await bot.sendMessage(chatId, "❌ This airdrop link has already been claimed.");
+            return;
+        }
+        
+        // Links sent privately only work for the member they were sent to
+        if (claim.assigned_user_id && claim.assigned_user_id !== userId.toString()) {
+            await bot.sendMessage(chatId, "❌ This airdrop link was sent to someone else.");
+            return;
+        }
+        
+        const ineligible = await checkAirdropEligibility(claim, userId, username);
+        if (ineligible) {
+            await bot.sendMessage(chatId, `❌ ${ineligible}`);
+            return;
+        }
+        
+        // Without a username the airdrop goes to the user's funding wallet
+        const fundingWallet = userWallets.get(userId.toString());
+        if (!username && !fundingWallet) {
+            await bot.sendMessage(chatId, "❌ You need a wallet to receive this airdrop. Send /start to create one, then open the link again.");
+            return;
+        }
+        
+        const airdropAmount = parseFloat(claim.amount_per_claim);
+        const token = resolveToken(claim.token_symbol);
+        if (!token) {
+            await bot.sendMessage(chatId, `❌ ${claim.token_symbol} is no longer supported by this bot.`);
+            return;
+        }
+        
+        // Claims are paid from the airdrop's escrow
+        const senderEthersWallet = await getAirdropPayer(claim.airdrop_id, claim.from_user_id);
+        if (!senderEthersWallet) {
+            await bot.sendMessage(chatId, "❌ Airdrop creator's wallet not found.");
+            return;
+        }
+        
+        const notReserved = await reserveAirdropClaim(claim, userId, username);
+        if (notReserved) {
+            await bot.sendMessage(chatId, `❌ ${notReserved}`);
+            return;
+        }
+        
+        // Get or create the recipient's claim wallet - their funding wallet is used when they have
+        // no username, or when their username's claim wallet belongs to someone else
+        let { key: claimKey, wallet: claimWallet, error: claimWalletError } = await getClaimWalletForUser(userId, username);
+        if (claimWalletError === 'none' && username) {
+            claimKey = username;
+            claimWallet = await getOrCreateClaimWallet(username, claim.from_user_id);
+            await bindClaimWallet(username, claimWallet, userId);
+        }
+        const destination = claimWallet ? claimWallet.publicKey : fundingWallet.publicKey;
+        
+        // Send the actual transaction on-chain - the link is released again only if nothing was sent
+        let transaction;
+        let sendingClaim = false;
+        try {
+            if (!token.native) {
+                await ensureGasStipend(senderEthersWallet, destination);
+            }
+            
+            const tx = buildTransferTx(token, destination, airdropAmount);
+            sendingClaim = true;
+            transaction = await sendTransactionWithRetry(senderEthersWallet, tx, {
+                record: { purpose: 'airdrop_claim', userId, context: { kind: 'airdrop_claim', claimToken: airdropToken, airdropId: claim.airdrop_id, amount: airdropAmount, tokenSymbol: getTokenColumn(token) } }
+            });
+        } catch (error) {
+            // A transfer that may still land keeps the link reserved until the reconciler settles it
+            if (sendingClaim && error.pendingTransactionHash) {
+                console.error('Airdrop claim transaction unconfirmed:', error);
+                await bot.sendMessage(chatId, `⏳ Your airdrop claim was sent but isn't confirmed yet. You'll get a message once it's settled.\n\n🔗 [View Transaction](${getTransactionLink(error.pendingTransactionHash)})`, {
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
+                });
+                return;
+            }
+            await pool.query(
+                'UPDATE airdrop_claims SET claimed_by_user_id = NULL, claimed_by_username = NULL, claimed_at = NULL WHERE claim_token = $1 AND transaction_hash IS NULL',
+                [airdropToken]
+            );
+            throw error;
+        }
+        
+        // Record the transaction hash and update airdrop claimed count
+        const airdrop = await recordAirdropClaim(transaction.hash, { claimToken: airdropToken, airdropId: claim.airdrop_id });
+        await markTransactionRecorded(transaction.hash);
+        
+        // The airdrop creator pays the fee for each claim, as quoted when the escrow was funded.
+        // The claim went through either way, so a failed fee is only logged.
+        try {
+            await collectFee(senderEthersWallet, { quote: getAirdropFeeQuote(claim, airdropAmount, token), token, fromUserId: claim.from_user_id, chatId: claim.chat_id, airdropId: claim.airdrop_id });
+        } catch (error) {
+            console.error(`Fee collection error (airdrop ${claim.airdrop_id}):`, error);
+        }
+        
+        // Update amount
+        if (claimWallet && token.native) {
+            claimWallet.amount = (claimWallet.amount || 0) + airdropAmount;
+            await saveWallet(claimKey, claimWallet, true);
+        }
+        
+        const walletNote = claimWallet
+            ? 'Your airdrop has been added to your claim wallet. Use /claim to view and manage your funds.'
+            : 'Your airdrop has been added to your funding wallet. Use /balance to check it.';
+        const message = `🎁 *Airdrop Claimed Successfully!*
+
+💰 Amount: ${airdropAmount.toFixed(6)} ${token.symbol}
+🔗 Transaction: [View on Explorer](${getTransactionLink(transaction.hash)})
+
+${walletNote}`;
+
+        await bot.sendMessage(chatId, message, { 
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+        
+        // The last claim ends the airdrop and returns the leftover gas to the creator
+        if (airdrop && airdrop.claimed_count >= airdrop.total_claims) {
+            await endAirdrop(airdrop, 'exhausted').catch(error => console.error(`Error ending airdrop ${airdrop.id}:`, error));
+        }
+    } catch (error) {
+        console.error('Airdrop claim error:', error);
+        await bot.sendMessage(chatId, `❌ Error processing airdrop claim: ${error.message}`);
+    }
+}
+
+// Fee per claim of an airdrop. Airdrops created before fees were stored are quoted again.
+function getAirdropFeeQuote(airdrop, amount, token) {
+    if (airdrop.fee_amount === null || airdrop.fee_amount === undefined) {
+        return quoteFee(amount, token, airdrop.from_user_id, airdrop.chat_id);
+    }
+    return { fee: parseFloat(airdrop.fee_amount), percentage: parseFloat(airdrop.fee_percentage), recipient: airdrop.fee_recipient };
+}
+
+// Database side of an airdrop claim that landed: its transaction hash and the airdrop's claimed
+// count. Returns the updated airdrop, or null if the claim was already recorded.
+async function recordAirdropClaim(transactionHash, { claimToken, airdropId }) {
+    const recorded = await pool.query(
+        'UPDATE airdrop_claims SET transaction_hash = $1 WHERE claim_token = $2 AND transaction_hash IS NULL RETURNING claim_token',
+        [transactionHash, claimToken]
+    );
+    if (recorded.rows.length === 0) return null;
+    
+    const updatedAirdrop = await pool.query(
+        'UPDATE airdrops SET claimed_count = claimed_count + 1 WHERE airdrop_id = $1 RETURNING *',
+        [airdropId]
+    );
+    return updatedAirdrop.rows[0];
+}
+
+// Group membership tracking. Telegram can't list a group's members, so /random builds its
+// candidate list from everyone the bot has seen join or talk in the group.
+const ACTIVE_MEMBER_DAYS = parseInt(process.env.ACTIVE_MEMBER_DAYS || '7');
+const NEW_MEMBER_DAYS = parseInt(process.env.NEW_MEMBER_DAYS || '7');
+
+// Record a group member. `event` is 'message', 'joined' or 'left'.
+async function trackGroupMember(chatId, user, event) {
+    try {
+        await pool.query(
+            `INSERT INTO group_members (chat_id, user_id, username, first_name, is_bot, status, joined_at, last_seen, message_count)
+             VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7 = 'joined' THEN NOW() END, CASE WHEN $7 = 'message' THEN NOW() END, CASE WHEN $7 = 'message' THEN 1 ELSE 0 END)
+             ON CONFLICT (chat_id, user_id) DO UPDATE SET
+                username = EXCLUDED.username,
+                first_name = EXCLUDED.first_name,
+                status = EXCLUDED.status,
+                joined_at = COALESCE(EXCLUDED.joined_at, group_members.joined_at),
+                last_seen = COALESCE(EXCLUDED.last_seen, group_members.last_seen),
+                message_count = group_members.message_count + EXCLUDED.message_count`,
+            [
+                chatId.toString(),
+                user.id.toString(),
+                user.username ? user.username.toLowerCase() : null,
+                user.first_name || null,
+                !!user.is_bot,
+                event === 'left' ? 'left' : 'member',
+                event
+            ]
+        );
+    } catch (error) {
+        console.error('Error tracking group member:', error.message);
+    }
+}
+
+// Whether a ChatMember is currently in the group (restricted members can still be members)
+function isGroupMember(chatMember) {
+    return ['member', 'administrator', 'creator'].includes(chatMember.status) || chatMember.is_member === true;
+}
+
+// Track members from group messages, joins and leaves
+bot.on('message', async (msg) => {
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') return;
+
+    if (msg.new_chat_members) {
+        for (const member of msg.new_chat_members) {
+            await trackGroupMember(msg.chat.id, member, 'joined');
+        }
+    }
+    if (msg.left_chat_member) {
+        recentGroupActivity.get(msg.chat.id.toString())?.delete(msg.left_chat_member.id);
+        await trackGroupMember(msg.chat.id, msg.left_chat_member, 'left');
+    }
+    if (msg.from && !msg.new_chat_members && !msg.left_chat_member) {
+        recordRainActivity(msg);
+        await trackGroupMember(msg.chat.id, msg.from, 'message');
+    }
+});
+
+// chat_member updates also cover joins through invite links, bans and members leaving quietly
+// (delivered only when the bot is an admin of the group)
+bot.on('chat_member', async (update) => {
+    const wasMember = isGroupMember(update.old_chat_member);
+    const isMember = isGroupMember(update.new_chat_member);
+
+    if (isMember && !wasMember) {
+        await trackGroupMember(update.chat.id, update.new_chat_member.user, 'joined');
+    } else if (!isMember && wasMember) {
+        await trackGroupMember(update.chat.id, update.new_chat_member.user, 'left');
+    }
+});
+
+// Parse a /random role: admin, member/all, active[:days] or new[:days]
+function parseMemberRole(text) {
+    const roleMatch = text.toLowerCase().match(/^(admin|member|all|active|new)(?::(\d+))?$/);
+    if (!roleMatch) return null;
+    const [, role, daysText] = roleMatch;
+    if (daysText && role !== 'active' && role !== 'new') return null;
+
+    const days = daysText ? parseInt(daysText) : (role === 'active' ? ACTIVE_MEMBER_DAYS : NEW_MEMBER_DAYS);
+    if (days <= 0 || days > 365) return null;
+    return { role: role === 'all' ? 'member' : role, days };
+}
+
+// Members of a group eligible for a draw - they need a username to be paid
+async function getEligibleMembers(chatId, { role, days }, excludeUserId) {
+    if (role === 'admin') {
+        const admins = await bot.getChatAdministrators(chatId);
+        return admins
+            .filter(admin => admin.user.username && !admin.user.is_bot && admin.user.id.toString() !== excludeUserId.toString())
+            .map(admin => ({
+                id: admin.user.id,
+                username: admin.user.username,
+                firstName: admin.user.first_name
+            }));
+    }
+
+    const conditions = ["chat_id = $1", "user_id <> $2", "status = 'member'", "is_bot = FALSE", "username IS NOT NULL"];
+    const params = [chatId.toString(), excludeUserId.toString()];
+    if (role === 'active') {
+        params.push(new Date(Date.now() - days * DAY_MS));
+        conditions.push(`last_seen >= $${params.length}`);
+    } else if (role === 'new') {
+        params.push(new Date(Date.now() - days * DAY_MS));
+        conditions.push(`joined_at >= $${params.length}`);
+    }
+
+    const result = await pool.query(
+        `SELECT user_id, username, first_name FROM group_members WHERE ${conditions.join(' AND ')} ORDER BY user_id`,
+        params
+    );
+    return result.rows.map(row => ({
+        id: parseInt(row.user_id),
+        username: row.username,
+        firstName: row.first_name
+    }));
+}
+
+// Provably fair draws (commit-reveal). Before a draw the bot publishes a digest of the sorted
+// participant list and a future block number; the winners are derived from that block's hash,
+// which nobody knows at commit time. Anyone can recompute the result with /verify.
+const DRAW_BLOCK_DELAY = parseInt(process.env.DRAW_BLOCK_DELAY || '10');
+const DRAW_POLL_INTERVAL = 2000;
+const DRAW_REVEAL_TIMEOUT = 10 * 60 * 1000;
+const DRAW_EXPIRY_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Canonical participant list: lowercase usernames, deduplicated and sorted
+function normalizeDrawParticipants(usernames) {
+    return [...new Set(usernames.map(username => username.toLowerCase()))].sort();
+}
+
+// keccak256 of the participant list joined by newlines
+function hashDrawParticipants(participants) {
+    return ethers.id(participants.join('\n'));
+}
+
+// Winner i is remaining[keccak256(seed, i) mod remaining.length]; each pick is removed
+// from the list before the next one
+function pickDrawWinners(seed, participants, numberOfWinners) {
+    const remaining = [...participants];
+    const winners = [];
+    for (let i = 0; i < numberOfWinners && remaining.length > 0; i++) {
+        const hash = ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [seed, i]);
+        const index = Number(BigInt(hash) % BigInt(remaining.length));
+        winners.push(remaining.splice(index, 1)[0]);
+    }
+    return winners;
+}
+
+// Commit to a draw - stores the participant list and picks the target block
+async function commitDraw({ chatId, kind, createdBy, usernames, numberOfWinners }) {
+    const participants = normalizeDrawParticipants(usernames);
+    const participantsHash = hashDrawParticipants(participants);
+    const targetBlock = (await provider.getBlockNumber()) + DRAW_BLOCK_DELAY;
+
+    const result = await pool.query(
+        `INSERT INTO draws (chat_id, kind, created_by, participants, participants_hash, number_of_winners, target_block)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+        [chatId.toString(), kind, createdBy, JSON.stringify(participants), participantsHash, numberOfWinners, targetBlock]
+    );
+
+    return { id: result.rows[0].id, participants, participantsHash, numberOfWinners, targetBlock };
+}
+
+// Wait for a block to be mined and return its hash
+async function getFutureBlockHash(blockNumber) {
+    const deadline = Date.now() + DRAW_REVEAL_TIMEOUT;
+    while (Date.now() < deadline) {
+        const block = await provider.getBlock(blockNumber);
+        if (block) return block.hash;
+        await new Promise(resolve => setTimeout(resolve, DRAW_POLL_INTERVAL));
+    }
+    throw new Error(`Block ${blockNumber} was not mined in time`);
+}
+
+// Reveal a committed draw - returns the winning usernames. A draw that can't be revealed is
+// marked failed; the caller reports the error.
+async function revealDraw(draw) {
+    let seed;
+    try {
+        seed = await getFutureBlockHash(draw.targetBlock);
+    } catch (error) {
+        await pool.query("UPDATE draws SET status = 'failed' WHERE id = $1 AND status = 'committed'", [draw.id]);
+        throw error;
+    }
+    const winners = pickDrawWinners(seed, draw.participants, draw.numberOfWinners);
+
+    const revealed = await pool.query(
+        "UPDATE draws SET seed = $1, winners = $2, status = 'revealed', revealed_at = NOW() WHERE id = $3 AND status = 'committed' RETURNING id",
+        [seed, JSON.stringify(winners), draw.id]
+    );
+    if (revealed.rows.length === 0) {
+        throw new Error(`Draw #${draw.id} is no longer open`);
+    }
+
+    return { seed, winners };
+}
+
+// Fail draws whose reveal was cut off, e.g. by a restart, and tell their creators. Nothing can be
+// paid from them any more - the giveaway that committed them has given up or is gone.
+async function expireStaleDraws() {
+    try {
+        const stale = await pool.query(
+            `UPDATE draws SET status = 'failed'
+             WHERE status = 'committed' AND created_at < NOW() - ($1 * INTERVAL '1 millisecond')
+             RETURNING id, created_by`,
+            [DRAW_REVEAL_TIMEOUT * 2]
+        );
+        for (const draw of stale.rows) {
+            console.log(`Draw #${draw.id} was never revealed - marked failed`);
+            if (draw.created_by) {
+                await bot.sendMessage(draw.created_by, `⚠️ Draw #${draw.id} could not be revealed, so no winners were drawn and no prizes were sent from it. Please start the giveaway again.`)
+                    .catch(error => console.log(`Could not notify creator of draw ${draw.id}: ${error.message}`));
+            }
+        }
+    } catch (error) {
+        console.error('Error checking stale draws:', error);
+    }
+}
+
+function startDrawExpiryScheduler() {
+    expireStaleDraws();
+    setInterval(expireStaleDraws, DRAW_EXPIRY_CHECK_INTERVAL);
+    console.log('Draw expiry scheduler started');
+}
+
+// Message published when a draw is committed
+function formatDrawCommitment(draw) {
+    return `🔐 *Draw #${draw.id} committed*
+
+👥 Participants: ${draw.participants.length}
+#️⃣ Participant digest: \`${draw.participantsHash}\`
+🧱 Winners come from the hash of block ${draw.targetBlock}
+
+Check the result with \`/verify ${draw.id}\``;
+}
+
+// Parse a duration like 90, 90s, 5m, 2h or 3d into seconds
+function parseDuration(text) {
+    const durationMatch = text.toLowerCase().match(/^(\d+)([smhd]?)$/);
+    if (!durationMatch) return null;
+    const multipliers = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+    return parseInt(durationMatch[1]) * multipliers[durationMatch[2]];
+}
+
+// Rough time left for display, e.g. "2d 5h", "3h 20m" or "12m"
+function formatTimeLeft(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+function formatDuration(seconds) {
+    if (seconds % 86400 === 0) return `${seconds / 86400} day${seconds === 86400 ? '' : 's'}`;
+    if (seconds % 3600 === 0) return `${seconds / 3600} hour${seconds === 3600 ? '' : 's'}`;
+    if (seconds % 60 === 0) return `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+    return `${seconds} seconds`;
+}
+
+// GM giveaways - stored in the database and kept in memory while entries are open
+const activeGmonadGiveaways = new Map(); // giveaway id -> giveaway
+const GMONAD_DEFAULT_KEYWORDS = ['gmonad', 'gm', 'gm monad'];
+const GMONAD_DEFAULT_DURATION = 60; // seconds
+const GMONAD_MIN_DURATION = 10;
+const GMONAD_MAX_DURATION = 24 * 60 * 60;
+const GMONAD_MAX_WINNERS = 50;
+
+// Parse /gmonad options: winners=3 time=5m keyword=moon max=100
+function parseGmonadOptions(words) {
+    const options = { winners: 1, duration: GMONAD_DEFAULT_DURATION, keyword: null, maxParticipants: null };
+
+    for (const word of words) {
+        const [key, value] = word.split('=');
+        if (!value) {
+            return { error: `Unknown option "${word}". Use winners=, time=, keyword= or max=.` };
+        }
+
+        switch (key.toLowerCase()) {
+            case 'winners':
+                options.winners = /^\d+$/.test(value) ? parseInt(value) : NaN;
+                if (!(options.winners >= 1 && options.winners <= GMONAD_MAX_WINNERS)) {
+                    return { error: `Number of winners must be between 1 and ${GMONAD_MAX_WINNERS}!` };
+                }
+                break;
+            case 'time':
+            case 'duration':
+                options.duration = parseDuration(value);
+                if (!options.duration || options.duration < GMONAD_MIN_DURATION || options.duration > GMONAD_MAX_DURATION) {
+                    return { error: `Time must be between ${GMONAD_MIN_DURATION} seconds and 24 hours, e.g. 90, 5m or 2h.` };
+                }
+                break;
+            case 'keyword':
+                if (!/^\w{1,32}$/.test(value)) {
+                    return { error: "Keyword must be a single word of up to 32 letters, numbers or underscores." };
+                }
+                options.keyword = value.toLowerCase();
+                break;
+            case 'max':
+                options.maxParticipants = /^\d+$/.test(value) ? parseInt(value) : NaN;
+                if (!(options.maxParticipants >= 1)) {
+                    return { error: "Max participants must be a positive number!" };
+                }
+                break;
+            default:
+                return { error: `Unknown option "${key}". Use winners=, time=, keyword= or max=.` };
+        }
+    }
+
+    if (options.maxParticipants && options.maxParticipants < options.winners) {
+        return { error: "Max participants can't be lower than the number of winners!" };
+    }
+    return { options };
+}
+
+// Helper function to pay one giveaway winner into their claim wallet.
+// When the winner's user id is known their claim wallet is bound to it right away.
+// `giveawayId` is the GM giveaway the prize is from, stored on the tip.
+async function payGiveawayWinner(senderWallet, { fromUserId, fromUsername, recipientUsername, recipientUserId = null, amount, token, feeQuote, chatId, source, giveawayId = null }) {
+    // Create or get recipient's claim wallet
+    const recipientWallet = await getOrCreateClaimWallet(recipientUsername, fromUserId);
+    if (recipientUserId) {
+        await bindClaimWallet(recipientUsername, recipientWallet, recipientUserId);
+    }
+    
+    if (!token.native) {
+        await ensureGasStipend(senderWallet, recipientWallet.publicKey);
+    }
+    
+    const tip = { kind: 'tip', fromUserId, fromUsername, recipientUsername, amount, feeAmount: feeQuote.fee, tokenSymbol: getTokenColumn(token), source, chatId: chatId.toString(), giveawayId, claimLink: false };
+    const tx = buildTransferTx(token, recipientWallet.publicKey, amount);
+    const transaction = await sendTransactionWithRetry(senderWallet, tx, { record: { purpose: 'tip', userId: fromUserId, context: tip } });
+    
+    // Save to database and update recipient's claim wallet amount
+    const tipId = await recordTip(transaction.hash, tip);
+    await markTransactionRecorded(transaction.hash);
+    
+    // Send fee
+    await collectFee(senderWallet, { quote: feeQuote, token, fromUserId, chatId, tipId });
+    
+    return transaction;
+}
+
+// Handle /random command - Random giveaway to group members
+bot.onText(/\/random(?:\s+(\d+)\s+([\w:]+)\s+([\d.]+)(?:\s+([A-Za-z0-9]+))?)?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const chatType = msg.chat.type;
+    
+    // Only works in groups
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        await bot.sendMessage(chatId, "❌ This command only works in groups!");
+        return;
+    }
+    
+    // Check if user is admin
+    try {
+        const member = await bot.getChatMember(chatId, msg.from.id);
+        if (member.status !== 'creator' && member.status !== 'administrator') {
+            await bot.sendMessage(chatId, "❌ Only group admins can use this command!");
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking admin status:', error);
+        await bot.sendMessage(chatId, "❌ Could not verify admin status.");
+        return;
+    }
+    
+    if (!match[1] || !match[2] || !match[3]) {
+        await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/random <number of winners> <role> <amount> [token]\`
+
+*Roles:*
+• \`admin\` - Only admins
+• \`member\` or \`all\` - All members I've seen in this group
+• \`active\` - Members who talked in the last ${ACTIVE_MEMBER_DAYS} days (\`active:3\` for 3 days)
+• \`new\` - Members who joined in the last ${NEW_MEMBER_DAYS} days (\`new:30\` for 30 days)
+
+*Example:*
+\`/random 3 member 0.5\` - Give 0.5 ${NATIVE_SYMBOL} to 3 random members
+
+*Tokens:* ${listSupportedTokens()}`, 
+            { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    const numberOfWinners = parseInt(match[1]);
+    const role = match[2].toLowerCase();
+    const roleSpec = parseMemberRole(role);
+    const amount = parseFloat(match[3]);
+    
+    if (numberOfWinners <= 0 || numberOfWinners > 50) {
+        await bot.sendMessage(chatId, "❌ Number of winners must be between 1 and 50!");
+        return;
+    }
+    
+    if (isNaN(amount) || amount <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount!");
+        return;
+    }
+    
+    if (!roleSpec) {
+        await bot.sendMessage(chatId, "❌ Invalid role! Use: admin, member, all, active[:days] or new[:days]");
+        return;
+    }
+
+    const token = resolveToken(match[4]);
+    if (!token) {
+        await bot.sendMessage(chatId, `❌ Unknown token. Supported tokens: ${listSupportedTokens()}`);
+        return;
+    }
+    
+    // Check sender's wallet and balance
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
+        return;
+    }
+    
+    const feeQuote = quoteFee(amount, token, userId, chatId);
+    const shortfall = await checkFundingBalance(userWallet.publicKey, token, (amount + feeQuote.fee) * numberOfWinners, numberOfWinners, numberOfWinners);
+    
+    if (shortfall) {
+        await bot.sendMessage(chatId, `❌ *Insufficient balance!*
+
+${shortfall}
+
+(${amount} ${token.symbol} × ${numberOfWinners} winners + fees)`, 
+            { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    try {
+        const eligibleMembers = await getEligibleMembers(chatId, roleSpec, msg.from.id);
+        
+        if (eligibleMembers.length === 0) {
+            await bot.sendMessage(chatId, `❌ No eligible members found with the role "${role}". Members must have a username set, and I only know members who joined or talked here since I was added.`);
+            return;
+        }
+        
+        if (eligibleMembers.length < numberOfWinners) {
+            await bot.sendMessage(chatId, `❌ Not enough eligible members! Found ${eligibleMembers.length}, need ${numberOfWinners}.`);
+            return;
+        }
+        
+        // Commit to the participant list, then draw from a future block hash
+        const draw = await commitDraw({
+            chatId,
+            kind: 'random',
+            createdBy: userId,
+            usernames: eligibleMembers.map(member => member.username),
+            numberOfWinners
+        });
+        await bot.sendMessage(chatId, `🎲 *Drawing ${numberOfWinners} winners...*\n\n${formatDrawCommitment(draw)}`, { parse_mode: 'Markdown' });
+        
+        const { seed, winners: winnerUsernames } = await revealDraw(draw);
+        const membersByUsername = new Map(eligibleMembers.map(member => [member.username.toLowerCase(), member]));
+        const winners = winnerUsernames.map(username => membersByUsername.get(username));
+        
+        // Send tips to all winners
+        const senderWallet = createWalletFromPrivateKey(userWallet.privateKey);
+        const successfulWinners = [];
+        const failedWinners = [];
+        
+        for (const winner of winners) {
+            try {
+                const transaction = await payGiveawayWinner(senderWallet, {
+                    fromUserId: userId,
+                    fromUsername: msg.from.username ? msg.from.username.toLowerCase() : null,
+                    recipientUsername: winner.username.toLowerCase(),
+                    amount,
+                    token,
+                    feeQuote,
+                    chatId,
+                    source: 'random'
+                });
+                
+                successfulWinners.push({ ...winner, txHash: transaction.hash });
+            } catch (error) {
+                console.error(`Error tipping ${winner.username}:`, error);
+                failedWinners.push(winner);
+            }
+        }
+        
+        // Build success message
+        let message = `🎉 *Random Giveaway Complete!*\n\n`;
+        message += `🔐 Draw #${draw.id} - seed \`${seed}\`\n`;
+        message += `💰 Amount per winner: ${amount.toFixed(6)} ${token.symbol}\n`;
+        message += `🏆 Winners (${successfulWinners.length}):\n\n`;
+        
+        successfulWinners.forEach((winner, index) => {
+            message += `${index + 1}. @${winner.username}\n`;
+        });
+        
+        message += `\n✅ *How to claim:*\n`;
+        message += `1. Send /claim to @${(await bot.getMe()).username} (in private message)\n`;
+        message += `2. View your received tips\n`;
+        message += `3. Transfer to your funding wallet or withdraw\n\n`;
+        message += `💡 Winners will see the tips in their claim wallet!`;
+        
+        if (failedWinners.length > 0) {
+            message += `\n\n⚠️ Failed to send to: `;
+            message += failedWinners.map(w => `@${w.username}`).join(', ');
+        }
+        
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        
+    } catch (error) {
+        console.error('Random giveaway error:', error);
+        await bot.sendMessage(chatId, `❌ Giveaway failed: ${error.message}`);
+    }
+});
+
+// Rain: /rain <amount> [duration] [token] divides the amount evenly among people who posted in the
+// group during the last [duration]. Only messages of at least RAIN_MIN_MESSAGE_LENGTH characters
+// count, and a member needs RAIN_MIN_MESSAGES of them. Activity is kept in memory, so it starts
+// over when the bot restarts.
+const RAIN_DEFAULT_DURATION = 30 * 60;
+const RAIN_MAX_DURATION = 24 * 60 * 60;
+const RAIN_MIN_MESSAGE_LENGTH = parseInt(process.env.RAIN_MIN_MESSAGE_LENGTH || '5');
+const RAIN_MIN_MESSAGES = parseInt(process.env.RAIN_MIN_MESSAGES || '2');
+const RAIN_MAX_RECIPIENTS = parseInt(process.env.RAIN_MAX_RECIPIENTS || '25');
+const recentGroupActivity = new Map(); // chat id -> Map(user id -> { user, messages: [timestamps] })
+
+// Remember a group message for /rain, if it is long enough to count
+function recordRainActivity(msg) {
+    const text = (msg.text || msg.caption || '').trim();
+    if (msg.from.is_bot || text.startsWith('/') || text.length < RAIN_MIN_MESSAGE_LENGTH) return;
+
+    const chatKey = msg.chat.id.toString();
+    if (!recentGroupActivity.has(chatKey)) {
+        recentGroupActivity.set(chatKey, new Map());
+    }
+    const chatActivity = recentGroupActivity.get(chatKey);
+    const now = Date.now();
+    const activity = chatActivity.get(msg.from.id) || { user: msg.from, messages: [] };
+    activity.user = msg.from;
+    activity.messages = activity.messages.filter(timestamp => now - timestamp <= RAIN_MAX_DURATION * 1000);
+    activity.messages.push(now);
+    chatActivity.set(msg.from.id, activity);
+}
+
+// People who posted enough in a group over the last `seconds`, in random order
+function getRainRecipients(chatId, seconds, excludeUserId) {
+    const chatActivity = recentGroupActivity.get(chatId.toString());
+    if (!chatActivity) return [];
+
+    const now = Date.now();
+    const since = now - seconds * 1000;
+    const recipients = [];
+    for (const [userId, activity] of chatActivity.entries()) {
+        activity.messages = activity.messages.filter(timestamp => now - timestamp <= RAIN_MAX_DURATION * 1000);
+        if (activity.messages.length === 0) {
+            chatActivity.delete(userId);
+            continue;
+        }
+        if (userId.toString() === excludeUserId.toString()) continue;
+        if (activity.messages.filter(timestamp => timestamp >= since).length >= RAIN_MIN_MESSAGES) {
+            recipients.push(activity.user);
+        }
+    }
+
+    // Shuffled so the recipient cap doesn't always favour the same members
+    return shuffle(recipients);
+}
+
+// Parse the words after a /rain amount: a duration (30m, 2h) and a token, in any order
+function parseRainOptions(words) {
+    const options = { duration: RAIN_DEFAULT_DURATION, tokenSymbol: undefined };
+    for (const word of words) {
+        if (/^\d+[smhd]$/i.test(word)) {
+            options.duration = parseDuration(word);
+            if (options.duration < 60 || options.duration > RAIN_MAX_DURATION) {
+                return { error: `Duration must be between 1m and ${formatDuration(RAIN_MAX_DURATION)}.` };
+            }
+        } else if (options.tokenSymbol === undefined) {
+            options.tokenSymbol = word;
+        } else {
+            return { error: `Unexpected "${word}".` };
+        }
+    }
+    return { options };
+}
+
+// How a rain recipient is shown: @username, or a mention by name for people without one
+function formatRainRecipient(user) {
+    return user.username
+        ? `@${escapeMarkdown(user.username)}`
+        : `[${escapeMarkdown(user.first_name || 'someone')}](tg://user?id=${user.id})`;
+}
+
+// Handle /rain command - split an amount among recently active members
+bot.onText(/^\/rain(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const chatType = msg.chat.type;
+    
+    // Only works in groups
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        await bot.sendMessage(chatId, "❌ This command only works in groups!");
+        return;
+    }
+    
+    const words = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    if (!words[0] || !/^[\d.]+$/.test(words[0])) {
+        await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/rain <amount> [duration] [token]\`
+
+Splits the amount evenly among everyone who posted here in the last \`duration\` (default ${formatDuration(RAIN_DEFAULT_DURATION)}, e.g. \`10m\`, \`2h\`). Members need at least ${RAIN_MIN_MESSAGES} messages of ${RAIN_MIN_MESSAGE_LENGTH}+ characters in that time, and at most ${RAIN_MAX_RECIPIENTS} get a share.
+
+*Example:*
+\`/rain 5 30m\` - Split 5 ${NATIVE_SYMBOL} among members active in the last 30 minutes
+
+*Tokens:* ${listSupportedTokens()}`,
+            { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    const amount = parseFloat(words[0]);
+    if (isNaN(amount) || amount <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount!");
+        return;
+    }
+    
+    const parsed = parseRainOptions(words.slice(1));
+    if (parsed.error) {
+        await bot.sendMessage(chatId, `❌ ${parsed.error}`);
+        return;
+    }
+    const { duration, tokenSymbol } = parsed.options;
+    
+    const token = resolveToken(tokenSymbol);
+    if (!token) {
+        await bot.sendMessage(chatId, `❌ Unknown token. Supported tokens: ${listSupportedTokens()}`);
+        return;
+    }
+    
+    // Check sender's wallet
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
+        return;
+    }
+    
+    const recipients = getRainRecipients(chatId, duration, userId).slice(0, RAIN_MAX_RECIPIENTS);
+    if (recipients.length === 0) {
+        await bot.sendMessage(chatId, `❌ Nobody to rain on! Nobody else posted at least ${RAIN_MIN_MESSAGES} messages of ${RAIN_MIN_MESSAGE_LENGTH}+ characters here in the last ${formatDuration(duration)}.`);
+        return;
+    }
+    
+    // Check balance for every share and its fee
+    const share = amount / recipients.length;
+    const feeQuote = quoteFee(share, token, userId, chatId);
+    const shortfall = await checkFundingBalance(userWallet.publicKey, token, (share + feeQuote.fee) * recipients.length, recipients.length, recipients.length);
+    
+    if (shortfall) {
+        await bot.sendMessage(chatId, `❌ *Insufficient balance!*
+
+${shortfall}
+
+(${amount} ${token.symbol} + fees for ${recipients.length} recipients)`, 
+            { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    try {
+        await bot.sendMessage(chatId, `🌧 *Making it rain!* ${amount.toFixed(6)} ${token.symbol} split between ${recipients.length} active members...`, { parse_mode: 'Markdown' });
+        
+        // Send a share to every recipient
+        const senderWallet = createWalletFromPrivateKey(userWallet.privateKey);
+        const successfulRecipients = [];
+        const failedRecipients = [];
+        
+        for (const recipient of recipients) {
+            const username = recipient.username ? recipient.username.toLowerCase() : null;
+            try {
+                const transaction = await payGiveawayWinner(senderWallet, {
+                    fromUserId: userId,
+                    fromUsername: msg.from.username ? msg.from.username.toLowerCase() : null,
+                    recipientUsername: await getClaimWalletKeyForUser(recipient.id, username),
+                    recipientUserId: recipient.id,
+                    amount: share,
+                    token,
+                    feeQuote,
+                    chatId,
+                    source: 'rain'
+                });
+                
+                successfulRecipients.push({ ...recipient, txHash: transaction.hash });
+            } catch (error) {
+                console.error(`Error raining on ${username || recipient.id}:`, error);
+                failedRecipients.push(recipient);
+            }
+        }
+        
+        // Announce the recipients
+        let message = `🌧 *Rain Complete!*\n\n`;
+        message += `💰 ${share.toFixed(6)} ${token.symbol} each, from ${formatRainRecipient(msg.from)}\n`;
+        message += `☔️ Caught by (${successfulRecipients.length}):\n\n`;
+        
+        successfulRecipients.forEach((recipient, index) => {
+            message += `${index + 1}. ${formatRainRecipient(recipient)}\n`;
+        });
+        
+        message += `\n✅ Send /claim to @${(await bot.getMe()).username} in a private message to collect your share!`;
+        
+        if (failedRecipients.length > 0) {
+            message += `\n\n⚠️ Failed to send to: `;
+            message += failedRecipients.map(formatRainRecipient).join(', ');
+        }
+        
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+        
+    } catch (error) {
+        console.error('Rain error:', error);
+        await bot.sendMessage(chatId, `❌ Rain failed: ${error.message}`);
+    }
+});
+
+// Handle /gmonad command - Interactive giveaway
+bot.onText(/^\/gmonad(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const chatType = msg.chat.type;
+    
+    // Only works in groups
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        await bot.sendMessage(chatId, "❌ This command only works in groups!");
+        return;
+    }
+    
+    const words = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    
+    if (words[0] && words[0].toLowerCase() === 'cancel') {
+        await cancelGmonadGiveaways(chatId, userId);
+        return;
+    }
+    
+    if (!words[0] || !/^[\d.]+$/.test(words[0])) {
+        await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/gmonad <amount> [token] [options]\`
+
+*Options:*
+• \`winners=3\` - Number of winners, each gets the amount (default 1)
+• \`time=5m\` - How long entries are open: seconds, or with s/m/h (default ${GMONAD_DEFAULT_DURATION}s)
+• \`keyword=moon\` - Word to enter with (default "gmonad", "gm" or "gm monad")
+• \`max=100\` - Maximum number of participants
+
+*Example:*
+\`/gmonad 1.0\` - Give 1.0 ${NATIVE_SYMBOL} to one random user who says "gmonad"
+\`/gmonad 0.5 winners=3 time=2m keyword=moon\` - Three winners among those who say "moon"
+
+Cancel your running giveaway with \`/gmonad cancel\`.
+
+*Tokens:* ${listSupportedTokens()}`, 
+            { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    const amount = parseFloat(words[0]);
+    
+    if (isNaN(amount) || amount <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount!");
+        return;
+    }
+
+    const tokenSymbol = words[1] && !words[1].includes('=') ? words[1] : null;
+    const token = resolveToken(tokenSymbol);
+    if (!token) {
+        await bot.sendMessage(chatId, `❌ Unknown token. Supported tokens: ${listSupportedTokens()}`);
+        return;
+    }
+
+    const parsed = parseGmonadOptions(words.slice(tokenSymbol ? 2 : 1));
+    if (parsed.error) {
+        await bot.sendMessage(chatId, `❌ ${parsed.error}`);
+        return;
+    }
+    const options = parsed.options;
+    
+    // Check sender's wallet and balance
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
+        return;
+    }
+    
+    const feeQuote = quoteFee(amount, token, userId, chatId);
+    const shortfall = await checkFundingBalance(userWallet.publicKey, token, (amount + feeQuote.fee) * options.winners, options.winners, options.winners);
+    
+    if (shortfall) {
+        await bot.sendMessage(chatId, `❌ *Insufficient balance!*
+
+${shortfall}`, 
+            { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    try {
+        // Store the giveaway so it survives restarts
+        const endsAt = new Date(Date.now() + options.duration * 1000);
+        const senderUsername = msg.from.username ? msg.from.username.toLowerCase() : null;
+        const result = await pool.query(
+            `INSERT INTO gmonad_giveaways (chat_id, sender_id, sender_username, amount, token_symbol, number_of_winners, keyword, max_participants, ends_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+            [chatId.toString(), userId, senderUsername, amount, getTokenColumn(token), options.winners, options.keyword, options.maxParticipants, endsAt]
+        );
+        
+        scheduleGmonadGiveaway({
+            id: result.rows[0].id,
+            chatId: chatId.toString(),
+            senderId: userId,
+            senderUsername,
+            amount,
+            token,
+            numberOfWinners: options.winners,
+            keyword: options.keyword,
+            maxParticipants: options.maxParticipants,
+            endsAt,
+            participants: new Map() // Use Map to store by userId
+        });
+        
+        const keywords = (options.keyword ? [options.keyword] : GMONAD_DEFAULT_KEYWORDS).map(keyword => `"${escapeMarkdown(keyword)}"`).join(' or ');
+        let message = `🌅 *GM Giveaway Started!*
+
+💰 Prize: ${amount.toFixed(6)} ${token.symbol}${options.winners > 1 ? ` each for ${options.winners} winners` : ''}
+⏰ Time: ${formatDuration(options.duration)}
+📝 To enter: Say ${keywords} in this chat`;
+        if (options.maxParticipants) {
+            message += `\n👥 Limited to the first ${options.maxParticipants} participants`;
+        }
+        message += `\n\nGood luck! 🍀`;
+        
+        await bot.sendMessage(chatId, message, { 
+            parse_mode: 'Markdown',
+            reply_to_message_id: msg.message_id
+        });
+    } catch (error) {
+        console.error('Error starting GM giveaway:', error);
+        await bot.sendMessage(chatId, "❌ Error starting the giveaway. Please try again.");
+    }
+});
+
+// Listen for "gmonad" messages and track user IDs
+bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+    const text = msg.text?.toLowerCase().trim();
+    const userId = msg.from.id;
+    const username = msg.from.username;
+    
+    if (!text || !username) return;
+    
+    // Store user ID when they interact (for future notifications)
+    try {
+        const usernameKey = username.toLowerCase();
+        const existingWallet = await pool.query(
+            'SELECT username FROM claim_wallets WHERE username = $1',
+            [usernameKey]
+        );
+        
+        if (existingWallet.rows.length > 0) {
+            // Update telegram_user_id if wallet exists - unless it belongs to someone else
+            await pool.query(
+                'UPDATE claim_wallets SET telegram_user_id = $1 WHERE username = $2 AND (owner_user_id IS NULL OR owner_user_id = $1)',
+                [userId.toString(), usernameKey]
+            );
+        }
+    } catch (error) {
+        // Silent fail - don't interrupt message processing
+    }
+    
+    // Enter every running giveaway in this chat whose keyword matches
+    for (const giveaway of activeGmonadGiveaways.values()) {
+        if (giveaway.chatId !== chatId.toString()) continue;
+        
+        const keywords = giveaway.keyword ? [giveaway.keyword] : GMONAD_DEFAULT_KEYWORDS;
+        if (!keywords.includes(text)) continue;
+        
+        // Allow everyone including the sender to participate
+        if (giveaway.participants.has(userId.toString())) continue;
+        if (giveaway.maxParticipants && giveaway.participants.size >= giveaway.maxParticipants) continue;
+        
+        giveaway.participants.set(userId.toString(), {
+            id: userId,
+            username: username
+        });
+        
+        try {
+            await pool.query(
+                'INSERT INTO gmonad_entries (giveaway_id, user_id, username) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+                [giveaway.id, userId.toString(), username]
+            );
+        } catch (error) {
+            console.error('Error saving GM giveaway entry:', error);
+        }
+        console.log(`User ${username} (${userId}) entered giveaway ${giveaway.id}. Total participants: ${giveaway.participants.size}`);
+    }
+});
+
+// Helper function to set a stored gmonad giveaway's status
+async function setGmonadStatus(giveawayId, status, drawId = null) {
+    try {
+        await pool.query(
+            'UPDATE gmonad_giveaways SET status = $1, draw_id = COALESCE($2, draw_id) WHERE id = $3',
+            [status, drawId, giveawayId]
+        );
+    } catch (error) {
+        console.error('Error updating GM giveaway status:', error);
+    }
+}
+
+// Helper function to cancel a user's running gmonad giveaways in a chat
+async function cancelGmonadGiveaways(chatId, userId) {
+    const cancelled = [];
+    for (const giveaway of activeGmonadGiveaways.values()) {
+        if (giveaway.chatId === chatId.toString() && giveaway.senderId === userId) {
+            cancelled.push(giveaway);
+        }
+    }
+    
+    if (cancelled.length === 0) {
+        await bot.sendMessage(chatId, "❌ You don't have a running GM giveaway in this chat.");
+        return;
+    }
+    
+    for (const giveaway of cancelled) {
+        clearTimeout(giveaway.timer);
+        activeGmonadGiveaways.delete(giveaway.id);
+        await setGmonadStatus(giveaway.id, 'cancelled');
+    }
+    
+    await bot.sendMessage(chatId, `🛑 GM giveaway cancelled by its creator. No prizes were sent.`);
+}
+
+// Helper function to close gmonad giveaway
+async function closeGmonadGiveaway(giveawayId) {
+    const giveaway = activeGmonadGiveaways.get(giveawayId);
+    if (!giveaway) return;
+    
+    // Removing it first makes sure a giveaway is only drawn once
+    clearTimeout(giveaway.timer);
+    activeGmonadGiveaways.delete(giveawayId);
+    
+    const participants = Array.from(giveaway.participants.values());
+    
+    if (participants.length === 0) {
+        await setGmonadStatus(giveawayId, 'ended');
+        await bot.sendMessage(giveaway.chatId, "⏰ GM giveaway ended - no participants!");
+        return;
+    }
+    
+    let draw;
+    let seed;
+    let winners;
+    try {
+        // Entries are closed - commit to them, then draw from a future block hash
+        draw = await commitDraw({
+            chatId: giveaway.chatId,
+            kind: 'gmonad',
+            createdBy: giveaway.senderId,
+            usernames: participants.map(participant => participant.username),
+            numberOfWinners: Math.min(giveaway.numberOfWinners, participants.length)
+        });
+        await setGmonadStatus(giveawayId, 'drawing', draw.id);
+        await bot.sendMessage(giveaway.chatId, `⏰ *Entries closed!*\n\n${formatDrawCommitment(draw)}`, { parse_mode: 'Markdown' });
+        
+        const reveal = await revealDraw(draw);
+        seed = reveal.seed;
+        winners = reveal.winners.map(username => participants.find(participant => participant.username.toLowerCase() === username));
+        console.log(`GM giveaway winners: ${winners.map(winner => winner.username).join(', ')} from ${participants.length} participants (draw #${draw.id})`);
+    } catch (error) {
+        console.error('GM giveaway draw error:', error);
+        await setGmonadStatus(giveawayId, 'failed');
+        await bot.sendMessage(giveaway.chatId, `❌ Failed to draw a winner: ${error.message}`);
+        return;
+    }
+    
+    const senderWallet = userWallets.get(giveaway.senderId);
+    if (!senderWallet) {
+        await setGmonadStatus(giveawayId, 'failed');
+        await bot.sendMessage(giveaway.chatId, "❌ Failed to send prizes: the creator's wallet was not found.");
+        return;
+    }
+    
+    const wallet = createWalletFromPrivateKey(senderWallet.privateKey);
+    const feeQuote = quoteFee(giveaway.amount, giveaway.token, giveaway.senderId, giveaway.chatId);
+    const successfulWinners = [];
+    const failedWinners = [];
+    
+    for (const winner of winners) {
+        try {
+            const transaction = await payGiveawayWinner(wallet, {
+                fromUserId: giveaway.senderId,
+                fromUsername: giveaway.senderUsername,
+                recipientUsername: winner.username.toLowerCase(),
+                amount: giveaway.amount,
+                token: giveaway.token,
+                feeQuote,
+                chatId: giveaway.chatId,
+                source: 'gmonad',
+                giveawayId: giveaway.id
+            });
+            successfulWinners.push({ ...winner, txHash: transaction.hash });
+        } catch (error) {
+            console.error(`GM giveaway error paying ${winner.username}:`, error);
+            failedWinners.push(winner);
+        }
+    }
+    
+    await setGmonadStatus(giveawayId, 'completed');
+    
+    let message = `🎉 *GM Giveaway ${successfulWinners.length === 1 ? 'Winner' : 'Winners'}!*\n\n`;
+    successfulWinners.forEach((winner, index) => {
+        message += `🏆 ${successfulWinners.length > 1 ? `${index + 1}. ` : 'Winner: '}@${winner.username} - [View Transaction](${getTransactionLink(winner.txHash)})\n`;
+    });
+    message += `💰 Prize: ${giveaway.amount.toFixed(6)} ${giveaway.token.symbol}\n`;
+    message += `👥 Participants: ${participants.length}\n`;
+    message += `🔐 Draw #${draw.id} - seed \`${seed}\`\n`;
+    
+    if (successfulWinners.length > 0) {
+        message += `\n✅ *How to claim:*\n`;
+        message += `${successfulWinners.map(winner => `@${winner.username}`).join(', ')}, send /claim to me in a private message to access your prize!\n`;
+    }
+    
+    if (failedWinners.length > 0) {
+        message += `\n⚠️ Failed to send to: ${failedWinners.map(winner => `@${winner.username}`).join(', ')}\n`;
+    }
+    
+    message += `\nGM! 🌅`;
+    
+    await bot.sendMessage(giveaway.chatId, message, { 
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+    });
+}
+
+// Keep a gmonad giveaway in memory and close it when its time is up
+function scheduleGmonadGiveaway(giveaway) {
+    activeGmonadGiveaways.set(giveaway.id, giveaway);
+    giveaway.timer = setTimeout(() => {
+        closeGmonadGiveaway(giveaway.id).catch(error => console.error('Error closing GM giveaway:', error));
+    }, Math.max(0, giveaway.endsAt.getTime() - Date.now()));
+}
+
+// A giveaway that was drawing when the bot stopped can't pick its payouts up again without risking
+// paying a winner twice, so it is marked failed and the group is told which winners were paid.
+// Runs after the transaction reconciler, so prizes that landed are already recorded as tips.
+async function failInterruptedGmonadGiveaway(row) {
+    await setGmonadStatus(row.id, 'failed');
+    
+    const paid = await pool.query(
+        'SELECT to_username FROM tips WHERE giveaway_id = $1 ORDER BY id',
+        [row.id]
+    );
+    const paidLine = paid.rows.length > 0
+        ? `Prizes sent before it stopped: ${paid.rows.map(tip => `@${tip.to_username}`).join(', ')} - send /claim to me in a private message to collect them.`
+        : 'No prizes were sent.';
+    await bot.sendMessage(row.chat_id, `⚠️ A GM giveaway${row.draw_id ? ` (draw #${row.draw_id})` : ''} was interrupted by a restart while its winners were being paid. ${paidLine}`)
+        .catch(error => console.log(`Could not post interrupted GM giveaway notice: ${error.message}`));
+}
+
+// Resume gmonad giveaways that were running when the bot stopped
+async function resumeGmonadGiveaways() {
+    try {
+        const result = await pool.query("SELECT * FROM gmonad_giveaways WHERE status IN ('active', 'drawing')");
+        
+        for (const row of result.rows) {
+            if (row.status === 'drawing') {
+                await failInterruptedGmonadGiveaway(row);
+                continue;
+            }
+            
+            const token = resolveToken(row.token_symbol);
+            if (!token) {
+                await setGmonadStatus(row.id, 'cancelled');
+                await bot.sendMessage(row.chat_id, `🛑 A GM giveaway was cancelled because ${row.token_symbol} is no longer supported.`).catch(() => {});
+                continue;
+            }
+            
+            const entries = await pool.query(
+                'SELECT user_id, username FROM gmonad_entries WHERE giveaway_id = $1 ORDER BY created_at',
+                [row.id]
+            );
+            
+            scheduleGmonadGiveaway({
+                id: row.id,
+                chatId: row.chat_id,
+                senderId: row.sender_id,
+                senderUsername: row.sender_username,
+                amount: parseFloat(row.amount),
+                token,
+                numberOfWinners: row.number_of_winners,
+                keyword: row.keyword,
+                maxParticipants: row.max_participants,
+                endsAt: new Date(row.ends_at),
+                participants: new Map(entries.rows.map(entry => [entry.user_id, { id: parseInt(entry.user_id), username: entry.username }]))
+            });
+        }
+        
+        if (result.rows.length > 0) {
+            console.log(`Resumed ${activeGmonadGiveaways.size} GM giveaways`);
+        }
+    } catch (error) {
+        console.error('Error resuming GM giveaways:', error);
+    }
+}
+
+// Handle /verify command - recompute a draw from its commitment
+bot.onText(/^\/verify(?:@\w+)?(?:\s+#?(\d+))?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (!match[1]) {
+        await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/verify <draw number>\`
+
+Draw numbers are posted when /random and /gmonad giveaways draw their winners.`,
+            { parse_mode: 'Markdown' });
+        return;
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM draws WHERE id = $1', [parseInt(match[1])]);
+        if (result.rows.length === 0) {
+            await bot.sendMessage(chatId, "❌ Draw not found.");
+            return;
+        }
+
+        const draw = result.rows[0];
+        const participants = JSON.parse(draw.participants);
+        const digestOk = hashDrawParticipants(participants) === draw.participants_hash;
+
+        let message = `🔍 *Draw #${draw.id}* (${draw.kind})\n\n`;
+        message += `👥 Participants: ${participants.length}\n`;
+        message += `#️⃣ Digest: \`${draw.participants_hash}\` ${digestOk ? '✅' : '❌ does not match the list'}\n`;
+        message += `🧱 Target block: ${draw.target_block}\n`;
+
+        if (draw.status === 'failed') {
+            message += `\n❌ This draw was never revealed, so it has no winners.`;
+        } else if (draw.status !== 'revealed') {
+            message += `\n⏳ Not revealed yet - waiting for block ${draw.target_block}.`;
+        } else {
+            const block = await provider.getBlock(Number(draw.target_block));
+            const seedOk = !!block && block.hash === draw.seed;
+            const winners = pickDrawWinners(draw.seed, participants, draw.number_of_winners);
+            const winnersOk = JSON.stringify(winners) === draw.winners;
+
+            message += `🌱 Seed: \`${draw.seed}\` ${seedOk ? '✅' : '❌ does not match the block hash'}\n`;
+            message += `🏆 Winners: ${winners.map(username => `@${escapeMarkdown(username)}`).join(', ')} ${winnersOk ? '✅' : '❌ differ from the announced winners'}\n\n`;
+            message += digestOk && seedOk && winnersOk
+                ? `✅ *This draw checks out.*`
+                : `❌ *This draw could not be verified.*`;
+        }
+
+        message += `\n\n*Recompute it yourself:*
+1. keccak256 of the attached list (usernames sorted, one per line) must equal the digest
+2. The seed is the hash of block ${draw.target_block}
+3. Winner i (from 0) is list[keccak256(seed, uint256 i) mod length], removed before the next pick`;
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        await bot.sendDocument(chatId, Buffer.from(participants.join('\n')), {
+            caption: `Participants of draw #${draw.id}`
+        }, {
+            filename: `draw-${draw.id}-participants.txt`,
+            contentType: 'text/plain'
+        });
+    } catch (error) {
+        console.error('Verify error:', error);
+        await bot.sendMessage(chatId, "❌ Error verifying the draw. Please try again.");
+    }
+});
+
+// Airdrop expiry limits
+const AIRDROP_MIN_EXPIRY = 60; // seconds
+const AIRDROP_MAX_EXPIRY = 30 * 24 * 60 * 60;
+const AIRDROP_EXPIRY_CHECK_INTERVAL = 60 * 1000; // Check for expired airdrops every minute
+const AIRDROP_REFUND_RETRY_DELAY = 5 * 60 * 1000; // Retry failed airdrop refunds after 5 minutes
+const AIRDROP_STATUS_LIMIT = 10;
+const AIRDROP_SWITCHES = { on: true, yes: true, off: false, no: false };
+
+// Parse what follows the amount and number of links in /airdrop: an optional token symbol,
+// an optional expiry (30m, 24h, 7d) and key=value eligibility options
+function parseAirdropOptions(words) {
+    const options = {
+        tokenSymbol: null,
+        expirySeconds: null,
+        mode: 'public',
+        membersOnly: true,
+        minMemberDays: null,
+        requireUsername: true,
+        onePerUser: true
+    };
+
+    for (const word of words) {
+        if (/^\d+[smhd]$/i.test(word)) {
+            options.expirySeconds = parseDuration(word);
+            if (options.expirySeconds < AIRDROP_MIN_EXPIRY || options.expirySeconds > AIRDROP_MAX_EXPIRY) {
+                return { error: "Expiry must be between 1 minute and 30 days, e.g. 30m, 24h or 7d." };
+            }
+            continue;
+        }
+        if (!word.includes('=')) {
+            options.tokenSymbol = word;
+            continue;
+        }
+
+        const [key, value] = word.toLowerCase().split('=');
+        switch (key) {
+            case 'mode':
+                if (value !== 'public' && value !== 'dm') {
+                    return { error: "Mode must be public or dm." };
+                }
+                options.mode = value;
+                break;
+            case 'mindays':
+                options.minMemberDays = /^\d+$/.test(value) ? parseInt(value) : NaN;
+                if (!(options.minMemberDays >= 1 && options.minMemberDays <= 365)) {
+                    return { error: "mindays must be between 1 and 365." };
+                }
+                break;
+            case 'members':
+            case 'username':
+            case 'once':
+                if (!(value in AIRDROP_SWITCHES)) {
+                    return { error: `${key} must be on or off.` };
+                }
+                options[{ members: 'membersOnly', username: 'requireUsername', once: 'onePerUser' }[key]] = AIRDROP_SWITCHES[value];
+                break;
+            default:
+                return { error: `Unknown option "${word}". Use mode=, members=, mindays=, username= or once=.` };
+        }
+    }
+
+    // Private links go to members the bot knows from this group
+    if (options.mode === 'dm') {
+        options.membersOnly = true;
+    }
+    return { options };
+}
+
+// Describe an airdrop's eligibility rules, one line each
+function describeAirdropRules(airdrop) {
+    const rules = [];
+    if (airdrop.members_only || airdrop.min_member_days) rules.push('👥 Members of this group only');
+    if (airdrop.min_member_days) rules.push(`📅 In the group for at least ${airdrop.min_member_days} days`);
+    if (airdrop.require_username) rules.push('🏷 Telegram username required');
+    rules.push(airdrop.one_per_user ? '☝️ One claim per person' : '🔁 People can claim several links');
+    return rules.join('\n');
+}
+
+// Members of a group who can receive a private airdrop link, in random order
+async function getAirdropRecipients(chatId, options, excludeUserId) {
+    const conditions = ["chat_id = $1", "user_id <> $2", "status = 'member'", "is_bot = FALSE"];
+    const params = [chatId.toString(), excludeUserId.toString()];
+    if (options.requireUsername) {
+        conditions.push('username IS NOT NULL');
+    }
+    if (options.minMemberDays) {
+        params.push(new Date(Date.now() - options.minMemberDays * DAY_MS));
+        conditions.push(`(joined_at IS NULL OR joined_at <= $${params.length})`);
+    }
+
+    const result = await pool.query(
+        `SELECT user_id, username FROM group_members WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+
+    // Shuffled so a limited number of links doesn't always favour the same members
+    return shuffle(result.rows);
+}
+
+// Handle /airdrop command
+bot.onText(/^\/airdrop(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const chatType = msg.chat.type;
+    const words = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const subcommand = words[0] ? words[0].toLowerCase() : null;
+    
+    // Creators can check and cancel their airdrops from any chat
+    if (subcommand === 'status') {
+        await sendAirdropStatus(chatId, userId);
+        return;
+    }
+    if (subcommand === 'cancel') {
+        await cancelAirdrop(chatId, userId, words[1]);
+        return;
+    }
+    
+    // Only works in groups
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        await bot.sendMessage(chatId, "❌ This command only works in groups!");
+        return;
+    }
+    
+    // Check if user is admin
+    try {
+        const admins = await bot.getChatAdministrators(chatId);
+        const isAdmin = admins.some(admin => admin.user.id === parseInt(userId));
+        
+        if (!isAdmin) {
+            await bot.sendMessage(chatId, "❌ Only group admins can create airdrops!");
+            return;
+        }
+    } catch (error) {
+        await bot.sendMessage(chatId, "❌ Could not verify admin status. Make sure the bot is an admin.");
+        return;
+    }
+    
+    if (words.length < 2 || !/^[\d.]+$/.test(words[0]) || !/^\d+$/.test(words[1])) {
+        await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/airdrop <amount per person> <number of links> [token] [expiry]\`
+
+Example: \`/airdrop 0.5 10\`
+This creates 10 links, each claimable for 0.5 ${NATIVE_SYMBOL} (FCFS).
+
+Example: \`/airdrop 0.5 10 24h\`
+Same, but unclaimed links expire after 24 hours and the rest is returned to you.
+
+*Options:*
+• \`mode=dm\` - Send each eligible member a private link instead of posting them here
+• \`members=off\` - Let people outside this group claim (on by default)
+• \`mindays=7\` - Only members who have been here at least 7 days
+• \`username=off\` - Allow claims without a username (paid to their funding wallet)
+• \`once=off\` - Let one person claim several links
+
+Check your airdrops with \`/airdrop status\` and end one early with \`/airdrop cancel <id>\`.
+
+*Tokens:* ${listSupportedTokens()}`, { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    const amountPerClaim = parseFloat(words[0]);
+    let numberOfLinks = parseInt(words[1]);
+    
+    if (isNaN(amountPerClaim) || amountPerClaim <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
+        return;
+    }
+    
+    if (isNaN(numberOfLinks) || numberOfLinks <= 0 || numberOfLinks > 100) {
+        await bot.sendMessage(chatId, "❌ Number of links must be between 1 and 100.");
+        return;
+    }
+
+    const parsed = parseAirdropOptions(words.slice(2));
+    if (parsed.error) {
+        await bot.sendMessage(chatId, `❌ ${parsed.error}`);
+        return;
+    }
+    const options = parsed.options;
+    const expirySeconds = options.expirySeconds;
+
+    const token = resolveToken(options.tokenSymbol);
+    if (!token) {
+        await bot.sendMessage(chatId, `❌ Unknown token. Supported tokens: ${listSupportedTokens()}`);
+        return;
+    }
+    
+    // Check user wallet exists
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ Please create a wallet first using /start in private chat.");
+        return;
+    }
+    
+    // Private links go to eligible members the bot knows - at most one link each
+    let recipients = [];
+    if (options.mode === 'dm') {
+        try {
+            recipients = (await getAirdropRecipients(chatId, options, userId)).slice(0, numberOfLinks);
+        } catch (error) {
+            console.error('Error loading airdrop recipients:', error);
+            await bot.sendMessage(chatId, "❌ Could not load the group's members. Please try again.");
+            return;
+        }
+        if (recipients.length === 0) {
+            await bot.sendMessage(chatId, "❌ No eligible members found. I only know members who joined or talked here since I was added.");
+            return;
+        }
+        numberOfLinks = recipients.length;
+    }
+    
+    // Check balance - the escrow gets the amount plus the group's fee for each claim, and gas for
+    // everything it sends (see getAirdropEscrowTransactions), on top of the funding transactions
+    const feeQuote = quoteFee(amountPerClaim, token, userId, chatId);
+    const escrowAmount = (amountPerClaim + feeQuote.fee) * numberOfLinks;
+    const shortfall = await checkFundingBalance(userWallet.publicKey, token, escrowAmount, getAirdropEscrowTransactions(token, numberOfLinks) + (token.native ? 1 : 2), numberOfLinks);
+    
+    if (shortfall) {
+        await bot.sendMessage(chatId, `❌ Insufficient balance!\n\n${shortfall}`);
+        return;
+    }
+    
+    try {
+        // Create airdrop
+        const airdropId = generateClaimToken();
+        const expiresAt = expirySeconds ? new Date(Date.now() + expirySeconds * 1000) : null;
+        const created = await pool.query(
+            `INSERT INTO airdrops (airdrop_id, from_user_id, amount_per_claim, total_claims, token_symbol, chat_id, expires_at, mode, members_only, min_member_days, require_username, one_per_user, fee_amount, fee_percentage, fee_recipient)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
+            [airdropId, userId, amountPerClaim, numberOfLinks, getTokenColumn(token), chatId.toString(), expiresAt, options.mode, options.membersOnly, options.minMemberDays, options.requireUsername, options.onePerUser, feeQuote.fee, feeQuote.percentage, feeQuote.recipient]
+        );
+        const airdrop = created.rows[0];
+        
+        // Lock the funds in the airdrop's escrow wallet
+        let escrowAddress;
+        try {
+            escrowAddress = await fundAirdropEscrow(airdropId, createWalletFromPrivateKey(userWallet.privateKey), token, escrowAmount, getAirdropEscrowGas(token, numberOfLinks));
+        } catch (error) {
+            // Sweep back whatever reached the escrow. A transfer that may still land is left to the
+            // refund retries in expireAirdrops, which pick the airdrop up once it has settled.
+            console.error('Airdrop escrow funding error:', error);
+            const failed = await pool.query(
+                "UPDATE airdrops SET active = FALSE, end_reason = 'failed', ended_at = NOW(), refund_status = 'pending' WHERE id = $1 RETURNING *",
+                [airdrop.id]
+            );
+            if (!error.pendingTransactionHash) {
+                await refundAirdrop(failed.rows[0]);
+            }
+            await bot.sendMessage(chatId, `❌ Failed to fund the airdrop: ${error.message}\n\nAnything that already reached its escrow goes back to your funding wallet.`);
+            return;
+        }
+        
+        // Create claim links - in dm mode each link belongs to one member
+        const botUsername = (await bot.getMe()).username;
+        const links = [];
+        
+        for (let i = 0; i < numberOfLinks; i++) {
+            const claimToken = generateClaimToken();
+            await pool.query(
+                'INSERT INTO airdrop_claims (airdrop_id, claim_token, assigned_user_id) VALUES ($1, $2, $3)',
+                [airdropId, claimToken, recipients[i] ? recipients[i].user_id : null]
+            );
+            links.push(`https://t.me/${botUsername}?start=airdrop_${claimToken}`);
+        }
+        
+        const summary = `💰 Amount per claim: ${amountPerClaim.toFixed(6)} ${token.symbol}
+💵 Fee per claim: ${formatFeeQuote(feeQuote, token)}
+🔗 Total links: ${numberOfLinks}
+📊 Total locked: ${(amountPerClaim * numberOfLinks).toFixed(6)} ${token.symbol}
+🔒 Escrow: [${escrowAddress}](${getAddressLink(escrowAddress)})${expirySeconds ? `\n⏳ Expires in ${formatDuration(expirySeconds)}` : ''}
+
+${describeAirdropRules(airdrop)}`;
+        
+        if (options.mode === 'dm') {
+            // Send each member their own link - members who never started the bot can't be reached
+            let delivered = 0;
+            for (let i = 0; i < recipients.length; i++) {
+                try {
+                    await bot.sendMessage(recipients[i].user_id, `🎁 *You've been picked for airdrop #${airdrop.id}!*
+
+💰 ${amountPerClaim.toFixed(6)} ${token.symbol} is waiting for you${expirySeconds ? ` for the next ${formatDuration(expirySeconds)}` : ''}. This link only works for you.`, {
+                        parse_mode: 'Markdown',
+                        reply_markup: {
+                            inline_keyboard: [[
+                                { text: '🎁 Claim Airdrop', url: links[i] }
+                            ]]
+                        }
+                    });
+                    delivered++;
+                } catch (error) {
+                    console.log(`Could not send airdrop link to ${recipients[i].user_id}: ${error.message}`);
+                }
+            }
+            
+            const unreached = recipients.length - delivered;
+            await bot.sendMessage(chatId, `🎁 *Airdrop #${airdrop.id} Created Successfully!*
+
+${summary}
+
+📬 Sent private claim links to ${delivered} ${delivered === 1 ? 'member' : 'members'}.${unreached > 0 ? ` ${unreached} couldn't be reached - they need to start a chat with @${botUsername} first.` : ''}`,
+                { parse_mode: 'Markdown', disable_web_page_preview: true });
+            return;
+        }
+        
+        // Send links in the same chat where command was issued (group)
+        const linksMessage = `🎁 *Airdrop #${airdrop.id} Created Successfully!*
+
+${summary}
+
+Here are your airdrop links (FCFS - First Come First Served):
+
+${links.map((link, i) => `${i + 1}. ${link}`).join('\n')}
+
+Each link can be claimed once by anyone who meets the rules above. Share them wisely!`;
+
+        try {
+            // Send links in the group where command was issued
+            await bot.sendMessage(chatId, linksMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
+        } catch (error) {
+            await bot.sendMessage(chatId, `❌ Failed to send airdrop links: ${error.message}`);
+            // End the airdrop and return the escrowed funds
+            await endAirdrop(airdrop, 'cancelled');
+        }
+    } catch (error) {
+        console.error('Airdrop creation error:', error);
+        await bot.sendMessage(chatId, `❌ Failed to create airdrop: ${error.message}`);
+    }
+});
+
+// Helper function to end an airdrop: marks it inactive, returns what is left in its escrow to the
+// creator and tells the group. `reason` is 'exhausted', 'expired' or 'cancelled'.
+// Returns { airdrop, transfers }, with `transfers` null while the refund is still to be retried.
+async function endAirdrop(airdrop, reason) {
+    // Only the first caller ends an airdrop, so the escrow is never swept twice
+    const ended = await pool.query(
+        "UPDATE airdrops SET active = FALSE, end_reason = $1, ended_at = NOW(), refund_status = 'pending' WHERE id = $2 AND active = TRUE RETURNING *",
+        [reason, airdrop.id]
+    );
+    if (ended.rows.length === 0) return null;
+    airdrop = ended.rows[0];
+    
+    const summary = `${airdrop.claimed_count}/${airdrop.total_claims} claimed`;
+    const unclaimed = airdrop.total_claims - airdrop.claimed_count;
+    const transfers = await refundAirdrop(airdrop);
+    
+    if (airdrop.chat_id) {
+        const notices = {
+            exhausted: `🎉 Airdrop #${airdrop.id} has been fully claimed! (${summary})`,
+            expired: `⌛ Airdrop #${airdrop.id} has expired - ${summary}. ${unclaimed} unclaimed ${unclaimed === 1 ? 'link is' : 'links are'} ${transfers ? 'returned' : 'being returned'} to the creator.`,
+            cancelled: `🛑 Airdrop #${airdrop.id} was cancelled by its creator - ${summary}. Its remaining links no longer work.`
+        };
+        await bot.sendMessage(airdrop.chat_id, notices[reason]).catch(error => {
+            console.error(`Error posting airdrop ${airdrop.id} notice:`, error.message);
+        });
+    }
+    
+    return { airdrop, transfers };
+}
+
+// Return what is left in an ended airdrop's escrow to the creator's funding wallet and tell them.
+// The airdrop stays refund_status 'pending' until the sweep goes through, and expireAirdrops
+// retries it. Returns the transfers made, or null if the refund has to be retried.
+async function refundAirdrop(airdrop) {
+    let transfers = [];
+    
+    // Airdrops from before escrows existed were paid straight from the creator's wallet
+    const escrowWallet = await getAirdropEscrow(airdrop.airdrop_id);
+    if (escrowWallet) {
+        const creatorWallet = userWallets.get(airdrop.from_user_id);
+        if (!creatorWallet) {
+            console.log(`Cannot refund airdrop ${airdrop.id} yet: creator wallet not found`);
+            return null;
+        }
+        try {
+            // An error without transfers only means nothing is left that can pay for its own gas
+            ({ transfers } = await sweepWallet(escrowWallet, creatorWallet.publicKey, airdrop.from_user_id));
+        } catch (error) {
+            console.error(`Error refunding airdrop ${airdrop.id}:`, error);
+            return null;
+        }
+    }
+    
+    await pool.query(
+        "UPDATE airdrops SET refund_status = 'done', refund_transaction_hash = $1 WHERE id = $2",
+        [transfers.length > 0 ? transfers[transfers.length - 1].hash : null, airdrop.id]
+    );
+    
+    if (transfers.length > 0) {
+        const symbol = airdrop.token_symbol || NATIVE_SYMBOL;
+        await bot.sendMessage(airdrop.from_user_id, `↩️ *Airdrop #${airdrop.id} ended* (${airdrop.claimed_count}/${airdrop.total_claims} claimed, ${parseFloat(airdrop.amount_per_claim).toFixed(6)} ${symbol} each)
+
+Returned to your funding wallet:
+${formatSweepTransfers(transfers)}`, { parse_mode: 'Markdown', disable_web_page_preview: true }).catch(error => {
+            console.error(`Error sending airdrop ${airdrop.id} refund notice:`, error.message);
+        });
+    }
+    return transfers;
+}
+
+// Helper function to list a creator's recent airdrops
+async function sendAirdropStatus(chatId, userId) {
+    try {
+        const airdrops = await pool.query(
+            'SELECT * FROM airdrops WHERE from_user_id = $1 ORDER BY created_at DESC LIMIT $2',
+            [userId, AIRDROP_STATUS_LIMIT]
+        );
+        
+        if (airdrops.rows.length === 0) {
+            await bot.sendMessage(chatId, "📭 You haven't created any airdrops yet.");
+            return;
+        }
+        
+        let message = `🎁 *Your Airdrops*\n\n`;
+        for (const airdrop of airdrops.rows) {
+            const claimers = await pool.query(
+                'SELECT claimed_by_username FROM airdrop_claims WHERE airdrop_id = $1 AND claimed_by_user_id IS NOT NULL ORDER BY claimed_at',
+                [airdrop.airdrop_id]
+            );
+            
+            let state;
+            if (airdrop.active) {
+                state = airdrop.expires_at
+                    ? `active, expires in ${formatTimeLeft(new Date(airdrop.expires_at) - Date.now())}`
+                    : 'active';
+            } else {
+                state = airdrop.end_reason || 'ended';
+            }
+            
+            message += `*#${airdrop.id}* - ${parseFloat(airdrop.amount_per_claim).toFixed(6)} ${airdrop.token_symbol || NATIVE_SYMBOL} × ${airdrop.total_claims}\n`;
+            message += `📊 ${airdrop.claimed_count}/${airdrop.total_claims} claimed - ${state}\n`;
+            if (claimers.rows.length > 0) {
+                message += `👥 ${claimers.rows.map(row => `@${escapeMarkdown(row.claimed_by_username)}`).join(', ')}\n`;
+            }
+            message += `\n`;
+        }
+        message += `End an active airdrop early with \`/airdrop cancel <id>\`.`;
+        
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+        console.error('Airdrop status error:', error);
+        await bot.sendMessage(chatId, "❌ Error loading your airdrops. Please try again.");
+    }
+}
+
+// Helper function to cancel one of a creator's airdrops
+async function cancelAirdrop(chatId, userId, idText) {
+    const id = idText ? parseInt(idText.replace(/^#/, '')) : NaN;
+    if (isNaN(id)) {
+        await bot.sendMessage(chatId, "❌ Usage: /airdrop cancel <id> - see /airdrop status for your airdrop ids.");
+        return;
+    }
+    
+    try {
+        const result = await pool.query('SELECT * FROM airdrops WHERE id = $1 AND from_user_id = $2', [id, userId]);
+        if (result.rows.length === 0) {
+            await bot.sendMessage(chatId, "❌ Airdrop not found. You can only cancel your own airdrops.");
+            return;
+        }
+        
+        const ended = await endAirdrop(result.rows[0], 'cancelled');
+        if (!ended) {
+            await bot.sendMessage(chatId, `❌ Airdrop #${id} has already ended.`);
+            return;
+        }
+        
+        const refund = !ended.transfers
+            ? "The unclaimed funds couldn't be returned yet - the bot will keep trying."
+            : ended.transfers.length > 0 ? 'The unclaimed funds were returned to your funding wallet.' : 'Nothing was left to return.';
+        await bot.sendMessage(chatId, `🛑 Airdrop #${id} cancelled. ${refund}`);
+    } catch (error) {
+        console.error('Airdrop cancel error:', error);
+        await bot.sendMessage(chatId, "❌ Error cancelling the airdrop. Please try again.");
+    }
+}
+
+// End airdrops whose expiry has passed, and retry refunds of ended ones that didn't go through
+async function expireAirdrops() {
+    try {
+        const expired = await pool.query('SELECT * FROM airdrops WHERE active = TRUE AND expires_at IS NOT NULL AND expires_at <= NOW()');
+        for (const airdrop of expired.rows) {
+            try {
+                await endAirdrop(airdrop, 'expired');
+            } catch (error) {
+                console.error(`Error expiring airdrop ${airdrop.id}:`, error);
+            }
+        }
+        
+        // Just-ended airdrops are left to the refund their ending started
+        const unrefunded = await pool.query(
+            "SELECT * FROM airdrops WHERE active = FALSE AND refund_status = 'pending' AND ended_at <= $1",
+            [new Date(Date.now() - AIRDROP_REFUND_RETRY_DELAY)]
+        );
+        for (const airdrop of unrefunded.rows) {
+            try {
+                await refundAirdrop(airdrop);
+            } catch (error) {
+                console.error(`Error refunding airdrop ${airdrop.id}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error checking expired airdrops:', error);
+    }
+}
+
+function startAirdropExpiryScheduler() {
+    setInterval(expireAirdrops, AIRDROP_EXPIRY_CHECK_INTERVAL);
+    console.log('Airdrop expiry scheduler started');
+}
+
+// Group fee settings that /fees can change, and their fee_settings columns
+const GROUP_FEE_SETTINGS = {
+    percent: { column: 'percentage', key: 'percentage' },
+    min: { column: 'min_fee', key: 'minFee' },
+    max: { column: 'max_fee', key: 'maxFee' }
+};
+
+// Handle /fees command - view or change this group's fee overrides
+bot.onText(/^\/fees(?:@\w+)?(?:\s+(\w+)(?:\s+(\S+))?)?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const setting = match[1] ? match[1].toLowerCase() : null;
+    const value = match[2];
+
+    // Only works in groups
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        await bot.sendMessage(chatId, `💵 *Fees:* ${describeFeePolicy(feePolicy)}\n\nGroup admins can change the fees for their group with /fees in the group.`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!setting) {
+        const overrides = groupFeeOverrides.get(chatId.toString()) || {};
+        const overrideList = Object.entries(GROUP_FEE_SETTINGS)
+            .filter(([, { key }]) => overrides[key] !== undefined)
+            .map(([name, { key }]) => `${name} ${overrides[key]}`);
+
+        await bot.sendMessage(chatId, `💵 *Fees in this group*
+
+Transaction Fee: ${describeFeePolicy(getFeePolicy(chatId))}
+Group overrides: ${overrideList.length > 0 ? overrideList.join(', ') : 'none'}
+
+*Admins can change them:*
+\`/fees percent <0-100>\`
+\`/fees min <amount>\` / \`/fees max <amount>\` (in ${NATIVE_SYMBOL})
+\`/fees <setting> default\` - use the bot default again
+\`/fees reset\` - remove all overrides`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    // Check if user is admin
+    try {
+        const member = await bot.getChatMember(chatId, msg.from.id);
+        if (member.status !== 'creator' && member.status !== 'administrator') {
+            await bot.sendMessage(chatId, "❌ Only group admins can change fees!");
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking admin status:', error);
+        await bot.sendMessage(chatId, "❌ Could not verify admin status.");
+        return;
+    }
+
+    try {
+        if (setting === 'reset') {
+            await pool.query('DELETE FROM fee_settings WHERE scope = $1', [chatId.toString()]);
+            groupFeeOverrides.delete(chatId.toString());
+            await bot.sendMessage(chatId, `✅ Group fee overrides removed. Transaction Fee: ${describeFeePolicy(feePolicy)}`);
+            return;
+        }
+
+        const feeSetting = GROUP_FEE_SETTINGS[setting];
+        if (!feeSetting || !value) {
+            await bot.sendMessage(chatId, "❌ Usage: /fees percent|min|max <value|default> or /fees reset");
+            return;
+        }
+
+        const newValue = value.toLowerCase() === 'default' ? null : parseFloat(value);
+        if (newValue !== null && isNaN(newValue)) {
+            await bot.sendMessage(chatId, "❌ Invalid value. Please enter a number or \"default\".");
+            return;
+        }
+
+        const overrides = { ...(groupFeeOverrides.get(chatId.toString()) || {}) };
+        if (newValue === null) {
+            delete overrides[feeSetting.key];
+        } else {
+            overrides[feeSetting.key] = newValue;
+        }
+
+        try {
+            validateFeePolicy({ ...feePolicy, ...overrides });
+        } catch (validationError) {
+            await bot.sendMessage(chatId, `❌ ${validationError.message}`);
+            return;
+        }
+
+        await pool.query(
+            `INSERT INTO fee_settings (scope, ${feeSetting.column}, updated_by, updated_at) VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (scope) DO UPDATE SET ${feeSetting.column} = EXCLUDED.${feeSetting.column}, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+            [chatId.toString(), newValue, msg.from.id.toString()]
+        );
+        groupFeeOverrides.set(chatId.toString(), overrides);
+
+        await bot.sendMessage(chatId, `✅ Fees updated. Transaction Fee: ${describeFeePolicy(getFeePolicy(chatId))}`);
+    } catch (error) {
+        console.error('Fee settings error:', error);
+        await bot.sendMessage(chatId, "❌ Error updating fees. Please try again.");
+    }
+});
+
+// Transaction history
+const HISTORY_PAGE_SIZE = 10;
+const HISTORY_QUERY_TTL = 60 * 60 * 1000; // Pagination buttons work for an hour
+const historyQueries = new Map(); // token -> { userId, username, filters, filterText, timeZone, createdAt }
+
+// How each kind of history entry is labelled, for sent and received entries
+const HISTORY_LABELS = {
+    tip: { out: 'Tip to', in: 'Tip from' },
+    random: { out: 'Giveaway prize to', in: 'Giveaway win from' },
+    gmonad: { out: 'GM giveaway prize to', in: 'GM giveaway win from' },
+    rain: { out: 'Rain share to', in: 'Rain share from' },
+    recurring: { out: 'Recurring payment to', in: 'Recurring payment from' },
+    airdrop: { out: 'Airdrop claimed by', in: 'Airdrop claim from' },
+    refund: { out: 'Expired tip returned to', in: 'Unclaimed tip returned by' },
+    withdrawal: { out: 'Withdrawal to' },
+    transfer: { out: 'Moved to funding wallet' }
+};
+
+// Username of a Telegram user id, from the claim wallet they were last seen with
+function sqlUsernameForUserId(column) {
+    return `(SELECT cw.username FROM claim_wallets cw WHERE cw.telegram_user_id = ${column} AND cw.username NOT LIKE '${RELINKED_KEY_PREFIX}%' LIMIT 1)`;
+}
+
+// Merged activity timeline for a user, newest first (or oldest first for exports): tips sent and
+// received (including giveaways and recurring payments), airdrop claims in both directions, and withdrawals.
+// Every entry has a unique entry_key, and `after` ({ position, entryKey } of the last entry seen)
+// pages an oldest-first query by keyset.
+function buildHistoryQuery(userId, username, filters = {}, ascending = false, after = null) {
+    const params = [userId.toString(), username];
+    const conditions = [];
+    if (filters.direction) {
+        params.push(filters.direction);
+        conditions.push(`direction = $${params.length}`);
+    }
+    if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`created_at <= $${params.length}`);
+    }
+    if (filters.counterparty) {
+        params.push(filters.counterparty.toLowerCase());
+        conditions.push(`LOWER(counterparty) = $${params.length}`);
+    }
+    if (after) {
+        params.push(after.position, after.entryKey);
+        conditions.push(`(created_at > $${params.length - 1} OR (created_at = $${params.length - 1} AND entry_key > $${params.length}))`);
+    }
+
+    const text = `
+        SELECT *, created_at::text AS position FROM (
+            SELECT 'tip-out-' || t.id AS entry_key, t.created_at, 'out' AS direction, COALESCE(t.source, 'tip') AS kind, t.to_username AS counterparty,
+                   t.amount, t.fee_amount AS fee, t.token_symbol, t.transaction_signature AS transaction_hash
+            FROM tips t WHERE t.from_user_id = $1
+            UNION ALL
+            SELECT 'tip-in-' || t.id, t.created_at, 'in', COALESCE(t.source, 'tip'), COALESCE(t.from_username, ${sqlUsernameForUserId('t.from_user_id')}),
+                   t.amount, NULL, t.token_symbol, t.transaction_signature
+            FROM tips t WHERE t.to_username IN ($2, '${USER_ID_KEY_PREFIX}' || $1)
+            UNION ALL
+            SELECT 'airdrop-in-' || ac.id, ac.claimed_at, 'in', 'airdrop', ${sqlUsernameForUserId('a.from_user_id')},
+                   a.amount_per_claim, NULL, a.token_symbol, ac.transaction_hash
+            FROM airdrop_claims ac JOIN airdrops a ON a.airdrop_id = ac.airdrop_id
+            WHERE ac.claimed_by_user_id = $1
+            UNION ALL
+            SELECT 'airdrop-out-' || ac.id, ac.claimed_at, 'out', 'airdrop', ac.claimed_by_username,
+                   a.amount_per_claim, NULL, a.token_symbol, ac.transaction_hash
+            FROM airdrop_claims ac JOIN airdrops a ON a.airdrop_id = ac.airdrop_id
+            WHERE a.from_user_id = $1 AND ac.claimed_by_user_id IS NOT NULL
+            UNION ALL
+            SELECT 'refund-in-' || cl.id, cl.expired_at, 'in', 'refund', cl.recipient_username,
+                   cl.refund_amount, NULL, cl.token_symbol, cl.refund_transaction_hash
+            FROM claim_links cl WHERE cl.from_user_id = $1 AND cl.refund_transaction_hash IS NOT NULL
+            UNION ALL
+            SELECT 'refund-out-' || cl.id, cl.expired_at, 'out', 'refund', ${sqlUsernameForUserId('cl.from_user_id')},
+                   cl.refund_amount, NULL, cl.token_symbol, cl.refund_transaction_hash
+            FROM claim_links cl WHERE cl.recipient_username IN ($2, '${USER_ID_KEY_PREFIX}' || $1) AND cl.refund_transaction_hash IS NOT NULL
+            UNION ALL
+            SELECT 'withdrawal-' || w.id, w.created_at, 'out', w.kind, w.destination,
+                   w.amount, NULL, w.token_symbol, w.transaction_hash
+            FROM withdrawals w WHERE w.user_id = $1
+        ) history
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at ${ascending ? 'ASC' : 'DESC'}, entry_key`;
+
+    return { text, params };
+}
+
+// Parse /history filters - sent|received, from <date>, to <date> and @username, in any order
+function parseHistoryFilters(text, timeZone) {
+    const filters = { direction: null, from: null, to: null, counterparty: null };
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i].toLowerCase();
+        if (word === 'sent' || word === 'received') {
+            filters.direction = word === 'sent' ? 'out' : 'in';
+        } else if ((word === 'from' || word === 'to') && words[i + 1]) {
+            const date = word === 'from' ? parseStartDate(words[i + 1], timeZone) : parseEndDate(words[i + 1], timeZone);
+            if (!date) {
+                return { error: `Invalid date "${words[i + 1]}". Use YYYY-MM-DD or MM/DD/YYYY.` };
+            }
+            filters[word] = date;
+            i++;
+        } else if (/^@\w+$/.test(word)) {
+            filters.counterparty = word.substring(1);
+        } else {
+            return { error: `Unknown filter "${words[i]}".` };
+        }
+    }
+    return { filters };
+}
+
+// Escape characters that have a meaning in Telegram's Markdown
+function escapeMarkdown(text) {
+    return text.replace(/([_*`\[])/g, '\\$1');
+}
+
+function formatHistoryCounterparty(entry) {
+    if (entry.kind === 'transfer') return '';
+    if (!entry.counterparty) return ' someone';
+    if (ethers.isAddress(entry.counterparty)) {
+        return ` ${entry.counterparty.substring(0, 6)}…${entry.counterparty.substring(entry.counterparty.length - 4)}`;
+    }
+    return ` @${escapeMarkdown(entry.counterparty)}`;
+}
+
+// One history entry: what happened, when, the amount and an explorer link
+function formatHistoryEntry(entry, timeZone) {
+    const labels = HISTORY_LABELS[entry.kind] || HISTORY_LABELS.tip;
+    const label = labels[entry.direction] || labels.out;
+    const symbol = entry.token_symbol || NATIVE_SYMBOL;
+    const date = new Date(entry.created_at).toLocaleString('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    const fee = entry.fee !== null && parseFloat(entry.fee) > 0 ? ` (fee ${parseFloat(entry.fee).toFixed(6)})` : '';
+    const link = entry.transaction_hash ? ` · [View](${getTransactionLink(entry.transaction_hash)})` : '';
+
+    return `${entry.direction === 'in' ? '📥' : '📤'} *${label}*${formatHistoryCounterparty(entry)}
+${date} · ${parseFloat(entry.amount).toFixed(6)} ${symbol}${fee}${link}`;
+}
+
+// Render one page of a saved /history query
+async function renderHistoryPage(queryToken, page) {
+    const query = historyQueries.get(queryToken);
+    const { text, params } = buildHistoryQuery(query.userId, query.username, query.filters);
+    const result = await pool.query(
+        `${text} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, HISTORY_PAGE_SIZE + 1, page * HISTORY_PAGE_SIZE]
+    );
+    const entries = result.rows.slice(0, HISTORY_PAGE_SIZE);
+    const hasMore = result.rows.length > HISTORY_PAGE_SIZE;
+
+    let message = `📜 *Your History* - page ${page + 1}\n`;
+    if (query.filterText) {
+        message += `Filters: ${escapeMarkdown(query.filterText)}\n`;
+    }
+    message += '\n';
+    message += entries.length > 0
+        ? entries.map(entry => formatHistoryEntry(entry, query.timeZone)).join('\n\n')
+        : (page === 0 ? 'No activity found.' : 'No more activity.');
+
+    const buttons = [];
+    if (page > 0) buttons.push({ text: '⬅️ Prev', callback_data: `history_${queryToken}_${page - 1}` });
+    if (hasMore) buttons.push({ text: 'Next ➡️', callback_data: `history_${queryToken}_${page + 1}` });
+
+    return {
+        text: message,
+        options: {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: buttons.length > 0 ? [buttons] : [] }
+        }
+    };
+}
+
+// Handle /history command
+bot.onText(/^\/history(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const userId = msg.from.id.toString();
+
+    // Only works in private chats
+    if (chatType !== 'private') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /history in a private message with @${botUsername}!`);
+        return;
+    }
+
+    try {
+        const timeZone = await getUserTimezone(userId);
+        const filterText = match[1] ? match[1].trim() : '';
+        const { filters, error } = parseHistoryFilters(filterText, timeZone);
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}
+
+Usage: \`/history [sent|received] [from YYYY-MM-DD] [to YYYY-MM-DD] [@username]\`
+
+*Examples:*
+\`/history\`
+\`/history sent @alice\`
+\`/history received from 2025-01-01 to 2025-03-31\``, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        // Forget queries whose buttons have expired
+        const now = Date.now();
+        for (const [token, query] of historyQueries.entries()) {
+            if (now - query.createdAt > HISTORY_QUERY_TTL) historyQueries.delete(token);
+        }
+
+        const queryToken = generateClaimToken().substring(0, 16);
+        historyQueries.set(queryToken, {
+            userId,
+            username: msg.from.username ? msg.from.username.toLowerCase() : null,
+            filters,
+            filterText,
+            timeZone,
+            createdAt: now
+        });
+
+        const { text, options } = await renderHistoryPage(queryToken, 0);
+        await bot.sendMessage(chatId, text, options);
+    } catch (error) {
+        console.error('History error:', error);
+        await bot.sendMessage(chatId, "❌ Error loading your history. Please try again.");
+    }
+});
+
+// Handle /history pagination buttons
+async function handleHistoryCallback(callbackQuery) {
+    const pageMatch = callbackQuery.data.match(/^history_([0-9a-f]+)_(\d+)$/);
+    const query = pageMatch ? historyQueries.get(pageMatch[1]) : null;
+
+    if (!query || query.userId !== callbackQuery.from.id.toString()) {
+        await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ This history view has expired. Please send /history again.', show_alert: true });
+        return;
+    }
+
+    try {
+        const { text, options } = await renderHistoryPage(pageMatch[1], parseInt(pageMatch[2]));
+        await bot.editMessageText(text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            ...options
+        }).catch((error) => console.log(`Could not update history message: ${error.message}`));
+        await bot.answerCallbackQuery(callbackQuery.id);
+    } catch (error) {
+        console.error('History page error:', error);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Error loading history.', show_alert: true });
+    }
+}
+
+// History export
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_COLUMNS = ['timestamp', 'direction', 'type', 'counterparty', 'amount', 'token', 'fee', 'tx_hash', 'explorer_url'];
+
+// One exported history row with the columns in EXPORT_COLUMNS
+function toExportRecord(entry) {
+    return {
+        timestamp: new Date(entry.created_at).toISOString(),
+        direction: entry.direction === 'in' ? 'received' : 'sent',
+        type: entry.kind,
+        counterparty: entry.counterparty || '',
+        amount: entry.amount,
+        token: entry.token_symbol || NATIVE_SYMBOL,
+        fee: entry.fee !== null ? entry.fee : '',
+        tx_hash: entry.transaction_hash || '',
+        explorer_url: entry.transaction_hash ? getTransactionLink(entry.transaction_hash) : ''
+    };
+}
+
+// Quote a CSV field when needed, and neutralize values a spreadsheet would run as a formula
+function csvEscape(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeToStream(stream, chunk) {
+    if (stream.errored) throw stream.errored;
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+// Write a user's history to a file in batches, so large histories never sit in memory at once.
+// Batches are paged by keyset, so entries added during the export are never skipped or repeated.
+// Returns the number of entries written.
+async function writeHistoryExport(filePath, format, query) {
+    const stream = fs.createWriteStream(filePath);
+    // Write errors are picked up from stream.errored by the next write or by finished()
+    stream.on('error', () => {});
+    let count = 0;
+    let after = null;
+
+    try {
+        await writeToStream(stream, format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '[\n');
+
+        for (;;) {
+            const { text, params } = buildHistoryQuery(query.userId, query.username, query.filters, true, after);
+            const result = await pool.query(`${text} LIMIT $${params.length + 1}`, [...params, EXPORT_BATCH_SIZE]);
+
+            for (const entry of result.rows) {
+                const record = toExportRecord(entry);
+                if (format === 'csv') {
+                    await writeToStream(stream, `${EXPORT_COLUMNS.map(column => csvEscape(record[column])).join(',')}\n`);
+                } else {
+                    await writeToStream(stream, `${count > 0 ? ',\n' : ''}  ${JSON.stringify(record)}`);
+                }
+                count++;
+            }
+
+            if (result.rows.length < EXPORT_BATCH_SIZE) break;
+            const last = result.rows[result.rows.length - 1];
+            after = { position: last.position, entryKey: last.entry_key };
+        }
+
+        if (format === 'json') {
+            await writeToStream(stream, `${count > 0 ? '\n' : ''}]\n`);
+        }
+        stream.end();
+        await finished(stream);
+    } catch (error) {
+        // A failed stream never emits 'drain' or 'finish', so tear it down instead of waiting
+        stream.destroy();
+        throw error;
+    }
+    return count;
+}
+
+// Handle /export command
+bot.onText(/^\/export(?:@\w+)?(?:\s+(\w+))?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const userId = msg.from.id.toString();
+    const format = match[1] ? match[1].toLowerCase() : null;
+
+    // Only works in private chats
+    if (chatType !== 'private') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /export in a private message with @${botUsername}!`);
+        return;
+    }
+
+    const filePath = path.join(os.tmpdir(), `monad-tip-history-${userId}-${Date.now()}.${format}`);
+
+    try {
+        const timeZone = await getUserTimezone(userId);
+        const { filters, error } = format === 'csv' || format === 'json'
+            ? parseHistoryFilters(match[2], timeZone)
+            : { error: 'Please choose a format: csv or json.' };
+
+        if (error) {
+            await bot.sendMessage(chatId, `❌ ${error}
+
+Usage: \`/export csv|json [from YYYY-MM-DD] [to YYYY-MM-DD]\`
+
+The same filters as /history work here too.
+
+*Examples:*
+\`/export csv\`
+\`/export json from 2025-01-01 to 2025-12-31\``, { parse_mode: 'Markdown' });
             return;
         }
-        
-        // Get airdrop details
-        const airdropData = await pool.query(
-            'SELECT ac.*, a.amount_per_claim, a.total_claims, a.claimed_count, a.active, a.from_user_id FROM airdrop_claims ac JOIN airdrops a ON ac.airdrop_id = a.airdrop_id WHERE ac.claim_token = $1',
-            [airdropToken]
-        );
-        
-        if (airdropData.rows.length === 0) {
-            await bot.sendMessage(chatId, "❌ Invalid airdrop link.");
+
+        await bot.sendMessage(chatId, '⏳ Preparing your export...');
+
+        const count = await writeHistoryExport(filePath, format, {
+            userId,
+            username: msg.from.username ? msg.from.username.toLowerCase() : null,
+            filters
+        });
+
+        if (count === 0) {
+            await bot.sendMessage(chatId, "📭 No activity to export for these filters.");
             return;
         }
-        
-        const claim = airdropData.rows[0];
-        
-        // Check if airdrop is active
-        if (!claim.active) {
-            await bot.sendMessage(chatId, "❌ This airdrop has ended.");
+
+        await bot.sendDocument(chatId, filePath, {
+            caption: `📄 Your transaction history - ${count} ${count === 1 ? 'entry' : 'entries'}. Timestamps are in UTC.`
+        }, {
+            filename: `monad-tip-history.${format}`,
+            contentType: format === 'csv' ? 'text/csv' : 'application/json'
+        });
+    } catch (error) {
+        console.error('Export error:', error);
+        await bot.sendMessage(chatId, "❌ Error exporting your history. Please try again.");
+    } finally {
+        await fs.promises.unlink(filePath).catch(() => {});
+    }
+});
+
+// Leaderboards
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_CHECK_INTERVAL = 60 * 60 * 1000; // Check for weekly leaderboard posts every hour
+const LEADERBOARD_PERIODS = {
+    week: { title: 'This Week', days: 7 },
+    month: { title: 'This Month', days: 30 },
+    all: { title: 'All Time', days: null }
+};
+const LEADERBOARD_PERIOD_ALIASES = { week: 'week', weekly: 'week', month: 'month', monthly: 'month', all: 'all', alltime: 'all', 'all-time': 'all' };
+const LEADERBOARD_CATEGORY_ALIASES = { tippers: 'tippers', senders: 'tippers', recipients: 'recipients', receivers: 'recipients', winners: 'winners', giveaways: 'winners' };
+const LEADERBOARD_MEDALS = ['🥇', '🥈', '🥉'];
+
+// Top entries of a group leaderboard. Users who opted out in /privacy are left out.
+async function getLeaderboard(chatId, category, period, token) {
+    const days = LEADERBOARD_PERIODS[period].days;
+    const since = days ? new Date(Date.now() - days * DAY_MS) : null;
+    const params = [chatId.toString(), since, getTokenColumn(token), LEADERBOARD_SIZE];
+    const filters = `chat_id = $1 AND ($2::timestamp IS NULL OR created_at >= $2) AND token_symbol IS NOT DISTINCT FROM $3`;
+    const optedOutUserIds = 'SELECT user_id FROM user_settings WHERE leaderboard_opt_out = TRUE';
+    const optedOutUsernames = `SELECT cw.username FROM claim_wallets cw JOIN user_settings us ON us.user_id = cw.telegram_user_id WHERE us.leaderboard_opt_out = TRUE`;
+
+    if (category === 'tippers') {
+        const result = await pool.query(`
+            SELECT COALESCE((ARRAY_AGG(from_username ORDER BY created_at DESC) FILTER (WHERE from_username IS NOT NULL))[1],
+                            ${sqlUsernameForUserId('from_user_id')}) AS name,
+                   SUM(amount) AS total, COUNT(*) AS count
+            FROM tips
+            WHERE ${filters} AND from_user_id NOT IN (${optedOutUserIds})
+            GROUP BY from_user_id
+            ORDER BY total DESC
+            LIMIT $4`, params);
+        return result.rows;
+    }
+
+    const result = await pool.query(`
+        SELECT to_username AS name, SUM(amount) AS total, COUNT(*) AS count
+        FROM tips
+        WHERE ${filters} AND to_username NOT IN (${optedOutUsernames})
+            ${category === 'winners' ? "AND source IN ('random', 'gmonad')" : ''}
+        GROUP BY to_username
+        ORDER BY ${category === 'winners' ? 'count DESC, total DESC' : 'total DESC'}
+        LIMIT $4`, params);
+    return result.rows;
+}
+
+async function buildLeaderboardMessage(chatId, category, period, token) {
+    const rows = await getLeaderboard(chatId, category, period, token);
+    const titles = { tippers: '💸 Top Tippers', recipients: '🎁 Top Recipients', winners: '🎉 Top Giveaway Winners' };
+    const countLabels = { tippers: ['tip', 'tips'], recipients: ['tip', 'tips'], winners: ['win', 'wins'] };
+
+    let message = `🏆 *${titles[category]} - ${LEADERBOARD_PERIODS[period].title}*\n\n`;
+    if (rows.length === 0) {
+        return message + `No ${token.symbol} tips in this group yet for this period.`;
+    }
+
+    message += rows.map((row, index) => {
+        const rank = LEADERBOARD_MEDALS[index] || `${index + 1}.`;
+        const name = row.name ? `@${escapeMarkdown(row.name)}` : 'someone';
+        const count = parseInt(row.count);
+        const [singular, plural] = countLabels[category];
+        return `${rank} ${name} - ${parseFloat(row.total).toFixed(6)} ${token.symbol} (${count} ${count === 1 ? singular : plural})`;
+    }).join('\n');
+    return message;
+}
+
+// Handle /leaderboard command
+bot.onText(/^\/leaderboard(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+    const words = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+
+    // Only works in groups
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        await bot.sendMessage(chatId, "❌ This command only works in groups!");
+        return;
+    }
+
+    // Admins can turn the weekly leaderboard post on or off
+    if (words[0] === 'weekly') {
+        if (words[1] !== 'on' && words[1] !== 'off') {
+            await bot.sendMessage(chatId, "❌ Usage: /leaderboard weekly on|off");
             return;
         }
-        
-        // Check if already claimed
-        if (claim.claimed_by_user_id) {
-            await bot.sendMessage(chatId, "❌ This airdrop link has already been claimed.");
+
+        try {
+            const member = await bot.getChatMember(chatId, msg.from.id);
+            if (member.status !== 'creator' && member.status !== 'administrator') {
+                await bot.sendMessage(chatId, "❌ Only group admins can change the weekly leaderboard!");
+                return;
+            }
+        } catch (error) {
+            console.error('Error checking admin status:', error);
+            await bot.sendMessage(chatId, "❌ Could not verify admin status.");
             return;
         }
-        
-        // Check if user has already claimed from this airdrop
-        const userClaims = await pool.query(
-            'SELECT * FROM airdrop_claims WHERE airdrop_id = $1 AND claimed_by_user_id = $2',
-            [claim.airdrop_id, userId.toString()]
-        );
-        
-        if (userClaims.rows.length > 0) {
-            await bot.sendMessage(chatId, "❌ You have already claimed from this airdrop.");
-            return;
+
+        try {
+            const enabled = words[1] === 'on';
+            await pool.query(
+                `INSERT INTO group_settings (chat_id, weekly_leaderboard, last_leaderboard_post, updated_at) VALUES ($1, $2, NOW(), NOW())
+                 ON CONFLICT (chat_id) DO UPDATE SET weekly_leaderboard = $2, last_leaderboard_post = NOW(), updated_at = NOW()`,
+                [chatId.toString(), enabled]
+            );
+            await bot.sendMessage(chatId, enabled
+                ? "✅ Weekly leaderboard enabled. I'll post the week's top tippers and recipients here every 7 days."
+                : "✅ Weekly leaderboard disabled.");
+        } catch (error) {
+            console.error('Weekly leaderboard settings error:', error);
+            await bot.sendMessage(chatId, "❌ Error updating the weekly leaderboard. Please try again.");
         }
-        
-        // Get sender's wallet
-        const senderWallet = userWallets.get(claim.from_user_id);
-        if (!senderWallet) {
-            await bot.sendMessage(chatId, "❌ Airdrop creator's wallet not found.");
+        return;
+    }
+
+    let period = 'week';
+    let category = 'tippers';
+    let token = NATIVE_TOKEN;
+    for (const word of words) {
+        if (LEADERBOARD_PERIOD_ALIASES[word]) {
+            period = LEADERBOARD_PERIOD_ALIASES[word];
+        } else if (LEADERBOARD_CATEGORY_ALIASES[word]) {
+            category = LEADERBOARD_CATEGORY_ALIASES[word];
+        } else if (resolveToken(word)) {
+            token = resolveToken(word);
+        } else {
+            await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/leaderboard [week|month|all] [tippers|recipients|winners] [token]\`
+
+*Examples:*
+\`/leaderboard\` - Top tippers this week
+\`/leaderboard month recipients\`
+\`/leaderboard all winners\`
+
+Admins: \`/leaderboard weekly on|off\` - post the leaderboard every week
+Don't want to appear? Use /privacy in a private message with me.`, { parse_mode: 'Markdown' });
             return;
         }
-        
-        // Get or create claim wallet for recipient
-        let claimWallet = claimWallets.get(username);
-        if (!claimWallet) {
-            const wallet = ethers.Wallet.createRandom();
-            claimWallet = {
-                privateKey: wallet.privateKey,
-                publicKey: wallet.address,
-                fromUserId: claim.from_user_id,
-                amount: 0
-            };
-            claimWallets.set(username, claimWallet);
-            await saveWallet(username, claimWallet, true);
+    }
+
+    try {
+        const message = await buildLeaderboardMessage(chatId, category, period, token);
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+        console.error('Leaderboard error:', error);
+        await bot.sendMessage(chatId, "❌ Error loading the leaderboard. Please try again.");
+    }
+});
+
+// Post the weekly leaderboard in every group that enabled it and hasn't had one for 7 days
+async function postWeeklyLeaderboards() {
+    try {
+        // Claim each due group before posting so a slow run never posts twice
+        const due = await pool.query(
+            `UPDATE group_settings SET last_leaderboard_post = NOW()
+             WHERE weekly_leaderboard = TRUE AND (last_leaderboard_post IS NULL OR last_leaderboard_post <= NOW() - INTERVAL '7 days')
+             RETURNING chat_id`
+        );
+
+        for (const { chat_id: chatId } of due.rows) {
+            try {
+                const tippers = await buildLeaderboardMessage(chatId, 'tippers', 'week', NATIVE_TOKEN);
+                const recipients = await buildLeaderboardMessage(chatId, 'recipients', 'week', NATIVE_TOKEN);
+                await bot.sendMessage(chatId, `📅 *Weekly Leaderboard*\n\n${tippers}\n\n${recipients}`, { parse_mode: 'Markdown' });
+            } catch (error) {
+                console.error(`Weekly leaderboard error for chat ${chatId}:`, error.message);
+            }
         }
-        
-        const airdropAmount = parseFloat(claim.amount_per_claim);
-        
-        // Send the actual transaction on-chain
-        const senderEthersWallet = createWalletFromPrivateKey(senderWallet.privateKey);
-        
-        // Get nonce
-        await rateLimitedDelay();
-        const nonce = await provider.getTransactionCount(senderEthersWallet.address, 'latest');
-        
-        const tx = {
-            to: claimWallet.publicKey,
-            value: ethers.parseEther(airdropAmount.toString()),
-            nonce: nonce
-        };
-        
-        const transaction = await sendTransactionWithRetry(senderEthersWallet, tx);
-        
-        // Mark as claimed with transaction hash
+    } catch (error) {
+        console.error('Error posting weekly leaderboards:', error);
+    }
+}
+
+function startLeaderboardScheduler() {
+    setInterval(postWeeklyLeaderboards, LEADERBOARD_CHECK_INTERVAL);
+    console.log('Weekly leaderboard scheduler started');
+}
+
+// Handle /privacy command
+bot.onText(/^\/privacy(?:@\w+)?$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const chatType = msg.chat.type;
+
+    // Only works in private chats
+    if (chatType !== 'private') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /privacy in a private message with @${botUsername}!`);
+        return;
+    }
+
+    try {
+        const { text, options } = await buildPrivacyMessage(msg.from.id.toString());
+        await bot.sendMessage(chatId, text, options);
+    } catch (error) {
+        console.error('Privacy settings error:', error);
+        await bot.sendMessage(chatId, "❌ Error loading your privacy settings. Please try again.");
+    }
+});
+
+async function buildPrivacyMessage(userId) {
+    const result = await pool.query('SELECT leaderboard_opt_out FROM user_settings WHERE user_id = $1', [userId]);
+    const hidden = result.rows.length > 0 && result.rows[0].leaderboard_opt_out;
+
+    return {
+        text: `🔒 *Privacy Settings*
+
+Leaderboards: ${hidden ? '🙈 Hidden - you never appear on group leaderboards' : '👀 Shown - you can appear on group leaderboards'}`,
+        options: {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[
+                    hidden
+                        ? { text: '👀 Show me on leaderboards', callback_data: 'privacy_leaderboard_show' }
+                        : { text: '🙈 Hide me from leaderboards', callback_data: 'privacy_leaderboard_hide' }
+                ]]
+            }
+        }
+    };
+}
+
+// Handle /privacy buttons
+async function handlePrivacyCallback(callbackQuery) {
+    const userId = callbackQuery.from.id.toString();
+    const username = callbackQuery.from.username ? callbackQuery.from.username.toLowerCase() : null;
+    const hide = callbackQuery.data === 'privacy_leaderboard_hide';
+
+    try {
         await pool.query(
-            'UPDATE airdrop_claims SET claimed_by_user_id = $1, claimed_by_username = $2, claimed_at = NOW(), transaction_hash = $3 WHERE claim_token = $4',
-            [userId.toString(), username, transaction.hash, airdropToken]
+            'INSERT INTO user_settings (user_id, leaderboard_opt_out, updated_at) VALUES ($1, $2, NOW()) ON CONFLICT (user_id) DO UPDATE SET leaderboard_opt_out = $2, updated_at = NOW()',
+            [userId, hide]
         );
-        
-        // Update airdrop claimed count
+        // Tips received are ranked by username, so make sure it can be traced back to this user
+        if (username) {
+            await pool.query('UPDATE claim_wallets SET telegram_user_id = $1 WHERE username = $2 AND (owner_user_id IS NULL OR owner_user_id = $1)', [userId, username]);
+        }
+
+        const { text, options } = await buildPrivacyMessage(userId);
+        await bot.editMessageText(text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            ...options
+        }).catch((error) => console.log(`Could not update privacy message: ${error.message}`));
+        await bot.answerCallbackQuery(callbackQuery.id, { text: hide ? 'You are now hidden from leaderboards.' : 'You can now appear on leaderboards.' });
+    } catch (error) {
+        console.error('Privacy update error:', error);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Error updating your privacy settings.', show_alert: true });
+    }
+}
+
+// Store recurring payments waiting for the user to confirm their schedule
+const pendingRecurringPayments = new Map();
+
+// Handle /recurring command
+bot.onText(/\/recurring(?:\s+@(\w+)\s+([\d.]+)\s+every\s+(.+?)(?:\s+until\s+(.+))?)?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    // /recurring list is handled separately
+    if (/^\/recurring(?:@\w+)?\s+list\b/i.test(msg.text)) return;
+
+    if (!match[1] || !match[2] || !match[3]) {
+        await bot.sendMessage(chatId, `❌ *Invalid format!*
+
+Usage: \`/recurring @username <amount> every <schedule> [until <end date>]\`
+Manage: \`/recurring list\`
+Timezone: \`/timezone <zone>\`
+
+*Schedules:*
+• \`day\`, \`3 days\`, \`other day\`
+• \`Friday 9pm\`, \`mon, wed and fri at 18:30\`, \`weekdays\`
+• \`2 weeks on Tuesday\`
+• \`1st of the month\`, \`month on the 15th\`, \`last day of the month\`
+• \`cron 0 9 * * 1-5\`
+
+End dates: \`2025-12-31\` or \`12/31/2025\`. Times default to 09:00 in your timezone.
+
+Examples:
+• \`/recurring @alice 0.1 every Friday 9pm until 2025-04-10\`
+• \`/recurring @bob 0.5 every 2 weeks on monday at 08:00\`
+• \`/recurring @charlie 1.0 every 1st of the month until 12/31/2025\`
+
+Note: Recurring payments will be executed automatically based on the schedule.`, { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    const recipientUsername = match[1].toLowerCase();
+    const amount = parseFloat(match[2]);
+    const scheduleText = match[3].trim();
+    const endDateStr = match[4] ? match[4].trim() : null;
+    
+    if (isNaN(amount) || amount <= 0) {
+        await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
+        return;
+    }
+    
+    // Check user wallet exists
+    const userWallet = userWallets.get(userId);
+    if (!userWallet) {
+        await bot.sendMessage(chatId, "❌ Please create a wallet first using /start.");
+        return;
+    }
+    
+    try {
+        const timeZone = await getUserTimezone(userId);
+        const now = new Date();
+
+        // Parse schedule
+        let schedule;
+        try {
+            schedule = parseScheduleText(scheduleText, timeZone, now);
+            serializeSchedule(schedule);
+        } catch (error) {
+            await bot.sendMessage(chatId, `❌ ${error.message}. Send /recurring to see the supported schedules.`);
+            return;
+        }
+
+        // Parse end date in the user's timezone
+        let endDate = null;
+        if (endDateStr) {
+            endDate = parseEndDate(endDateStr, timeZone);
+            if (!endDate) {
+                await bot.sendMessage(chatId, "❌ Invalid date format. Please use YYYY-MM-DD or MM/DD/YYYY (e.g., 2025-04-10).");
+                return;
+            }
+            if (endDate <= now) {
+                await bot.sendMessage(chatId, "❌ End date must be in the future!");
+                return;
+            }
+        }
+
+        const { scheduleType, scheduleValue, scheduleTime } = serializeSchedule(schedule);
+        const pending = {
+            from_user_id: userId,
+            to_username: recipientUsername,
+            amount,
+            schedule_type: scheduleType,
+            schedule_value: scheduleValue,
+            schedule_time: scheduleTime,
+            timezone: timeZone,
+            end_date: endDate,
+            created_at: now // Preview only - the schedule starts when the user confirms
+        };
+
+        const upcomingRuns = getUpcomingRecurringRuns(pending, now, 3);
+        if (upcomingRuns.length === 0) {
+            await bot.sendMessage(chatId, "❌ This schedule never runs before the end date. Please check the schedule and end date.");
+            return;
+        }
+
+        const pendingToken = generateClaimToken().substring(0, 16);
+        pendingRecurringPayments.set(pendingToken, pending);
+
+        const message = `🗓 *Confirm Recurring Payment*
+
+👤 To: @${recipientUsername}
+💰 Amount: ${amount.toFixed(6)} ${NATIVE_SYMBOL}
+📅 Schedule: ${describeSchedule(schedule)} (\`${timeZone}\`)
+🏁 Until: ${endDate ? endDate.toLocaleDateString('en-US', { timeZone }) : 'no end date'}
+
+*Next payments:*
+${upcomingRuns.map((run, i) => `${i + 1}. ${formatScheduleDate(run, timeZone)}`).join('\n')}
+
+Not your timezone? Use /timezone to change it before confirming.`;
+
+        await bot.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Confirm', callback_data: `recurring_confirm_${pendingToken}` },
+                    { text: '❌ Discard', callback_data: `recurring_discard_${pendingToken}` }
+                ]]
+            }
+        });
+    } catch (error) {
+        console.error('Recurring payment creation error:', error);
+        await bot.sendMessage(chatId, `❌ Failed to create recurring payment: ${error.message}`);
+    }
+});
+
+// Save a confirmed recurring payment. The schedule starts at confirmation, however long the preview was open.
+async function confirmRecurringPayment(pending) {
+    const createdAt = new Date();
+    if (pending.end_date && pending.end_date <= createdAt) {
+        throw new Error('The end date has already passed. Please send /recurring again.');
+    }
+
+    const result = await pool.query(
+        'INSERT INTO recurring_payments (from_user_id, to_username, amount, schedule_type, schedule_value, schedule_time, timezone, end_date, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+        [pending.from_user_id, pending.to_username, pending.amount, pending.schedule_type, pending.schedule_value, pending.schedule_time, pending.timezone, pending.end_date, createdAt]
+    );
+    return result.rows[0];
+}
+
+// Handle /timezone command
+bot.onText(/\/timezone(?:\s+(\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    if (!match[1]) {
+        const timeZone = await getUserTimezone(userId);
+        await bot.sendMessage(chatId, `🕒 Your timezone is \`${timeZone}\`.
+
+To change it: \`/timezone <zone>\`
+Examples: \`/timezone Europe/Berlin\`, \`/timezone America/New_York\`, \`/timezone Asia/Kolkata\`, \`/timezone UTC\``, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    const timeZone = match[1];
+    if (!isValidTimezone(timeZone)) {
+        await bot.sendMessage(chatId, "❌ Unknown timezone. Please use a name like Europe/Berlin, America/New_York or UTC.");
+        return;
+    }
+
+    try {
         await pool.query(
-            'UPDATE airdrops SET claimed_count = claimed_count + 1 WHERE airdrop_id = $1',
-            [claim.airdrop_id]
+            'INSERT INTO user_settings (user_id, timezone, updated_at) VALUES ($1, $2, NOW()) ON CONFLICT (user_id) DO UPDATE SET timezone = $2, updated_at = NOW()',
+            [userId, timeZone]
         );
-        
-        // Update amount
-        claimWallet.amount = (claimWallet.amount || 0) + airdropAmount;
-        await saveWallet(username, claimWallet, true);
-        
-        const message = `🎁 *Airdrop Claimed Successfully!*
+        await bot.sendMessage(chatId, `✅ Timezone set to \`${timeZone}\`. New recurring payments will use it; existing ones keep their timezone.`, {
+            parse_mode: 'Markdown'
+        });
+    } catch (error) {
+        console.error('Timezone update error:', error);
+        await bot.sendMessage(chatId, `❌ Failed to update timezone: ${error.message}`);
+    }
+});
+
+// Recurring payment scheduler
+const RECURRING_CHECK_INTERVAL = 60000; // Check for due payments every minute
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const DEFAULT_SCHEDULE_TIME = { hours: 9, minutes: 0 }; // Payments run at 09:00 unless a time is given
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+let recurringRunInProgress = false;
+
+// Check that a timezone name is a valid IANA zone (e.g. "Europe/Berlin")
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Get the wall-clock date and time of an instant in a timezone
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value);
+    const year = get('year');
+    const month = get('month') - 1;
+    const day = get('day');
+    return {
+        year,
+        month,
+        day,
+        hours: get('hour'),
+        minutes: get('minute'),
+        seconds: get('second'),
+        weekday: new Date(Date.UTC(year, month, day)).getUTCDay()
+    };
+}
+
+// Convert a wall-clock time in a timezone to a Date
+function zonedTimeToDate(year, month, day, hours, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month, day, hours, minutes);
+    const offsetAt = (instant) => {
+        const parts = getZonedParts(new Date(instant), timeZone);
+        return Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds) - instant;
+    };
+    // Apply the offset twice so times next to a DST change resolve to the right side of it
+    const firstGuess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(firstGuess));
+}
 
-💰 Amount: ${airdropAmount.toFixed(6)} MON
-🔗 Transaction: [View on Explorer](${getTransactionLink(transaction.hash)})
+// Days between two calendar dates given as UTC midnights
+function daysBetween(from, to) {
+    return Math.round((to - from) / DAY_MS);
+}
 
-Your airdrop has been added to your claim wallet. Use /claim to view and manage your funds.`;
+function pad2(value) {
+    return value.toString().padStart(2, '0');
+}
 
-        await bot.sendMessage(chatId, message, { 
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true
-        });
-    } catch (error) {
-        console.error('Airdrop claim error:', error);
-        await bot.sendMessage(chatId, `❌ Error processing airdrop claim: ${error.message}`);
+function ordinal(value) {
+    const suffix = (value % 100 >= 11 && value % 100 <= 13) ? 'th' : (['th', 'st', 'nd', 'rd'][value % 10] || 'th');
+    return `${value}${suffix}`;
+}
+
+// Parse one field of a cron expression into the sorted list of values it allows
+function parseCronField(field, min, max, names = null) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const partMatch = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+        if (!partMatch) throw new Error(`Invalid cron field "${field}"`);
+
+        const toNumber = (token) => {
+            const index = names ? names.indexOf(token.slice(0, 3)) : -1;
+            const number = index !== -1 ? index + min : parseInt(token);
+            if (isNaN(number) || !/^(\d+|[a-z]{3,})$/.test(token)) throw new Error(`Invalid cron value "${token}"`);
+            return number;
+        };
+
+        let [start, end] = [min, max];
+        if (partMatch[1] !== '*') {
+            const [from, to] = partMatch[1].split('-');
+            start = toNumber(from);
+            end = to !== undefined ? toNumber(to) : (partMatch[2] ? max : start);
+        }
+        const step = partMatch[2] ? parseInt(partMatch[2]) : 1;
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Cron field "${field}" is out of range (${min}-${max})`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
     }
+    return Array.from(values).sort((a, b) => a - b);
 }
 
-// Store active gmonad giveaways
-const activeGmonadGiveaways = new Map();
+// Parse a standard 5-field cron expression: minute hour day-of-month month day-of-week
+function parseCronExpression(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+    }
+    const weekdays = parseCronField(fields[4], 0, 7, WEEKDAYS.map(day => day.slice(0, 3)))
+        .map(day => day % 7); // 7 is also Sunday
+    return {
+        minutes: parseCronField(fields[0], 0, 59),
+        hours: parseCronField(fields[1], 0, 23),
+        daysOfMonth: parseCronField(fields[2], 1, 31),
+        months: parseCronField(fields[3], 1, 12, MONTHS).map(month => month - 1),
+        weekdays: Array.from(new Set(weekdays)),
+        // Like cron, when both day fields are restricted a day matching either one runs
+        dayOfMonthRestricted: fields[2] !== '*',
+        weekdayRestricted: fields[4] !== '*'
+    };
+}
 
-// Handle /random command - Random giveaway to group members
-bot.onText(/\/random(?:\s+(\d+)\s+(\w+)\s+([\d.]+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const chatType = msg.chat.type;
-    
-    // Only works in groups
-    if (chatType !== 'group' && chatType !== 'supergroup') {
-        await bot.sendMessage(chatId, "❌ This command only works in groups!");
-        return;
+// Parse a list of weekdays like "mon, wed and fri", "weekdays" or "weekend"
+function parseWeekdayList(text) {
+    if (/^weekdays?$/.test(text)) return [1, 2, 3, 4, 5];
+    if (/^weekends?$/.test(text)) return [0, 6];
+
+    const days = [];
+    for (const token of text.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean)) {
+        const day = WEEKDAYS.findIndex(name => token.replace(/s$/, '').startsWith(name.slice(0, 3)) && name.startsWith(token.replace(/s$/, '')));
+        if (day === -1) return null;
+        days.push(day);
     }
-    
-    // Check if user is admin
-    try {
-        const member = await bot.getChatMember(chatId, msg.from.id);
-        if (member.status !== 'creator' && member.status !== 'administrator') {
-            await bot.sendMessage(chatId, "❌ Only group admins can use this command!");
-            return;
-        }
-    } catch (error) {
-        console.error('Error checking admin status:', error);
-        await bot.sendMessage(chatId, "❌ Could not verify admin status.");
-        return;
+    return days.length > 0 ? Array.from(new Set(days)).sort((a, b) => a - b) : null;
+}
+
+// Parse the schedule part of /recurring into a normalized schedule.
+// Supported: "day", "3 days", "other day", "Friday 9pm", "mon, wed and fri at 18:30", "weekdays",
+// "2 weeks on tuesday", "month on the 15th", "1st of the month", "last day of the month", "cron 0 9 * * 1-5".
+function parseScheduleText(text, timeZone, now = new Date()) {
+    let rest = text.toLowerCase().trim().replace(/\s+/g, ' ').replace(/^every /, '');
+
+    const cronText = rest.replace(/^cron:? ?/, '');
+    if (rest.startsWith('cron') || /^[\d*][\d*,\/-]* [\d*][\d*,\/-]* /.test(rest)) {
+        parseCronExpression(cronText);
+        return { type: 'cron', cron: cronText };
     }
-    
-    if (!match[1] || !match[2] || !match[3]) {
-        await bot.sendMessage(chatId, `❌ *Invalid format!*
 
-Usage: \`/random <number of winners> <role> <amount>\`
+    // Extract the time of day: 9pm, 9:30am, 21:00, noon, midnight
+    let time = null;
+    const timePatterns = [
+        [/(?:\bat )?\b(\d{1,2})(?::(\d{2}))? ?(am|pm)\b/, (m) => ({ hours: (parseInt(m[1]) % 12) + (m[3] === 'pm' ? 12 : 0), minutes: parseInt(m[2] || '0') })],
+        [/(?:\bat )?\b(\d{1,2}):(\d{2})\b/, (m) => ({ hours: parseInt(m[1]), minutes: parseInt(m[2]) })],
+        [/(?:\bat )?\bnoon\b/, () => ({ hours: 12, minutes: 0 })],
+        [/(?:\bat )?\bmidnight\b/, () => ({ hours: 0, minutes: 0 })]
+    ];
+    for (const [pattern, toTime] of timePatterns) {
+        const timeMatch = rest.match(pattern);
+        if (timeMatch) {
+            time = toTime(timeMatch);
+            rest = rest.replace(timeMatch[0], '').replace(/\s+/g, ' ').trim();
+            break;
+        }
+    }
+    if (time && (time.hours > 23 || time.minutes > 59)) {
+        throw new Error('Invalid time of day');
+    }
+    time = time || DEFAULT_SCHEDULE_TIME;
 
-*Roles:*
-• \`admin\` - Only admins
-• \`member\` or \`all\` - All members
+    const today = getZonedParts(now, timeZone);
+    const parseEvery = (value) => value === 'other' ? 2 : (value ? parseInt(value) : 1);
+    let scheduleMatch;
 
-*Example:*
-\`/random 3 member 0.5\` - Give 0.5 MON to 3 random members`, 
-            { parse_mode: 'Markdown' });
-        return;
+    if ((scheduleMatch = rest.match(/^(?:(\d+|other) )?(?:days?|daily)$/))) {
+        return { type: 'daily', every: parseEvery(scheduleMatch[1]), time };
     }
-    
-    const numberOfWinners = parseInt(match[1]);
-    const role = match[2].toLowerCase();
-    const amount = parseFloat(match[3]);
-    
-    if (numberOfWinners <= 0 || numberOfWinners > 50) {
-        await bot.sendMessage(chatId, "❌ Number of winners must be between 1 and 50!");
-        return;
+
+    if ((scheduleMatch = rest.match(/^(?:(\d+|other) )?(?:weeks?|weekly)(?: on (.+))?$/))) {
+        const days = scheduleMatch[2] ? parseWeekdayList(scheduleMatch[2]) : [today.weekday];
+        if (!days) throw new Error(`Unknown weekday in "${scheduleMatch[2]}"`);
+        return { type: 'weekly', every: parseEvery(scheduleMatch[1]), days, time };
     }
-    
-    if (isNaN(amount) || amount <= 0) {
-        await bot.sendMessage(chatId, "❌ Invalid amount!");
-        return;
+
+    const weekdays = parseWeekdayList(rest);
+    if (weekdays) {
+        return { type: 'weekly', every: 1, days: weekdays, time };
     }
-    
-    if (role !== 'admin' && role !== 'member' && role !== 'all') {
-        await bot.sendMessage(chatId, "❌ Invalid role! Use: admin, member, or all");
-        return;
+
+    if ((scheduleMatch = rest.match(/^(?:(\d+|other) )?(?:months?|monthly)(?: on (?:the )?(\d{1,2})(?:st|nd|rd|th)?| on (?:the )?(last) day)?$/))) {
+        const dayOfMonth = scheduleMatch[3] ? 'last' : (scheduleMatch[2] ? parseInt(scheduleMatch[2]) : today.day);
+        return { type: 'monthly', every: parseEvery(scheduleMatch[1]), dayOfMonth, time };
     }
-    
-    // Check sender's wallet and balance
-    const userWallet = userWallets.get(userId);
-    if (!userWallet) {
-        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
-        return;
+
+    if ((scheduleMatch = rest.match(/^(?:the )?(?:(\d{1,2})(?:st|nd|rd|th)?|(last)) (?:day )?of (?:the |every |each )?month$/))) {
+        return { type: 'monthly', every: 1, dayOfMonth: scheduleMatch[2] ? 'last' : parseInt(scheduleMatch[1]), time };
     }
-    
-    const balance = await getWalletBalance(userWallet.publicKey);
-    const fee = amount * FEE_PERCENTAGE;
-    const totalPerWinner = amount + fee + NETWORK_FEE;
-    const totalRequired = totalPerWinner * numberOfWinners;
-    
-    if (balance < totalRequired) {
-        await bot.sendMessage(chatId, `❌ *Insufficient balance!*
 
-Required: ${totalRequired.toFixed(6)} MON
-Your balance: ${balance.toFixed(6)} MON
+    throw new Error(`Unrecognized schedule "${text}"`);
+}
 
-(${amount} MON × ${numberOfWinners} winners + fees)`, 
-            { parse_mode: 'Markdown' });
-        return;
+// Convert a parsed schedule to the normalized columns stored in recurring_payments
+function serializeSchedule(schedule) {
+    if (schedule.type === 'cron') {
+        return { scheduleType: 'cron', scheduleValue: schedule.cron, scheduleTime: null };
     }
-    
-    try {
-        // Get chat administrators
-        const admins = await bot.getChatAdministrators(chatId);
-        const adminIds = admins.map(admin => admin.user.id);
-        
-        let eligibleMembers = [];
-        
-        if (role === 'admin') {
-            // Only admins with usernames
-            eligibleMembers = admins
-                .filter(admin => admin.user.username && !admin.user.is_bot && admin.user.id !== msg.from.id)
-                .map(admin => ({
-                    id: admin.user.id,
-                    username: admin.user.username,
-                    firstName: admin.user.first_name
-                }));
-        } else {
-            // For members, use admins as eligible members
-            // Note: This is a simplified approach - in production, track members over time in database
-            eligibleMembers = admins
-                .filter(admin => admin.user.username && !admin.user.is_bot && admin.user.id !== msg.from.id)
-                .map(admin => ({
-                    id: admin.user.id,
-                    username: admin.user.username,
-                    firstName: admin.user.first_name
-                }));
+    const params = [`every=${schedule.every}`];
+    if (schedule.type === 'weekly') {
+        params.push(`days=${schedule.days.map(day => WEEKDAYS[day].slice(0, 3)).join(',')}`);
+    } else if (schedule.type === 'monthly') {
+        if (schedule.dayOfMonth !== 'last' && (schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31)) {
+            throw new Error('Day of month must be between 1 and 31');
         }
-        
-        if (eligibleMembers.length === 0) {
-            await bot.sendMessage(chatId, `❌ No eligible members found with the role "${role}". Members must have a username set.`);
-            return;
+        params.push(`day=${schedule.dayOfMonth}`);
+    }
+    return {
+        scheduleType: schedule.type,
+        scheduleValue: params.join(';'),
+        scheduleTime: `${pad2(schedule.time.hours)}:${pad2(schedule.time.minutes)}`
+    };
+}
+
+// Read the normalized schedule back from a recurring_payments row
+function parseStoredSchedule(payment) {
+    if (payment.schedule_type === 'cron') {
+        return { type: 'cron', cron: payment.schedule_value };
+    }
+    const params = Object.fromEntries(payment.schedule_value.split(';').map(param => param.split('=')));
+    const [hours, minutes] = (payment.schedule_time || '09:00').split(':').map(value => parseInt(value));
+    return {
+        type: payment.schedule_type,
+        every: parseInt(params.every) || 1,
+        days: params.days ? params.days.split(',').map(day => WEEKDAYS.findIndex(name => name.startsWith(day))) : [],
+        dayOfMonth: params.day === 'last' ? 'last' : parseInt(params.day),
+        time: { hours, minutes }
+    };
+}
+
+// Human readable description of a parsed schedule
+function describeSchedule(schedule) {
+    if (schedule.type === 'cron') {
+        return `cron \`${schedule.cron}\``;
+    }
+    const time = `at ${pad2(schedule.time.hours)}:${pad2(schedule.time.minutes)}`;
+    const dayNames = (days) => days.map(day => WEEKDAYS[day].charAt(0).toUpperCase() + WEEKDAYS[day].slice(1, 3)).join(', ');
+    if (schedule.type === 'daily') {
+        return `${schedule.every === 1 ? 'every day' : `every ${schedule.every} days`} ${time}`;
+    }
+    if (schedule.type === 'weekly') {
+        return `${schedule.every === 1 ? 'every' : `every ${schedule.every} weeks on`} ${dayNames(schedule.days)} ${time}`;
+    }
+    const day = schedule.dayOfMonth === 'last' ? 'last day' : ordinal(schedule.dayOfMonth);
+    return `the ${day} of ${schedule.every === 1 ? 'every month' : `every ${schedule.every} months`} ${time}`;
+}
+
+// Parse a calendar date ("2025-04-10" or "04/10/2025") into year, month and day
+function parseCalendarDate(text) {
+    const trimmed = text.trim();
+    let dateMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year, month, day;
+    if (dateMatch) {
+        [year, month, day] = [dateMatch[1], dateMatch[2], dateMatch[3]].map(value => parseInt(value));
+    } else if ((dateMatch = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        [month, day, year] = [dateMatch[1], dateMatch[2], dateMatch[3]].map(value => parseInt(value));
+    } else {
+        return null;
+    }
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+    return { year, month, day };
+}
+
+// Parse a date as the start of that day in a timezone
+function parseStartDate(text, timeZone) {
+    const date = parseCalendarDate(text);
+    return date ? zonedTimeToDate(date.year, date.month - 1, date.day, 0, 0, timeZone) : null;
+}
+
+// Parse an end date as the end of that day in a timezone
+function parseEndDate(text, timeZone) {
+    const date = parseCalendarDate(text);
+    if (!date) return null;
+    // The end date is inclusive: payments on that day still run
+    return new Date(zonedTimeToDate(date.year, date.month - 1, date.day + 1, 0, 0, timeZone).getTime() - 1);
+}
+
+// Find the first scheduled run of a recurring payment strictly after `after`
+function getNextRecurringRun(payment, after) {
+    const schedule = parseStoredSchedule(payment);
+    const timeZone = payment.timezone || DEFAULT_TIMEZONE;
+    const anchor = getZonedParts(new Date(payment.created_at), timeZone);
+    const anchorDay = Date.UTC(anchor.year, anchor.month, anchor.day);
+    // Weeks are counted from the Monday of the week the schedule was created in
+    const anchorWeek = anchorDay - ((anchor.weekday + 6) % 7) * DAY_MS;
+    const cron = schedule.type === 'cron' ? parseCronExpression(schedule.cron) : null;
+
+    const matchesDay = (year, month, day, weekday) => {
+        const date = Date.UTC(year, month, day);
+        if (cron) {
+            if (!cron.months.includes(month)) return false;
+            const dayOfMonthMatch = cron.daysOfMonth.includes(day);
+            const weekdayMatch = cron.weekdays.includes(weekday);
+            if (cron.dayOfMonthRestricted && cron.weekdayRestricted) return dayOfMonthMatch || weekdayMatch;
+            return dayOfMonthMatch && weekdayMatch;
         }
-        
-        if (eligibleMembers.length < numberOfWinners) {
-            await bot.sendMessage(chatId, `❌ Not enough eligible members! Found ${eligibleMembers.length}, need ${numberOfWinners}.`);
-            return;
+        if (schedule.type === 'daily') {
+            return daysBetween(anchorDay, date) % schedule.every === 0;
         }
-        
-        // Randomly select winners using Fisher-Yates shuffle
-        const shuffled = [...eligibleMembers];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        if (schedule.type === 'weekly') {
+            const weekStart = date - ((weekday + 6) % 7) * DAY_MS;
+            return schedule.days.includes(weekday) && Math.round(daysBetween(anchorWeek, weekStart) / 7) % schedule.every === 0;
         }
-        const winners = shuffled.slice(0, numberOfWinners);
-        
-        await bot.sendMessage(chatId, `🎲 *Drawing ${numberOfWinners} winners...*`, { parse_mode: 'Markdown' });
-        
-        // Send tips to all winners
-        const senderWallet = createWalletFromPrivateKey(userWallet.privateKey);
-        const successfulWinners = [];
-        const failedWinners = [];
-        
-        for (const winner of winners) {
-            try {
-                // Create or get recipient's claim wallet
-                const recipientUsername = winner.username.toLowerCase();
-                let recipientWallet = claimWallets.get(recipientUsername);
-                
-                if (!recipientWallet) {
-                    const wallet = ethers.Wallet.createRandom();
-                    recipientWallet = {
-                        privateKey: wallet.privateKey,
-                        publicKey: wallet.address,
-                        fromUserId: userId,
-                        amount: 0
-                    };
-                    claimWallets.set(recipientUsername, recipientWallet);
-                    await saveWallet(recipientUsername, recipientWallet, true);
-                }
-                
-                // Get fresh nonce for each transaction
-                await rateLimitedDelay();
-                const nonce = await provider.getTransactionCount(senderWallet.address, 'latest');
-                
-                const tx = {
-                    to: recipientWallet.publicKey,
-                    value: ethers.parseEther(amount.toString()),
-                    nonce: nonce
-                };
-                
-                const transaction = await sendTransactionWithRetry(senderWallet, tx);
-                
-                // Send fee
-                await rateLimitedDelay();
-                const feeNonce = await provider.getTransactionCount(senderWallet.address, 'latest');
-                const feeTx = {
-                    to: FEES_WALLET,
-                    value: ethers.parseEther(fee.toString()),
-                    nonce: feeNonce
-                };
-                
-                await sendTransactionWithRetry(senderWallet, feeTx);
-                
-                // Update recipient's claim wallet amount
-                recipientWallet.amount = (recipientWallet.amount || 0) + amount;
-                await saveWallet(recipientUsername, recipientWallet, true);
-                
-                // Save to database
-                await pool.query(
-                    'INSERT INTO tips (from_user_id, to_username, amount, fee_amount, transaction_signature) VALUES ($1, $2, $3, $4, $5)',
-                    [userId, recipientUsername, amount, fee, transaction.hash]
-                );
-                
-                successfulWinners.push({ ...winner, txHash: transaction.hash });
-            } catch (error) {
-                console.error(`Error tipping ${winner.username}:`, error);
-                failedWinners.push(winner);
+        const monthsSinceAnchor = (year - anchor.year) * 12 + (month - anchor.month);
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        // Clamp to the last day for short months (e.g. the 31st runs on Feb 28)
+        const targetDay = schedule.dayOfMonth === 'last' ? lastDay : Math.min(schedule.dayOfMonth, lastDay);
+        return monthsSinceAnchor % schedule.every === 0 && day === targetDay;
+    };
+
+    const times = cron
+        ? cron.hours.flatMap(hours => cron.minutes.map(minutes => ({ hours, minutes })))
+        : [schedule.time];
+
+    const start = getZonedParts(after, timeZone);
+    // Five years covers every cron expression that can match at all (e.g. Feb 29)
+    for (let offset = 0; offset < 366 * 5; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month, start.day + offset));
+        const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+        if (!matchesDay(year, month, day, date.getUTCDay())) continue;
+
+        for (const time of times) {
+            const candidate = zonedTimeToDate(year, month, day, time.hours, time.minutes, timeZone);
+            if (candidate > after) {
+                return candidate;
             }
         }
-        
-        // Build success message
-        let message = `🎉 *Random Giveaway Complete!*\n\n`;
-        message += `💰 Amount per winner: ${amount.toFixed(6)} MON\n`;
-        message += `🏆 Winners (${successfulWinners.length}):\n\n`;
-        
-        successfulWinners.forEach((winner, index) => {
-            message += `${index + 1}. @${winner.username}\n`;
-        });
-        
-        message += `\n✅ *How to claim:*\n`;
-        message += `1. Send /claim to @${(await bot.getMe()).username} (in private message)\n`;
-        message += `2. View your received tips\n`;
-        message += `3. Transfer to your funding wallet or withdraw\n\n`;
-        message += `💡 Winners will see the tips in their claim wallet!`;
-        
-        if (failedWinners.length > 0) {
-            message += `\n\n⚠️ Failed to send to: `;
-            message += failedWinners.map(w => `@${w.username}`).join(', ');
-        }
-        
-        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-        
-    } catch (error) {
-        console.error('Random giveaway error:', error);
-        await bot.sendMessage(chatId, `❌ Giveaway failed: ${error.message}`);
     }
-});
+    return null;
+}
 
-// Handle /gmonad command - Interactive giveaway
-bot.onText(/\/gmonad(?:\s+([\d.]+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const chatType = msg.chat.type;
-    
-    // Only works in groups
-    if (chatType !== 'group' && chatType !== 'supergroup') {
-        await bot.sendMessage(chatId, "❌ This command only works in groups!");
-        return;
+// Get the next `count` runs of a recurring payment after `after`, stopping at its end date
+function getUpcomingRecurringRuns(payment, after, count) {
+    const runs = [];
+    let next = getNextRecurringRun(payment, after);
+    while (next && runs.length < count && (!payment.end_date || next <= new Date(payment.end_date))) {
+        runs.push(next);
+        next = getNextRecurringRun(payment, next);
     }
-    
-    if (!match[1]) {
-        await bot.sendMessage(chatId, `❌ *Invalid format!*
+    return runs;
+}
 
-Usage: \`/gmonad <amount>\`
+// Get a user's timezone setting
+async function getUserTimezone(userId) {
+    const result = await pool.query('SELECT timezone FROM user_settings WHERE user_id = $1', [userId.toString()]);
+    return (result.rows.length > 0 && result.rows[0].timezone) || DEFAULT_TIMEZONE;
+}
 
-*Example:*
-\`/gmonad 1.0\` - Give 1.0 MON to one random user who says "gmonad"`, 
-            { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    const amount = parseFloat(match[1]);
-    
-    if (isNaN(amount) || amount <= 0) {
-        await bot.sendMessage(chatId, "❌ Invalid amount!");
-        return;
+// Normalize recurring payments stored before schedules were parsed (free text, server-local time)
+async function migrateLegacyRecurringSchedules() {
+    const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    const legacyRows = await pool.query('SELECT * FROM recurring_payments WHERE timezone IS NULL');
+
+    for (const payment of legacyRows.rows) {
+        const createdAt = new Date(payment.created_at);
+        let schedule;
+        try {
+            const text = [payment.schedule_value, payment.schedule_time].filter(Boolean).join(' ');
+            schedule = parseScheduleText(text, serverTimezone, createdAt);
+        } catch (error) {
+            console.log(`Recurring payment ${payment.id}: could not parse "${payment.schedule_value}", treating it as daily`);
+            schedule = {
+                type: payment.schedule_type === 'monthly' ? 'monthly' : 'daily',
+                every: 1,
+                dayOfMonth: getZonedParts(createdAt, serverTimezone).day,
+                time: DEFAULT_SCHEDULE_TIME
+            };
+        }
+        if (schedule.type !== 'cron' && !payment.schedule_time) {
+            // Old schedules without a time ran at the time of day they were created
+            const created = getZonedParts(createdAt, serverTimezone);
+            schedule.time = { hours: created.hours, minutes: created.minutes };
+        }
+
+        const { scheduleType, scheduleValue, scheduleTime } = serializeSchedule(schedule);
+        await pool.query(
+            'UPDATE recurring_payments SET schedule_type = $1, schedule_value = $2, schedule_time = $3, timezone = $4 WHERE id = $5',
+            [scheduleType, scheduleValue, scheduleTime, serverTimezone, payment.id]
+        );
     }
-    
-    // Check sender's wallet and balance
-    const userWallet = userWallets.get(userId);
-    if (!userWallet) {
-        await bot.sendMessage(chatId, "❌ You don't have a wallet yet. Use /start to create one.");
-        return;
+
+    if (legacyRows.rows.length > 0) {
+        console.log(`Normalized ${legacyRows.rows.length} legacy recurring payment schedule(s)`);
     }
-    
-    const balance = await getWalletBalance(userWallet.publicKey);
-    const fee = amount * FEE_PERCENTAGE;
-    const totalRequired = amount + fee + NETWORK_FEE;
-    
-    if (balance < totalRequired) {
-        await bot.sendMessage(chatId, `❌ *Insufficient balance!*
+}
 
-Required: ${totalRequired.toFixed(6)} MON
-Your balance: ${balance.toFixed(6)} MON`, 
-            { parse_mode: 'Markdown' });
-        return;
+// Get the most recent slot that is due and not yet executed, or null.
+// Slots missed while the bot was down are collapsed into a single payment; slots after the
+// end date are never due, so the last one before it is still paid.
+function getDueRecurringSlot(payment, now) {
+    const endDate = payment.end_date ? new Date(payment.end_date) : null;
+    let slot = null;
+    let next = getNextRecurringRun(payment, new Date(payment.last_executed || payment.created_at));
+    while (next && next <= now && (!endDate || next <= endDate)) {
+        slot = next;
+        next = getNextRecurringRun(payment, next);
     }
-    
-    // Store active giveaway
-    const giveawayKey = `${chatId}_${Date.now()}`;
-    activeGmonadGiveaways.set(giveawayKey, {
-        chatId,
-        senderId: userId,
-        senderWallet: userWallet,
-        amount,
-        fee,
-        participants: new Map(), // Use Map to store by userId
-        messageId: msg.message_id,
-        startTime: Date.now()
-    });
-    
-    // Auto-close after 60 seconds
-    setTimeout(async () => {
-        const giveaway = activeGmonadGiveaways.get(giveawayKey);
-        if (giveaway && giveaway.participants.size > 0) {
-            await closeGmonadGiveaway(giveawayKey);
-        } else if (giveaway) {
-            activeGmonadGiveaways.delete(giveawayKey);
-            await bot.sendMessage(chatId, "⏰ GM giveaway ended - no participants!");
-        }
-    }, 60000); // 60 seconds
-    
-    const message = `🌅 *GM Giveaway Started!*
+    return slot;
+}
 
-💰 Prize: ${amount.toFixed(6)} MON
-⏰ Time: 60 seconds
-📝 To enter: Reply "gmonad" to this message
+// Execute a single due recurring payment through the same path as /pay
+async function executeRecurringPayment(payment, slot) {
+    const fromUserId = payment.from_user_id;
+    const recipientUsername = payment.to_username;
+    const amount = parseFloat(payment.amount);
 
-Good luck! 🍀`;
-    
-    await bot.sendMessage(chatId, message, { 
-        parse_mode: 'Markdown',
-        reply_to_message_id: msg.message_id
-    });
-});
+    // Claim the slot before sending anything. If the bot restarts mid-payment the slot
+    // stays claimed, so a payment is skipped at worst but never sent twice.
+    const claimed = await pool.query(
+        'UPDATE recurring_payments SET last_executed = $2 WHERE id = $1 AND active = TRUE AND paused = FALSE AND (last_executed IS NULL OR last_executed < $2) RETURNING id',
+        [payment.id, slot]
+    );
+    if (claimed.rows.length === 0) return;
 
-// Listen for "gmonad" messages and track user IDs
-bot.on('message', async (msg) => {
-    const chatId = msg.chat.id;
-    const text = msg.text?.toLowerCase().trim();
-    const userId = msg.from.id;
-    const username = msg.from.username;
-    
-    if (!text || !username) return;
-    
-    // Store user ID when they interact (for future notifications)
     try {
-        const usernameKey = username.toLowerCase();
-        const existingWallet = await pool.query(
-            'SELECT username FROM claim_wallets WHERE username = $1',
-            [usernameKey]
-        );
-        
-        if (existingWallet.rows.length > 0) {
-            // Update telegram_user_id if wallet exists
-            await pool.query(
-                'UPDATE claim_wallets SET telegram_user_id = $1 WHERE username = $2',
-                [userId.toString(), usernameKey]
-            );
+        const userWallet = userWallets.get(fromUserId);
+        if (!userWallet) {
+            await bot.sendMessage(fromUserId, `❌ Recurring payment to @${recipientUsername} skipped: you don't have a wallet yet. Use /start to create one.`)
+                .catch((error) => console.log(`Could not notify ${fromUserId}: ${error.message}`));
+            return;
+        }
+
+        const balance = await getWalletBalance(userWallet.publicKey);
+        const feeQuote = quoteFee(amount, NATIVE_TOKEN, fromUserId);
+        const totalRequired = amount + feeQuote.fee + NETWORK_FEE;
+
+        if (balance < totalRequired) {
+            await bot.sendMessage(fromUserId, `❌ *Recurring payment skipped - insufficient balance!*
+
+👤 To: @${recipientUsername}
+💰 Amount: ${amount.toFixed(6)} ${NATIVE_SYMBOL}
+
+Required: ${totalRequired.toFixed(6)} ${NATIVE_SYMBOL}
+Your balance: ${balance.toFixed(6)} ${NATIVE_SYMBOL}
+
+Please fund your wallet before the next scheduled payment.`, { parse_mode: 'Markdown' })
+                .catch((error) => console.log(`Could not notify ${fromUserId}: ${error.message}`));
+            return;
         }
+
+        const sender = await bot.getChat(fromUserId).catch(() => null);
+        const { transactionHash, claimLink } = await sendTipPayment({
+            idempotencyKey: `recurring:${payment.id}:${slot.toISOString()}`,
+            fromUserId,
+            fromUsername: sender && sender.username ? sender.username.toLowerCase() : null,
+            recipientUsername,
+            amount,
+            feeQuote,
+            source: 'recurring'
+        });
+
+        await notifyTipRecipient({
+            recipientUsername,
+            amount,
+            senderUsername: (sender && (sender.username || sender.first_name)) || 'Someone',
+            transactionHash,
+            claimLink
+        });
+
+        await bot.sendMessage(fromUserId, `✅ *Recurring Payment Sent!*
+
+💰 Amount: ${amount.toFixed(6)} ${NATIVE_SYMBOL}
+💵 Fee: ${formatFeeQuote(feeQuote, NATIVE_TOKEN)}
+📍 To: @${recipientUsername}
+🔗 [View Transaction](${getTransactionLink(transactionHash)})`, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        }).catch((error) => console.log(`Could not notify ${fromUserId}: ${error.message}`));
     } catch (error) {
-        // Silent fail - don't interrupt message processing
+        console.error(`Recurring payment ${payment.id} error:`, error);
+        await bot.sendMessage(fromUserId, `❌ Recurring payment to @${recipientUsername} failed: ${error.message}`)
+            .catch((notifyError) => console.log(`Could not notify ${fromUserId}: ${notifyError.message}`));
     }
-    
-    // Check if message is "gmonad"
-    if (text === 'gmonad' || text === 'gm' || text === 'gm monad') {
-        // Check all active giveaways in this chat
-        for (const [key, giveaway] of activeGmonadGiveaways.entries()) {
-            if (giveaway.chatId === chatId) {
-                // Add participant to Map (will not add duplicates)
-                // Allow everyone including the sender to participate
-                if (!giveaway.participants.has(userId)) {
-                    giveaway.participants.set(userId, {
-                        id: userId,
-                        username: username
-                    });
-                    console.log(`User ${username} (${userId}) entered giveaway ${key}. Total participants: ${giveaway.participants.size}`);
+}
+
+// Find and execute all due recurring payments, then deactivate finished schedules
+async function processRecurringPayments() {
+    if (recurringRunInProgress) return;
+    recurringRunInProgress = true;
+
+    try {
+        const now = new Date();
+        const result = await pool.query('SELECT * FROM recurring_payments WHERE active = TRUE AND paused = FALSE ORDER BY id');
+
+        // One payment going wrong must not hold up the others
+        for (const payment of result.rows) {
+            try {
+                const slot = getDueRecurringSlot(payment, now);
+                if (slot) {
+                    await executeRecurringPayment(payment, slot);
                 }
-                
-                break;
+            } catch (error) {
+                console.error(`Recurring payment ${payment.id} error:`, error);
             }
         }
-    }
-});
 
-// Helper function to close gmonad giveaway
-async function closeGmonadGiveaway(giveawayKey) {
-    const giveaway = activeGmonadGiveaways.get(giveawayKey);
-    if (!giveaway) return;
-    
-    const participants = Array.from(giveaway.participants.values());
-    
-    if (participants.length === 0) {
-        await bot.sendMessage(giveaway.chatId, "⏰ GM giveaway ended - no participants!");
-        activeGmonadGiveaways.delete(giveawayKey);
-        return;
-    }
-    
-    // Pick random winner
-    const winner = participants[Math.floor(Math.random() * participants.length)];
-    console.log(`GM giveaway winner: ${winner.username} from ${participants.length} participants`);
-    
-    try {
-        // Send tip to winner
-        const senderWallet = createWalletFromPrivateKey(giveaway.senderWallet.privateKey);
-        
-        // Create or get recipient's claim wallet
-        const recipientUsername = winner.username.toLowerCase();
-        let recipientWallet = claimWallets.get(recipientUsername);
-        
-        if (!recipientWallet) {
-            const wallet = ethers.Wallet.createRandom();
-            recipientWallet = {
-                privateKey: wallet.privateKey,
-                publicKey: wallet.address,
-                fromUserId: giveaway.senderId,
-                amount: 0
-            };
-            claimWallets.set(recipientUsername, recipientWallet);
-            await saveWallet(recipientUsername, recipientWallet, true);
-        }
-        
-        // Get fresh nonce
-        await rateLimitedDelay();
-        const nonce = await provider.getTransactionCount(senderWallet.address, 'latest');
-        
-        const tx = {
-            to: recipientWallet.publicKey,
-            value: ethers.parseEther(giveaway.amount.toString()),
-            nonce: nonce
-        };
-        
-        const transaction = await sendTransactionWithRetry(senderWallet, tx);
-        
-        // Send fee
-        await rateLimitedDelay();
-        const feeNonce = await provider.getTransactionCount(senderWallet.address, 'latest');
-        const feeTx = {
-            to: FEES_WALLET,
-            value: ethers.parseEther(giveaway.fee.toString()),
-            nonce: feeNonce
-        };
-        
-        await sendTransactionWithRetry(senderWallet, feeTx);
-        
-        // Update recipient's claim wallet amount
-        recipientWallet.amount = (recipientWallet.amount || 0) + giveaway.amount;
-        await saveWallet(recipientUsername, recipientWallet, true);
-        
-        // Save to database
         await pool.query(
-            'INSERT INTO tips (from_user_id, to_username, amount, fee_amount, transaction_signature) VALUES ($1, $2, $3, $4, $5)',
-            [giveaway.senderId, recipientUsername, giveaway.amount, giveaway.fee, transaction.hash]
+            'UPDATE recurring_payments SET active = FALSE WHERE active = TRUE AND end_date IS NOT NULL AND end_date < $1',
+            [now]
         );
-        
-        const message = `🎉 *GM Giveaway Winner!*
+    } catch (error) {
+        console.error('Recurring payment scheduler error:', error);
+    } finally {
+        recurringRunInProgress = false;
+    }
+}
 
-🏆 Winner: @${winner.username}
-💰 Prize: ${giveaway.amount.toFixed(6)} MON
-👥 Participants: ${participants.length}
-🔗 [View Transaction](${getTransactionLink(transaction.hash)})
+function startRecurringScheduler() {
+    processRecurringPayments();
+    setInterval(processRecurringPayments, RECURRING_CHECK_INTERVAL);
+    console.log('Recurring payment scheduler started');
+}
 
-✅ *How to claim:*
-@${winner.username}, send /claim to me in a private message to access your prize!
+// Store recurring payment amount edit state
+const recurringEditState = new Map();
+
+// Format a date in a timezone for recurring payment messages
+function formatScheduleDate(date, timeZone) {
+    return date.toLocaleString('en-US', {
+        timeZone,
+        timeZoneName: 'short',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
 
-GM! 🌅`;
-        
-        await bot.sendMessage(giveaway.chatId, message, { 
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true
-        });
-        
-    } catch (error) {
-        console.error('GM giveaway error:', error);
-        await bot.sendMessage(giveaway.chatId, `❌ Failed to send prize: ${error.message}`);
+// Describe a recurring payment with its next run time
+function describeRecurringPayment(payment, counterparty) {
+    const lastRun = new Date(payment.last_executed || payment.created_at);
+    const next = getNextRecurringRun(payment, new Date(Math.max(Date.now(), lastRun.getTime())));
+    const endDate = payment.end_date ? new Date(payment.end_date) : null;
+    const timeZone = payment.timezone || DEFAULT_TIMEZONE;
+
+    let nextLine;
+    if (payment.paused) {
+        nextLine = '⏸ Paused';
+    } else if (!next || (endDate && next > endDate)) {
+        nextLine = '⏭ Next payment: none (schedule finished)';
+    } else {
+        nextLine = `⏭ Next payment: ${formatScheduleDate(next, timeZone)}`;
     }
-    
-    activeGmonadGiveaways.delete(giveawayKey);
+
+    return [
+        `*#${payment.id}* ${counterparty}`,
+        `💰 Amount: ${parseFloat(payment.amount).toFixed(6)} ${NATIVE_SYMBOL}`,
+        `📅 Schedule: ${describeSchedule(parseStoredSchedule(payment))} (\`${timeZone}\`)`,
+        `🏁 Until: ${endDate ? endDate.toLocaleDateString('en-US', { timeZone }) : 'no end date'}`,
+        nextLine
+    ].join('\n');
 }
 
-// Handle /airdrop command
-bot.onText(/\/airdrop(?:\s+([\d.]+)\s+(\d+))?/, async (msg, match) => {
+function buildRecurringKeyboard(payment) {
+    return {
+        inline_keyboard: [
+            [
+                payment.paused
+                    ? { text: '▶️ Resume', callback_data: `recurring_resume_${payment.id}` }
+                    : { text: '⏸ Pause', callback_data: `recurring_pause_${payment.id}` },
+                { text: '✏️ Edit Amount', callback_data: `recurring_edit_${payment.id}` }
+            ],
+            [{ text: '🗑 Cancel', callback_data: `recurring_cancel_${payment.id}` }]
+        ]
+    };
+}
+
+// Handle /recurring list command
+bot.onText(/^\/recurring(?:@\w+)?\s+list\b/i, async (msg) => {
     const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
     const chatType = msg.chat.type;
-    
-    // Only works in groups
-    if (chatType !== 'group' && chatType !== 'supergroup') {
-        await bot.sendMessage(chatId, "❌ This command only works in groups!");
+    const userId = msg.from.id.toString();
+    const username = msg.from.username ? msg.from.username.toLowerCase() : null;
+
+    // Only works in private chats
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const botUsername = (await bot.getMe()).username;
+        await bot.sendMessage(chatId, `❌ Please use /recurring list in a private message with @${botUsername}!`);
         return;
     }
-    
-    // Check if user is admin
+
     try {
-        const admins = await bot.getChatAdministrators(chatId);
-        const isAdmin = admins.some(admin => admin.user.id === parseInt(userId));
-        
-        if (!isAdmin) {
-            await bot.sendMessage(chatId, "❌ Only group admins can create airdrops!");
+        const outgoing = await pool.query(
+            'SELECT * FROM recurring_payments WHERE from_user_id = $1 AND active = TRUE ORDER BY id',
+            [userId]
+        );
+        const incoming = username
+            ? await pool.query('SELECT * FROM recurring_payments WHERE to_username = $1 AND active = TRUE ORDER BY id', [username])
+            : { rows: [] };
+
+        if (outgoing.rows.length === 0 && incoming.rows.length === 0) {
+            await bot.sendMessage(chatId, "📭 You don't have any recurring payments. Use /recurring to set one up.");
             return;
         }
+
+        if (outgoing.rows.length > 0) {
+            await bot.sendMessage(chatId, `📤 *Your Recurring Payments (${outgoing.rows.length})*`, { parse_mode: 'Markdown' });
+            for (const payment of outgoing.rows) {
+                await bot.sendMessage(chatId, describeRecurringPayment(payment, `→ @${payment.to_username}`), {
+                    parse_mode: 'Markdown',
+                    reply_markup: buildRecurringKeyboard(payment)
+                });
+            }
+        }
+
+        if (incoming.rows.length > 0) {
+            const descriptions = [];
+            for (const payment of incoming.rows) {
+                const sender = await bot.getChat(payment.from_user_id).catch(() => null);
+                const senderName = sender ? (sender.username ? `@${sender.username}` : sender.first_name) : 'a user';
+                descriptions.push(describeRecurringPayment(payment, `← from ${senderName}`));
+            }
+            await bot.sendMessage(chatId, `📥 *Standing Payments to You (${incoming.rows.length})*\n\n${descriptions.join('\n\n')}`, {
+                parse_mode: 'Markdown'
+            });
+        }
     } catch (error) {
-        await bot.sendMessage(chatId, "❌ Could not verify admin status. Make sure the bot is an admin.");
-        return;
+        console.error('Recurring list error:', error);
+        await bot.sendMessage(chatId, `❌ Failed to load recurring payments: ${error.message}`);
     }
-    
-    if (!match[1] || !match[2]) {
-        await bot.sendMessage(chatId, `❌ *Invalid format!*
+});
 
-Usage: \`/airdrop <amount per person> <number of links>\`
+// Handle pause/resume/edit/cancel buttons for recurring payments
+async function handleRecurringCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+    const userId = callbackQuery.from.id;
 
-Example: \`/airdrop 0.5 10\`
-This creates 10 links, each claimable for 0.5 MON (FCFS).`, { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    const amountPerClaim = parseFloat(match[1]);
-    const numberOfLinks = parseInt(match[2]);
-    
-    if (isNaN(amountPerClaim) || amountPerClaim <= 0) {
-        await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
-        return;
-    }
-    
-    if (isNaN(numberOfLinks) || numberOfLinks <= 0 || numberOfLinks > 100) {
-        await bot.sendMessage(chatId, "❌ Number of links must be between 1 and 100.");
-        return;
-    }
-    
-    // Check user wallet exists
-    const userWallet = userWallets.get(userId);
-    if (!userWallet) {
-        await bot.sendMessage(chatId, "❌ Please create a wallet first using /start in private chat.");
+    // Confirm or discard a newly created schedule
+    const pendingMatch = callbackQuery.data.match(/^recurring_(confirm|discard)_([0-9a-f]+)$/);
+    if (pendingMatch) {
+        const [, pendingAction, pendingToken] = pendingMatch;
+        const pending = pendingRecurringPayments.get(pendingToken);
+
+        if (!pending || pending.from_user_id !== userId.toString()) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ This request has expired. Please send /recurring again.', show_alert: true });
+            return;
+        }
+        pendingRecurringPayments.delete(pendingToken);
+
+        try {
+            let text;
+            if (pendingAction === 'confirm') {
+                const payment = await confirmRecurringPayment(pending);
+                text = `✅ *Recurring Payment Created!*\n\n${describeRecurringPayment(payment, `→ @${payment.to_username}`)}\n\nNote: Make sure you have sufficient balance in your funding wallet for each payment.\nUse /recurring list to pause, edit or cancel it.`;
+            } else {
+                text = '🗑 Recurring payment discarded.';
+            }
+            await bot.editMessageText(text, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown'
+            }).catch((error) => console.log(`Could not update recurring message: ${error.message}`));
+            await bot.answerCallbackQuery(callbackQuery.id);
+        } catch (error) {
+            console.error('Recurring confirmation error:', error);
+            await bot.answerCallbackQuery(callbackQuery.id, { text: `❌ ${error.message}`, show_alert: true });
+        }
         return;
     }
-    
-    // Check balance
-    const balance = await getWalletBalance(userWallet.publicKey);
-    const totalRequired = amountPerClaim * numberOfLinks + NETWORK_FEE;
-    
-    if (balance < totalRequired) {
-        await bot.sendMessage(chatId, `❌ Insufficient balance!\n\nRequired: ${totalRequired.toFixed(6)} MON\nYour balance: ${balance.toFixed(6)} MON`);
+
+    const actionMatch = callbackQuery.data.match(/^recurring_(pause|resume|edit|cancel)_(\d+)$/);
+
+    if (!actionMatch) {
+        await bot.answerCallbackQuery(callbackQuery.id);
         return;
     }
-    
+
+    const [, action, paymentId] = actionMatch;
+
     try {
-        // Create airdrop
-        const airdropId = generateClaimToken();
-        await pool.query(
-            'INSERT INTO airdrops (airdrop_id, from_user_id, amount_per_claim, total_claims) VALUES ($1, $2, $3, $4)',
-            [airdropId, userId, amountPerClaim, numberOfLinks]
+        // Only the payer can manage a recurring payment
+        const result = await pool.query(
+            'SELECT * FROM recurring_payments WHERE id = $1 AND from_user_id = $2 AND active = TRUE',
+            [paymentId, userId.toString()]
         );
-        
-        // Create claim links
-        const botUsername = (await bot.getMe()).username;
-        const links = [];
-        
-        for (let i = 0; i < numberOfLinks; i++) {
-            const claimToken = generateClaimToken();
-            await pool.query(
-                'INSERT INTO airdrop_claims (airdrop_id, claim_token) VALUES ($1, $2)',
-                [airdropId, claimToken]
-            );
-            links.push(`https://t.me/${botUsername}?start=airdrop_${claimToken}`);
+
+        if (result.rows.length === 0) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Recurring payment not found.', show_alert: true });
+            return;
         }
-        
-        // Send links in the same chat where command was issued (group)
-        const linksMessage = `🎁 *Airdrop Created Successfully!*
 
-💰 Amount per claim: ${amountPerClaim.toFixed(6)} MON
-🔗 Total links: ${numberOfLinks}
-📊 Total locked: ${(amountPerClaim * numberOfLinks).toFixed(6)} MON
+        if (action === 'edit') {
+            withdrawalState.delete(userId);
+            recurringEditState.set(userId, { paymentId });
+            await bot.sendMessage(chatId, `✏️ *Edit Recurring Payment #${paymentId}*\n\nPlease enter the new amount in ${NATIVE_SYMBOL}:`, {
+                parse_mode: 'Markdown'
+            });
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return;
+        }
 
-Here are your airdrop links (FCFS - First Come First Served):
+        let updated;
+        let notice;
+        if (action === 'pause') {
+            updated = await pool.query('UPDATE recurring_payments SET paused = TRUE WHERE id = $1 RETURNING *', [paymentId]);
+            notice = '⏸ Recurring payment paused';
+        } else if (action === 'resume') {
+            // Move last_executed forward so the slots missed while paused are not paid on resume
+            updated = await pool.query(
+                'UPDATE recurring_payments SET paused = FALSE, last_executed = GREATEST(COALESCE(last_executed, created_at), $2) WHERE id = $1 RETURNING *',
+                [paymentId, new Date()]
+            );
+            notice = '▶️ Recurring payment resumed';
+        } else {
+            updated = await pool.query('UPDATE recurring_payments SET active = FALSE WHERE id = $1 RETURNING *', [paymentId]);
+            notice = '🗑 Recurring payment cancelled';
+        }
 
-${links.map((link, i) => `${i + 1}. ${link}`).join('\n')}
+        const payment = updated.rows[0];
+        const text = action === 'cancel'
+            ? `🗑 *Recurring payment #${payment.id} cancelled*\n\nNo further payments will be sent to @${payment.to_username}.`
+            : describeRecurringPayment(payment, `→ @${payment.to_username}`);
 
-Each link can be claimed once by any user. Share them wisely!`;
+        await bot.editMessageText(text, {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown',
+            reply_markup: action === 'cancel' ? undefined : buildRecurringKeyboard(payment)
+        }).catch((error) => console.log(`Could not update recurring message: ${error.message}`));
 
-        try {
-            // Send links in the group where command was issued
-            await bot.sendMessage(chatId, linksMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
-        } catch (error) {
-            await bot.sendMessage(chatId, `❌ Failed to send airdrop links: ${error.message}`);
-            // Delete the airdrop
-            await pool.query('DELETE FROM airdrops WHERE airdrop_id = $1', [airdropId]);
-            await pool.query('DELETE FROM airdrop_claims WHERE airdrop_id = $1', [airdropId]);
-        }
+        await bot.answerCallbackQuery(callbackQuery.id, { text: notice });
     } catch (error) {
-        console.error('Airdrop creation error:', error);
-        await bot.sendMessage(chatId, `❌ Failed to create airdrop: ${error.message}`);
+        console.error('Recurring callback error:', error);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: `❌ ${error.message}`, show_alert: true });
     }
-});
+}
 
-// Handle /recurring command
-bot.onText(/\/recurring(?:\s+@(\w+)\s+([\d.]+)\s+every\s+(.+?)\s+until\s+(.+))?/, async (msg, match) => {
+// Handle text messages for recurring payment amount edits
+bot.on('message', async (msg) => {
     const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    
-    if (!match[1] || !match[2] || !match[3] || !match[4]) {
-        await bot.sendMessage(chatId, `❌ *Invalid format!*
+    const userId = msg.from.id;
+    const text = msg.text;
 
-Usage: \`/recurring @username <amount> every <schedule> until <end date>\`
+    const state = recurringEditState.get(userId);
+    if (!state) return;
 
-Examples:
-• \`/recurring @alice 0.1 every Friday 9pm until 04/10/2025\`
-• \`/recurring @bob 0.5 every Monday until 12/31/2025\`
-• \`/recurring @charlie 1.0 every day until 05/15/2025\`
+    // Check if message is a command
+    if (text && text.startsWith('/')) return;
 
-Note: Recurring payments will be executed automatically based on the schedule.`, { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    const recipientUsername = match[1].toLowerCase();
-    const amount = parseFloat(match[2]);
-    const schedule = match[3].trim();
-    const endDateStr = match[4].trim();
-    
+    const amount = parseFloat(text);
     if (isNaN(amount) || amount <= 0) {
         await bot.sendMessage(chatId, "❌ Invalid amount. Please enter a valid number.");
         return;
     }
-    
-    // Check user wallet exists
-    const userWallet = userWallets.get(userId);
-    if (!userWallet) {
-        await bot.sendMessage(chatId, "❌ Please create a wallet first using /start.");
-        return;
-    }
-    
-    // Parse schedule
-    let scheduleType = 'weekly';
-    let scheduleValue = schedule.toLowerCase();
-    let scheduleTime = null;
-    
-    if (schedule.toLowerCase().includes('day')) {
-        scheduleType = 'daily';
-    } else if (schedule.toLowerCase().includes('week')) {
-        scheduleType = 'weekly';
-    } else if (schedule.toLowerCase().includes('month')) {
-        scheduleType = 'monthly';
-    }
-    
-    // Extract time if present
-    const timeMatch = schedule.match(/(\d+)(am|pm)/i);
-    if (timeMatch) {
-        scheduleTime = timeMatch[0];
-        scheduleValue = schedule.replace(timeMatch[0], '').trim();
-    }
-    
-    // Parse end date (MM/DD/YYYY format)
-    let endDate;
-    try {
-        const [month, day, year] = endDateStr.split('/');
-        endDate = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-        
-        if (isNaN(endDate.getTime())) {
-            throw new Error('Invalid date');
-        }
-        
-        if (endDate <= new Date()) {
-            await bot.sendMessage(chatId, "❌ End date must be in the future!");
-            return;
-        }
-    } catch (error) {
-        await bot.sendMessage(chatId, "❌ Invalid date format. Please use MM/DD/YYYY format (e.g., 04/10/2025).");
-        return;
-    }
-    
+
     try {
-        // Create recurring payment
-        await pool.query(
-            'INSERT INTO recurring_payments (from_user_id, to_username, amount, schedule_type, schedule_value, schedule_time, end_date) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-            [userId, recipientUsername, amount, scheduleType, scheduleValue, scheduleTime, endDate]
+        const updated = await pool.query(
+            'UPDATE recurring_payments SET amount = $1 WHERE id = $2 AND from_user_id = $3 AND active = TRUE RETURNING *',
+            [amount, state.paymentId, userId.toString()]
         );
-        
-        const message = `✅ *Recurring Payment Created!*
-
-👤 To: @${recipientUsername}
-💰 Amount: ${amount.toFixed(6)} MON
-📅 Schedule: ${schedule}
-🏁 Until: ${endDateStr}
-
-Your recurring payment has been set up. The first payment will be processed on the next scheduled time.
+        recurringEditState.delete(userId);
 
-Note: Make sure you have sufficient balance in your funding wallet for each payment.`;
+        if (updated.rows.length === 0) {
+            await bot.sendMessage(chatId, "❌ Recurring payment not found.");
+            return;
+        }
 
-        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        const payment = updated.rows[0];
+        await bot.sendMessage(chatId, `✅ *Amount Updated!*\n\n${describeRecurringPayment(payment, `→ @${payment.to_username}`)}`, {
+            parse_mode: 'Markdown',
+            reply_markup: buildRecurringKeyboard(payment)
+        });
     } catch (error) {
-        console.error('Recurring payment creation error:', error);
-        await bot.sendMessage(chatId, `❌ Failed to create recurring payment: ${error.message}`);
+        console.error('Recurring edit error:', error);
+        recurringEditState.delete(userId);
+        await bot.sendMessage(chatId, `❌ Failed to update amount: ${error.message}`);
     }
 });
 
@@ -2048,4 +7337,41 @@ process.on('unhandledRejection', (error) => {
     console.error('Unhandled promise rejection:', error);
 });
 
-console.log('Monad Tip Bot is running...');
+// Run a maintenance command and exit
+async function runCliCommand(command) {
+    try {
+        if (!masterKey) {
+            throw new Error('WALLET_MASTER_KEY is not set');
+        }
+        await initializeDatabase();
+
+        if (command === 'encrypt-wallets') {
+            const migrated = await encryptExistingWallets();
+            console.log(`Done: ${migrated} private key(s) encrypted under master key ${getMasterKeyId(masterKey)}`);
+        } else if (command === 'rotate-master-key') {
+            const newKey = parseMasterKey(process.env.NEW_WALLET_MASTER_KEY);
+            if (!newKey) {
+                throw new Error('NEW_WALLET_MASTER_KEY is not set');
+            }
+            if (newKey.equals(masterKey)) {
+                throw new Error('NEW_WALLET_MASTER_KEY must differ from WALLET_MASTER_KEY');
+            }
+            const rotated = await rotateMasterKey(newKey);
+            console.log(`Done: ${rotated} private key(s) re-encrypted under master key ${getMasterKeyId(newKey)}`);
+            console.log('Set WALLET_MASTER_KEY to the new key and restart the bot.');
+        } else {
+            throw new Error(`Unknown command "${command}". Available commands: encrypt-wallets, rotate-master-key`);
+        }
+    } catch (error) {
+        console.error(`${command} failed:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (CLI_COMMAND) {
+    runCliCommand(CLI_COMMAND);
+} else {
+    console.log('Monad Tip Bot is running...');
+}